@@ -0,0 +1,278 @@
+/*
+  Sound
+  - Every sound is synthesized with the Web Audio API, no sound files: effects
+    are short oscillator and filtered-noise envelopes (SOUND_EFFECTS), the ones
+    for mining, placing and footsteps shaped by the tile's material
+  - The simulation only notes what happened in world.soundLog (see cueSound in
+    sim.js); updateAudio() plays those cues once a frame, adds footsteps from
+    the player's movement and moves the ambient layers along with the weather,
+    the time of day and how far underground the player is: rain and wind noise,
+    thunder, birds by day, crickets at night and a slow generated tune
+  - Gain stages: master, and under it sfx and music (ambience counts as music);
+    the volumes are kept in localStorage
+  - initAudio() takes any AudioContext-like object, so a stand-in with the same
+    methods can replace sound hardware (Node, tests); nothing plays until then
+*/
+
+const AUDIO_SETTINGS_KEY = 'terrariaCloneAudio';
+const DEFAULT_VOLUMES = { master: 0.8, sfx: 0.8, music: 0.5 };
+const NOISE_SECONDS = 2; // length of the shared white noise buffer
+const FOOTSTEP_DISTANCE = TILE_SIZE * 1.5; // px walked on the ground per footstep
+const LAND_SOUND_SPEED = 4; // slower landings are silent
+const MAX_CUES_PER_FRAME = 8; // the rest of a burst (a fast replay, a big tree) is dropped
+const AMBIENCE_FADE = 0.8; // seconds, time constant of the ambient layers following the game
+
+// Filtered noise plus an optional pitched knock for each material (see `sound` in tiles.js)
+const MATERIAL_SOUNDS = {
+  soft: { noise: { filter: 'lowpass', freq: 700, q: 0.7 } },
+  stone: { noise: { filter: 'bandpass', freq: 1900, q: 1.5 }, tone: { type: 'square', freq: 150 } },
+  wood: { noise: { filter: 'bandpass', freq: 800, q: 2 }, tone: { type: 'triangle', freq: 230 } },
+  glass: { noise: { filter: 'highpass', freq: 3500, q: 1 }, tone: { type: 'sine', freq: 2600 } },
+  plant: { noise: { filter: 'highpass', freq: 2200, q: 0.5 } },
+};
+
+// Cue name -> how it sounds; cues carry details like the tile involved (see cueSound)
+const SOUND_EFFECTS = {
+  dig: (cue) => playMaterial(cue.tile, { peak: 0.35, decay: 0.06 }),
+  break: (cue) => playMaterial(cue.tile, { peak: 0.6, decay: 0.18, pitch: 0.75 }),
+  place: (cue) => playMaterial(cue.tile, { peak: 0.45, decay: 0.05, pitch: 1.25 }),
+  step: (cue) => playMaterial(cue.tile, { peak: 0.12, decay: 0.04, pitch: 0.9 }),
+  land(cue) {
+    if (cue.speed < LAND_SOUND_SPEED) return;
+    playMaterial(groundTile(), { peak: Math.min(0.8, cue.speed / 15), decay: 0.12, pitch: 0.6 });
+  },
+  jump: () => playTone({ type: 'sine', freq: 260, endFreq: 480, peak: 0.12, decay: 0.12 }),
+  hurt: () => playTone({ type: 'sawtooth', freq: 330, endFreq: 110, peak: 0.25, decay: 0.25 }),
+  craft() {
+    [523, 659, 784].forEach((freq, i) => playTone({ type: 'triangle', freq, peak: 0.16, decay: 0.16, delay: i * 0.06 }));
+  },
+  eat() {
+    for (let i = 0; i < 3; i++) playNoise({ filter: 'bandpass', freq: 1200, q: 3, peak: 0.25, decay: 0.05, delay: i * 0.12 });
+  },
+  death() {
+    [392, 330, 262, 196].forEach((freq, i) => playTone({ type: 'triangle', freq, peak: 0.2, decay: 0.4, delay: i * 0.18 }));
+  },
+  // Far away strikes rumble in a little later than the flash
+  thunder: () => playNoise({ filter: 'lowpass', freq: 160, peak: 0.9, attack: 0.08, decay: 2.5, delay: 0.2 + Math.random(), bus: 'music' }),
+};
+
+// The slow tune: pentatonic notes, a bright scale by day and a low minor one at night
+const DAY_NOTES = [262, 294, 330, 392, 440, 523];
+const NIGHT_NOTES = [220, 262, 294, 330, 392, 196];
+
+const audio = {
+  context: null, // the AudioContext (or stand-in) once initAudio() ran
+  volumes: { ...DEFAULT_VOLUMES }, // 0..1 per gain stage
+  buses: null, // { master, sfx, music } gain nodes
+  noise: null, // white noise buffer shared by every noisy sound
+  ambience: null, // looping layers (see startAmbience)
+  lastX: 0, // player.x last frame, for footsteps
+  walked: 0, // px walked since the last footstep
+  nextCall: 0, // context time of the next bird or cricket
+  nextNote: 0, // context time of the next note of the tune
+};
+
+// Volumes
+function loadVolumes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+    for (const bus of Object.keys(DEFAULT_VOLUMES)) {
+      if (Number.isFinite(saved?.[bus])) audio.volumes[bus] = Math.max(0, Math.min(1, saved[bus]));
+    }
+  } catch (e) {
+    console.error('Failed to read sound settings:', e);
+  }
+}
+
+function setVolume(bus, volume) {
+  audio.volumes[bus] = Math.max(0, Math.min(1, Math.round(volume * 10) / 10));
+  applyVolumes();
+  if (typeof localStorage !== 'undefined') localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(audio.volumes));
+}
+
+function applyVolumes() {
+  if (!audio.buses) return;
+  for (const [bus, volume] of Object.entries(audio.volumes)) audio.buses[bus].gain.value = volume;
+}
+
+// Start sound on `context`; browsers only allow this from a click or key press
+function initAudio(context) {
+  audio.context = context;
+  const master = context.createGain();
+  master.connect(context.destination);
+  const sfx = context.createGain();
+  sfx.connect(master);
+  const music = context.createGain();
+  music.connect(master);
+  audio.buses = { master, sfx, music };
+  applyVolumes();
+
+  const length = Math.floor(context.sampleRate * NOISE_SECONDS);
+  audio.noise = context.createBuffer(1, length, context.sampleRate);
+  const samples = audio.noise.getChannelData(0);
+  for (let i = 0; i < length; i++) samples[i] = Math.random() * 2 - 1;
+
+  audio.ambience = startAmbience();
+  audio.lastX = player.x;
+  audio.nextCall = context.currentTime + 2;
+  audio.nextNote = context.currentTime + 4;
+  world.soundLog = [];
+}
+
+// Once a frame: play the steps' cues, footsteps and ambience
+function updateAudio() {
+  if (!audio.context) return;
+  const cues = world.soundLog.splice(0);
+  for (const cue of cues.slice(0, MAX_CUES_PER_FRAME)) {
+    if (SOUND_EFFECTS[cue.sound]) SOUND_EFFECTS[cue.sound](cue);
+  }
+
+  // Footsteps: one every FOOTSTEP_DISTANCE px walked (a jump across the map, like respawning, isn't walking)
+  const moved = Math.abs(player.x - audio.lastX);
+  audio.lastX = player.x;
+  if (player.onGround && !isDead() && moved < TILE_SIZE) audio.walked += moved;
+  if (audio.walked >= FOOTSTEP_DISTANCE) {
+    audio.walked = 0;
+    SOUND_EFFECTS.step({ tile: groundTile() });
+  }
+
+  updateAmbience();
+}
+
+// Sound building blocks
+// Silence, a quick rise to `peak`, then an exponential fade over `decay` seconds
+function envelope(node, at, peak, attack, decay) {
+  node.gain.setValueAtTime(0, at);
+  node.gain.linearRampToValueAtTime(peak, at + attack);
+  node.gain.exponentialRampToValueAtTime(0.0001, at + attack + decay);
+}
+
+function playTone({ type = 'sine', freq, endFreq = freq, peak, attack = 0.005, decay, delay = 0, bus = 'sfx' }) {
+  const context = audio.context;
+  const at = context.currentTime + delay;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(freq, at);
+  if (endFreq !== freq) oscillator.frequency.exponentialRampToValueAtTime(endFreq, at + attack + decay);
+  envelope(gain, at, peak, attack, decay);
+  oscillator.connect(gain);
+  gain.connect(audio.buses[bus]);
+  oscillator.start(at);
+  oscillator.stop(at + attack + decay + 0.05);
+}
+
+function playNoise({ filter, freq, q = 1, peak, attack = 0.002, decay, delay = 0, bus = 'sfx' }) {
+  const context = audio.context;
+  const at = context.currentTime + delay;
+  const source = context.createBufferSource();
+  source.buffer = audio.noise;
+  const biquad = context.createBiquadFilter();
+  biquad.type = filter;
+  biquad.frequency.setValueAtTime(freq, at);
+  biquad.Q.value = q;
+  const gain = context.createGain();
+  envelope(gain, at, peak, attack, decay);
+  source.connect(biquad);
+  biquad.connect(gain);
+  gain.connect(audio.buses[bus]);
+  source.start(at, Math.random() * (NOISE_SECONDS - 1)); // a different stretch of noise each time
+  source.stop(at + attack + decay + 0.05);
+}
+
+// A hit on the tile's material, a little detuned each time so repeats don't drone
+function playMaterial(tile, { peak, decay, pitch = 1 }) {
+  const sound = MATERIAL_SOUNDS[tileMaterial(tile)] || MATERIAL_SOUNDS.soft;
+  const shift = pitch * (0.9 + Math.random() * 0.2);
+  playNoise({ ...sound.noise, freq: sound.noise.freq * shift, peak, decay });
+  if (sound.tone) {
+    const freq = sound.tone.freq * shift;
+    playTone({ type: sound.tone.type, freq, endFreq: freq * 0.7, peak: peak * 0.4, decay });
+  }
+}
+
+function tileMaterial(tileId) {
+  const def = getTileDef(tileId);
+  if (def.sound) return def.sound;
+  if (def.tool === 'axe') return 'wood';
+  return def.tier > 0 ? 'stone' : 'soft';
+}
+
+// The tile under the player's feet
+function groundTile() {
+  return getTile(Math.floor(player.x / TILE_SIZE), Math.floor((player.y + player.height / 2 + 1) / TILE_SIZE));
+}
+
+// Ambience
+// Looping noise layers that updateAmbience() turns up and down
+function startAmbience() {
+  return { rain: loopNoise('lowpass', 1600), wind: loopNoise('lowpass', 350) };
+}
+
+function loopNoise(filter, freq) {
+  const context = audio.context;
+  const source = context.createBufferSource();
+  source.buffer = audio.noise;
+  source.loop = true;
+  const biquad = context.createBiquadFilter();
+  biquad.type = filter;
+  biquad.frequency.value = freq;
+  const gain = context.createGain();
+  gain.gain.value = 0;
+  source.connect(biquad);
+  biquad.connect(gain);
+  gain.connect(audio.buses.music);
+  source.start();
+  return { filter: biquad, gain, freq };
+}
+
+function updateAmbience() {
+  const now = audio.context.currentTime;
+  const weather = gameState.weather;
+  // Sky light at the player's head: 1 out in the open, 0 deep in a cave
+  const open = getLight(Math.floor(player.x / TILE_SIZE), Math.floor((player.y - player.height / 2) / TILE_SIZE)).sun / MAX_LIGHT;
+  const storm = weather.type === 'storm';
+  const raining = weather.type === 'rain' || storm;
+
+  // Rain gets louder with the weather and muffled under a roof or in the ground
+  const { rain, wind } = audio.ambience;
+  const rainLevel = raining ? weather.intensity * (storm ? 0.5 : 0.3) * (0.2 + 0.8 * open) : 0;
+  rain.gain.gain.setTargetAtTime(rainLevel, now, AMBIENCE_FADE);
+  rain.filter.frequency.setTargetAtTime(rain.freq * (0.3 + 0.7 * open), now, AMBIENCE_FADE);
+  const windLevel = (storm ? 0.3 : weather.type === 'snow' ? 0.15 : 0.03) * open;
+  wind.gain.gain.setTargetAtTime(windLevel, now, AMBIENCE_FADE);
+
+  // Birds in daylight and crickets at night, only out in the open and dry
+  if (now >= audio.nextCall) {
+    audio.nextCall = now + 1.5 + Math.random() * 4;
+    if (open > 0.5 && !raining) {
+      if (gameState.isDaytime) playBird();
+      else playCrickets();
+    }
+  }
+
+  // One soft note of the tune every few seconds
+  if (now >= audio.nextNote) {
+    audio.nextNote = now + 3 + Math.random() * 4;
+    const notes = gameState.isDaytime ? DAY_NOTES : NIGHT_NOTES;
+    const freq = notes[Math.floor(Math.random() * notes.length)];
+    playTone({ type: 'sine', freq, peak: 0.06, attack: 1.2, decay: 4, bus: 'music' });
+    playTone({ type: 'sine', freq: freq * 1.5, peak: 0.025, attack: 1.5, decay: 3.5, bus: 'music' });
+  }
+}
+
+function playBird() {
+  const chirps = 2 + Math.floor(Math.random() * 3);
+  const base = 2200 + Math.random() * 1200;
+  for (let i = 0; i < chirps; i++) {
+    playTone({ type: 'sine', freq: base, endFreq: base * 1.4, peak: 0.05, attack: 0.01, decay: 0.07, delay: i * 0.13, bus: 'music' });
+  }
+}
+
+function playCrickets() {
+  for (let i = 0; i < 3; i++) {
+    playTone({ type: 'triangle', freq: 4400, peak: 0.025, attack: 0.005, decay: 0.03, delay: i * 0.06, bus: 'music' });
+  }
+}
+
+if (typeof localStorage !== 'undefined') loadVolumes();
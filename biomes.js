@@ -0,0 +1,66 @@
+/*
+  Biomes
+  - Every world column belongs to one biome, picked by biomeAt() from seeded
+    temperature, moisture and corruption noise; world.biomes keeps the map of
+    the columns looked up so far (getBiome), so it is worked out once per column
+    while its chunks are loaded; pruneBiomes() forgets the far columns as the
+    chunks there are unloaded, like pruneLight() does for the light columns
+  - BIOMES holds each biome's rules: its surface and soil tiles, what takes the
+    place of dirt and stone underground, its trees, whether rain falls as snow,
+    and the sky tint and parallax hill colors the browser client paints
+*/
+
+const BIOMES = {
+  forest: {
+    name: 'Forest', surface: TILE.GRASS, soil: TILE.DIRT, dirt: TILE.DIRT, stone: TILE.STONE,
+    tree: 'tree', treeChance: 0.35, precipitation: 'rain',
+    sky: 'rgba(0,0,0,0)', hills: ['#6f9e72', '#4a7d50'],
+  },
+  desert: {
+    name: 'Desert', surface: TILE.SAND, soil: TILE.SAND, dirt: TILE.DIRT, stone: TILE.STONE,
+    tree: 'cactus', treeChance: 0.15, precipitation: 'rain',
+    sky: 'rgba(245,205,130,0.3)', hills: ['#d8bd86', '#c09f63'],
+  },
+  snow: {
+    name: 'Tundra', surface: TILE.SNOW, soil: TILE.SNOW, dirt: TILE.DIRT, stone: TILE.ICE,
+    tree: 'tree', treeChance: 0.2, precipitation: 'snow',
+    sky: 'rgba(225,238,255,0.35)', hills: ['#dfe9f3', '#b3c5d8'],
+  },
+  jungle: {
+    name: 'Jungle', surface: TILE.JUNGLE_GRASS, soil: TILE.MUD, dirt: TILE.MUD, stone: TILE.STONE,
+    tree: 'tree', treeChance: 0.7, precipitation: 'rain',
+    sky: 'rgba(110,200,120,0.25)', hills: ['#3d7a3a', '#265c28'],
+  },
+  corruption: {
+    name: 'Corruption', surface: TILE.CORRUPT_GRASS, soil: TILE.DIRT, dirt: TILE.DIRT, stone: TILE.EBONSTONE,
+    tree: 'tree', treeChance: 0.15, precipitation: 'rain',
+    sky: 'rgba(110,60,150,0.4)', hills: ['#5e4d73', '#3f3052'],
+  },
+};
+
+// Biome of a world column, from the seed alone
+function biomeAt(x) {
+  const seed = world.seed;
+  if (valueNoise1D(seed, x / 40, 10) > 0.84) return 'corruption';
+  const temperature = valueNoise1D(seed, x / 70, 3);
+  if (temperature < 0.3) return 'snow';
+  if (temperature > 0.6) return valueNoise1D(seed, x / 50, 8) < 0.5 ? 'desert' : 'jungle';
+  return 'forest';
+}
+
+function getBiome(x) {
+  let biome = world.biomes.get(x);
+  if (!biome) {
+    biome = biomeAt(x);
+    world.biomes.set(x, biome);
+  }
+  return biome;
+}
+
+// Generating a chunk also looks at columns just past its edges (tree canopies),
+// so this goes by distance rather than by the chunks unloaded
+function pruneBiomes(playerCx) {
+  for (const x of world.biomes.keys()) {
+    if (Math.abs(Math.floor(x / CHUNK_SIZE) - playerCx) > CHUNK_UNLOAD_RADIUS) world.biomes.delete(x);
+  }
+}
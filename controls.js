@@ -0,0 +1,206 @@
+/*
+  Controls
+  - Actions (move, jump, use, place, hotbar, menus, save/load...) are bound to
+    keys and mouse buttons; bindings are rebindable and kept in localStorage
+  - Held actions are read with actionDown(), one-shot ones (menus, hotbar) go
+    through the client's action handlers when pressed
+  - A gamepad and on-screen touch controls drive the same actions and move a
+    shared pointer (the aim cursor) around the screen
+*/
+
+// Binding codes: KeyboardEvent.code ('KeyA', 'Space', 'F5') or 'Mouse0' / 'Mouse2'
+const ACTIONS = [
+  { id: 'left', label: 'Move left', keys: ['KeyA', 'ArrowLeft'] },
+  { id: 'right', label: 'Move right', keys: ['KeyD', 'ArrowRight'] },
+  { id: 'jump', label: 'Jump / swim up', keys: ['KeyW', 'ArrowUp', 'Space'] },
+  { id: 'down', label: 'Drop through platform', keys: ['KeyS', 'ArrowDown'] },
+  { id: 'use', label: 'Use / mine', keys: ['Mouse0'] },
+  { id: 'place', label: 'Place', keys: ['Mouse2'] },
+  { id: 'drop', label: 'Drop held item', keys: ['KeyT'], press: true },
+  { id: 'hotbarNext', label: 'Next hotbar slot', keys: ['KeyE'], press: true },
+  { id: 'hotbarPrev', label: 'Previous hotbar slot', keys: ['KeyQ'], press: true },
+  { id: 'crafting', label: 'Crafting', keys: ['KeyC'], press: true },
+  { id: 'inventory', label: 'Inventory', keys: ['KeyI'], press: true },
+  { id: 'save', label: 'Save', keys: ['F5'], press: true },
+  { id: 'load', label: 'Load', keys: ['F9'], press: true },
+  { id: 'worlds', label: 'Worlds menu', keys: ['F2'], press: true },
+  { id: 'record', label: 'Record input', keys: ['F6'], press: true },
+  { id: 'replay', label: 'Replay a recording', keys: ['F8'], press: true },
+  { id: 'keybindings', label: 'Key bindings', keys: ['KeyK'], press: true },
+  { id: 'sound', label: 'Sound settings', keys: ['KeyV'], press: true },
+];
+const BINDING_SLOTS = 3; // codes per action
+const BINDINGS_KEY = 'terrariaCloneBindings';
+
+// Gamepad (standard mapping): left stick / d-pad move, right stick aims
+const GAMEPAD_BUTTONS = {
+  0: 'jump', // A
+  7: 'use', // RT
+  6: 'place', // LT
+  1: 'drop', // B
+  5: 'hotbarNext', // RB
+  4: 'hotbarPrev', // LB
+  3: 'crafting', // Y
+  2: 'inventory', // X
+  8: 'worlds', // Back
+  9: 'save', // Start
+  13: 'down', // d-pad down
+  14: 'left', // d-pad left
+  15: 'right', // d-pad right
+};
+const STICK_DEADZONE = 0.3;
+const AIM_SPEED = 10; // cursor pixels per frame at full stick
+
+const controls = {
+  bindings: {}, // action -> codes
+  held: new Set(), // codes held on keyboard/mouse
+  pad: new Set(), // actions held on the gamepad
+  padButtons: [], // last frame's button states, for presses
+  touch: new Set(), // actions held on the touch buttons
+  device: 'mouse', // 'mouse', 'gamepad' or 'touch': whatever was used last
+  aim: { x: 0, y: 0 }, // gamepad cursor, relative to the player on screen
+  rebinding: null, // { action, slot } waiting for a key
+};
+
+// Bindings
+function defaultBindings() {
+  return Object.fromEntries(ACTIONS.map((action) => [action.id, [...action.keys]]));
+}
+
+// Saved codes go first, then the defaults of actions the save doesn't have
+// (added since it was made); as in bindAction(), a code drives one action only,
+// so a new action's default key stays with the action already saved on it
+function loadBindings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+  } catch (e) {
+    console.error('Failed to read key bindings:', e);
+  }
+  const claimed = new Set();
+  const claim = (codes) => codes.filter((code) => {
+    if (typeof code !== 'string' || claimed.has(code)) return false;
+    claimed.add(code);
+    return true;
+  });
+  const defaults = defaultBindings();
+  controls.bindings = {};
+  for (const action of ACTIONS) {
+    if (Array.isArray(saved?.[action.id])) controls.bindings[action.id] = claim(saved[action.id].slice(0, BINDING_SLOTS));
+  }
+  for (const action of ACTIONS) {
+    controls.bindings[action.id] ??= claim(defaults[action.id]);
+  }
+}
+
+function saveBindings() {
+  localStorage.setItem(BINDINGS_KEY, JSON.stringify(controls.bindings));
+}
+
+// Put `code` in an action's binding slot (null clears it); a code drives one action only
+function bindAction(actionId, slot, code) {
+  if (code) {
+    for (const codes of Object.values(controls.bindings)) {
+      const i = codes.indexOf(code);
+      if (i >= 0) codes.splice(i, 1);
+    }
+  }
+  const codes = controls.bindings[actionId];
+  if (slot < codes.length) codes.splice(slot, 1);
+  if (code) codes.splice(Math.min(slot, codes.length), 0, code);
+  saveBindings();
+}
+
+function resetBindings() {
+  controls.bindings = defaultBindings();
+  saveBindings();
+}
+
+// Actions a key or mouse button is bound to
+function actionsForCode(code) {
+  return ACTIONS.filter((action) => controls.bindings[action.id].includes(code)).map((action) => action.id);
+}
+
+function isPressAction(actionId) {
+  return ACTIONS.some((action) => action.id === actionId && action.press);
+}
+
+// Readable name of a binding code
+function bindingName(code) {
+  if (code === 'Mouse0') return 'Left click';
+  if (code === 'Mouse1') return 'Middle click';
+  if (code === 'Mouse2') return 'Right click';
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Arrow')) return code.slice(5) + ' arrow';
+  return code;
+}
+
+// Is an action held on any device?
+function actionDown(actionId) {
+  return controls.bindings[actionId].some((code) => controls.held.has(code)) ||
+    controls.pad.has(actionId) || controls.touch.has(actionId);
+}
+
+// Gamepad: refresh held actions and the aim cursor; returns buttons [pressed, released] this frame
+function pollGamepad() {
+  const pad = navigator.getGamepads ? [...navigator.getGamepads()].find(Boolean) : null;
+  const changes = { pressed: [], released: [] };
+  if (!pad) {
+    controls.pad.clear();
+    return changes;
+  }
+
+  const buttons = pad.buttons.map((button) => button.pressed);
+  const [lx = 0, ly = 0, rx = 0, ry = 0] = pad.axes;
+  controls.pad.clear();
+  for (const [index, actionId] of Object.entries(GAMEPAD_BUTTONS)) {
+    if (buttons[index]) controls.pad.add(actionId);
+    if (buttons[index] && !controls.padButtons[index]) changes.pressed.push(actionId);
+    if (!buttons[index] && controls.padButtons[index]) changes.released.push(actionId);
+  }
+  if (lx < -STICK_DEADZONE) controls.pad.add('left');
+  if (lx > STICK_DEADZONE) controls.pad.add('right');
+  if (ly > 0.6) controls.pad.add('down');
+
+  const aiming = Math.hypot(rx, ry) > STICK_DEADZONE;
+  if (aiming) {
+    controls.aim.x += rx * AIM_SPEED;
+    controls.aim.y += ry * AIM_SPEED;
+  }
+  if (aiming || changes.pressed.length || controls.pad.size) controls.device = 'gamepad';
+  controls.padButtons = buttons;
+  return changes;
+}
+
+// Touch layout: a virtual stick on the left, action buttons on the right
+const TOUCH_STICK_RADIUS = 56;
+
+function getTouchLayout(width, height) {
+  const button = (action, label, x, y, r) => ({ action, label, x: x - r, y: y - r, w: r * 2, h: r * 2, r });
+  return {
+    stick: { x: 100, y: height - 110, r: TOUCH_STICK_RADIUS },
+    buttons: [
+      button('jump', 'Jump', width - 70, height - 90, 38),
+      button('use', 'Use', width - 160, height - 60, 34),
+      button('place', 'Place', width - 150, height - 150, 30),
+      button('inventory', 'Inv', width - 40, height - 200, 22),
+      button('crafting', 'Craft', width - 40, height - 250, 22),
+      button('drop', 'Drop', width - 40, height - 300, 22),
+    ],
+  };
+}
+
+// Held directions for a stick touch at (x, y)
+function stickActions(stick, x, y) {
+  const dx = (x - stick.x) / stick.r;
+  const dy = (y - stick.y) / stick.r;
+  const actions = [];
+  if (dx < -0.35) actions.push('left');
+  if (dx > 0.35) actions.push('right');
+  if (dy > 0.6) actions.push('down');
+  if (dy < -0.6) actions.push('jump');
+  return actions;
+}
+
+loadBindings();
@@ -0,0 +1,99 @@
+/*
+  Crafting
+  - RECIPES turn input items into output items; most need a crafting station
+    tile (workbench, furnace, anvil) within CRAFT_STATION_RANGE of the player
+  - The UI only asks for a craft through input.craft / input.craftCount;
+    update() does the crafting, so it is recorded and replayed like other input
+*/
+
+const CRAFT_STATION_RANGE = 4; // tiles from the player to a station
+
+// station: tile name of the station needed nearby (none = by hand)
+const RECIPES = [
+  { input: { [TILE.WOOD]: 10 }, output: { [TILE.WORKBENCH]: 1 }, name: "Workbench" },
+  { input: { [TILE.WOOD]: 1, [TILE.STONE]: 1 }, output: { [TILE.TORCH]: 4 }, name: "Torch" },
+  { input: { [TILE.WOOD]: 1 }, output: { [TILE.WOOD_PLATFORM]: 2 }, name: "Wood Platform" },
+  { input: { [TILE.STONE]: 20, [TILE.WOOD]: 4, [TILE.TORCH]: 3 }, output: { [TILE.FURNACE]: 1 }, name: "Furnace", station: 'workbench' },
+  { input: { [TILE.IRON_ORE]: 8, [TILE.STONE]: 4 }, output: { [TILE.ANVIL]: 1 }, name: "Anvil", station: 'workbench' },
+  { input: { [TILE.SAND]: 2 }, output: { [TILE.GLASS]: 1 }, name: "Glass", station: 'furnace' },
+  { input: { [TILE.STONE]: 3 }, output: { [TILE.BRICK]: 1 }, name: "Brick", station: 'furnace' },
+  { input: { [TILE.WOOD]: 8 }, output: { [ITEM.WOOD_PICKAXE]: 1 }, name: "Wooden Pickaxe", station: 'workbench' },
+  { input: { [TILE.WOOD]: 6 }, output: { [ITEM.WOOD_AXE]: 1 }, name: "Wooden Axe", station: 'workbench' },
+  { input: { [TILE.WOOD]: 5, [TILE.STONE]: 2 }, output: { [ITEM.WOOD_HAMMER]: 1 }, name: "Wooden Hammer", station: 'workbench' },
+  { input: { [TILE.WOOD]: 3, [TILE.STONE]: 6 }, output: { [ITEM.STONE_PICKAXE]: 1 }, name: "Stone Pickaxe", station: 'workbench' },
+  { input: { [TILE.WOOD]: 3, [TILE.STONE]: 5 }, output: { [ITEM.STONE_AXE]: 1 }, name: "Stone Axe", station: 'workbench' },
+  { input: { [TILE.WOOD]: 3, [TILE.IRON_ORE]: 6 }, output: { [ITEM.IRON_PICKAXE]: 1 }, name: "Iron Pickaxe", station: 'anvil' },
+  { input: { [TILE.WOOD]: 3, [TILE.IRON_ORE]: 5 }, output: { [ITEM.IRON_AXE]: 1 }, name: "Iron Axe", station: 'anvil' },
+  { input: { [TILE.WOOD]: 8, [TILE.IRON_ORE]: 1 }, output: { [TILE.CHEST]: 1 }, name: "Chest", station: 'workbench' },
+  { input: { [TILE.WOOD]: 6 }, output: { [TILE.DOOR]: 1 }, name: "Door", station: 'workbench' },
+  { input: { [TILE.WOOD]: 12 }, output: { [TILE.BED]: 1 }, name: "Bed", station: 'workbench' },
+  { input: { [TILE.WOOD]: 1 }, output: { [WALL_ITEM_OFFSET + TILE.WOOD]: 4 }, name: "Wood Wall", station: 'workbench' },
+  { input: { [TILE.BRICK]: 1 }, output: { [WALL_ITEM_OFFSET + TILE.BRICK]: 4 }, name: "Brick Wall", station: 'workbench' },
+  { input: { [TILE.STONE]: 1 }, output: { [TILE.STONE_SLAB]: 2 }, name: "Stone Slab", station: 'workbench' },
+  { input: { [TILE.STONE]: 1 }, output: { [TILE.STONE_SLOPE]: 1 }, name: "Stone Slope", station: 'workbench' },
+  { input: { [ITEM.APPLE]: 2 }, output: { [ITEM.BAKED_APPLE]: 1 }, name: "Baked Apple", station: 'furnace' },
+];
+
+// Tile IDs of the stations within reach of the player
+function getNearbyStations() {
+  const stations = new Set();
+  const px = Math.floor(player.x / TILE_SIZE);
+  const py = Math.floor(player.y / TILE_SIZE);
+  for (let ty = py - CRAFT_STATION_RANGE; ty <= py + CRAFT_STATION_RANGE; ty++) {
+    for (let tx = px - CRAFT_STATION_RANGE; tx <= px + CRAFT_STATION_RANGE; tx++) {
+      const t = getTile(tx, ty);
+      if (getTileDef(t).station) stations.add(t);
+    }
+  }
+  return stations;
+}
+
+function hasStation(recipe, stations = getNearbyStations()) {
+  return !recipe.station || stations.has(TILE[tileKey(recipe.station)]);
+}
+
+function canCraft(recipe, stations) {
+  return maxCraftable(recipe, stations) > 0;
+}
+
+// How many times a recipe can be crafted right now (inputs, station and room)
+function maxCraftable(recipe, stations) {
+  if (!hasStation(recipe, stations)) return 0;
+  let times = Infinity;
+  for (const [inputId, count] of Object.entries(recipe.input)) {
+    times = Math.min(times, Math.floor(countItem(inputId) / count));
+  }
+  // Outputs must fit (ignoring the room the used-up inputs would free)
+  while (times > 0 && !Object.entries(recipe.output).every(([outputId, count]) => hasRoomFor(outputId, count * times))) {
+    times--;
+  }
+  return times;
+}
+
+// Craft a recipe `times` times (0 = as often as possible); returns how many were made
+function craftRecipe(recipe, times = 1) {
+  const crafts = times > 0 ? Math.min(times, maxCraftable(recipe)) : maxCraftable(recipe);
+
+  for (const [inputId, count] of Object.entries(recipe.input)) {
+    removeItem(inputId, count * crafts);
+  }
+  for (const [outputId, count] of Object.entries(recipe.output)) {
+    addItem(outputId, count * crafts);
+  }
+  if (crafts > 0) cueSound('craft');
+  return crafts;
+}
+
+// Recipe browser filter: name or ingredient text, craftable-only, and
+// "what uses this" (recipes taking item `uses` as input)
+function findRecipes({ query = '', craftableOnly = false, uses = null } = {}) {
+  const stations = getNearbyStations();
+  const text = query.trim().toLowerCase();
+  return RECIPES.filter((recipe) => {
+    if (uses !== null && !(uses in recipe.input)) return false;
+    if (craftableOnly && !canCraft(recipe, stations)) return false;
+    if (!text) return true;
+    const names = [recipe.name, ...Object.keys(recipe.input).map(itemName)];
+    return names.some((name) => name.toLowerCase().includes(text));
+  });
+}
@@ -0,0 +1,132 @@
+/*
+  Dropped items
+  - gameState.drops holds the item stacks lying in the world
+    ({ id, count, x, y, vx, vy, ... }); they are saved with it, so nothing
+    left on the ground is lost by saving and loading
+  - Mined tiles and thrown stacks become drops; they fall, bounce and slide
+    with aabbVsTiles, and nearby drops of the same item merge
+  - Close to the player they fly into the inventory (if it has room); left
+    alone for DROP_DESPAWN_TIME they vanish
+*/
+
+const DROP_SIZE = 12; // px, square
+const DROP_BOUNCE = 0.4; // share of the landing speed kept
+const DROP_MIN_BOUNCE = 2; // slower landings just stop
+const DROP_FRICTION = 0.8; // ground slide, per step
+const DROP_MERGE_RANGE = TILE_SIZE; // px
+const DROP_MAGNET_RANGE = 4 * TILE_SIZE; // px
+const DROP_MAGNET_SPEED = 8; // px per step, at full pull
+const DROP_THROW_DELAY = 1.5; // seconds before a thrown stack can be picked up again
+const DROP_DESPAWN_TIME = 300; // seconds
+const MAX_DROPS = 250; // the oldest go first
+
+function spawnDrop(id, count, x, y, vx = 0, vy = 0, pickupDelay = 0) {
+  const drop = { id, count, x, y, vx, vy, onGround: false, age: 0, pickupDelay };
+  gameState.drops.push(drop);
+  if (gameState.drops.length > MAX_DROPS) {
+    const oldest = gameState.drops.reduce((a, b) => (b.age > a.age ? b : a));
+    gameState.drops.splice(gameState.drops.indexOf(oldest), 1);
+  }
+  return drop;
+}
+
+// A mined tile's item pops out of its cell
+function dropFromTile(id, tx, ty) {
+  const vx = (gameRandom() - 0.5) * 3;
+  spawnDrop(id, 1, (tx + 0.5) * TILE_SIZE, (ty + 0.5) * TILE_SIZE, vx, -2 - gameRandom() * 2);
+}
+
+// Throw the stack held by the mouse, or else the selected hotbar stack, ahead of the player
+function dropHeldItem() {
+  let stack = gameState.cursorStack;
+  if (stack) {
+    gameState.cursorStack = null;
+  } else {
+    stack = getHeldItem();
+    if (!stack) return;
+    gameState.inventory[selectedHotbar] = null;
+  }
+  const dir = player.facing || 1;
+  spawnDrop(stack.id, stack.count, player.x + dir * player.width / 2, player.y - player.height / 4,
+    dir * 4 + player.vx, -3, DROP_THROW_DELAY);
+}
+
+function updateDrops(dt) {
+  for (const drop of gameState.drops) {
+    drop.age += dt / 60;
+    drop.pickupDelay = Math.max(0, drop.pickupDelay - dt / 60);
+    if (!isDropLoaded(drop)) continue; // wait for the player to come back
+
+    if (!pullDrop(drop, dt)) moveDrop(drop, dt);
+    if (drop.pickupDelay === 0 && !isDead() && dropTouchesPlayer(drop)) {
+      drop.count = addItem(drop.id, drop.count);
+    }
+  }
+  mergeDrops();
+  gameState.drops = gameState.drops.filter((drop) => drop.count > 0 && drop.age < DROP_DESPAWN_TIME);
+}
+
+// Physics
+function moveDrop(drop, dt) {
+  const inLiquid = isLiquid(getTile(Math.floor(drop.x / TILE_SIZE), Math.floor(drop.y / TILE_SIZE)));
+  drop.vy = Math.min(inLiquid ? 1.5 : TERMINAL_VELOCITY, drop.vy + GRAVITY * dt);
+  if (inLiquid) drop.vx *= 0.9;
+  if (drop.onGround) drop.vx *= DROP_FRICTION;
+
+  const resultX = aabbVsTiles(drop.x, drop.y, DROP_SIZE, DROP_SIZE, drop.vx * dt, 0);
+  drop.x = resultX.x;
+  if (resultX.hitX) drop.vx = -drop.vx * DROP_BOUNCE;
+
+  const resultY = aabbVsTiles(drop.x, drop.y, DROP_SIZE, DROP_SIZE, 0, drop.vy * dt);
+  drop.y = resultY.y;
+  if (resultY.hitY) {
+    drop.vy = resultY.grounded && drop.vy > DROP_MIN_BOUNCE ? -drop.vy * DROP_BOUNCE : 0;
+  }
+  drop.onGround = resultY.grounded && drop.vy === 0;
+}
+
+// Fly toward a nearby player with room for it, through tiles; returns whether it did
+function pullDrop(drop, dt) {
+  const dx = player.x - drop.x;
+  const dy = player.y - drop.y;
+  const dist = Math.hypot(dx, dy);
+  if (drop.pickupDelay > 0 || isDead() || dist > DROP_MAGNET_RANGE || dist === 0 || !hasRoomFor(drop.id, 1)) return false;
+
+  const speed = DROP_MAGNET_SPEED * (1 - dist / DROP_MAGNET_RANGE / 2);
+  drop.vx = (dx / dist) * speed;
+  drop.vy = (dy / dist) * speed;
+  drop.x += drop.vx * dt;
+  drop.y += drop.vy * dt;
+  drop.onGround = false;
+  return true;
+}
+
+function dropTouchesPlayer(drop) {
+  return Math.abs(drop.x - player.x) < (DROP_SIZE + player.width) / 2 &&
+    Math.abs(drop.y - player.y) < (DROP_SIZE + player.height) / 2;
+}
+
+// Drops only move in loaded chunks, so they never pull far-away chunks back in
+function isDropLoaded(drop) {
+  const tx = Math.floor(drop.x / TILE_SIZE);
+  const ty = Math.floor(drop.y / TILE_SIZE);
+  return inBounds(tx, ty) && world.chunks.has(chunkKey(Math.floor(tx / CHUNK_SIZE), Math.floor(ty / CHUNK_SIZE)));
+}
+
+// Neighbouring drops of the same item become one stack (as far as stacks go)
+function mergeDrops() {
+  const drops = gameState.drops;
+  for (let i = 0; i < drops.length; i++) {
+    const a = drops[i];
+    if (a.count === 0) continue;
+    for (let j = i + 1; j < drops.length; j++) {
+      const b = drops[j];
+      if (b.count === 0 || b.id !== a.id || a.count + b.count > maxStack(a.id)) continue;
+      if (Math.abs(a.x - b.x) > DROP_MERGE_RANGE || Math.abs(a.y - b.y) > DROP_MERGE_RANGE) continue;
+      a.count += b.count;
+      a.age = Math.min(a.age, b.age);
+      a.pickupDelay = Math.max(a.pickupDelay, b.pickupDelay);
+      b.count = 0;
+    }
+  }
+}
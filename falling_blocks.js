@@ -0,0 +1,78 @@
+/*
+  Falling blocks
+  - Tiles with `gravity` in their definition (sand, gravel) need something
+    under them: setTile() calls wakeFallingTiles() for every change, and a
+    gravity tile left over air or liquid comes loose as a falling block
+  - gameState.fallingBlocks holds them ({ id, tx, y, vy }), and saves keep
+    them, so a cave-in goes on where it was after loading; they drop straight
+    down their column (through water and lava, which they push up out of the
+    cell they land in) and set their tile again there
+  - Taking the block under a sand column out brings the whole column down,
+    one tile after another; a block that lands on the player hurts and
+    breaks into its item instead of burying them
+*/
+
+const FALLING_BLOCK_DAMAGE = 10;
+
+// A change at (tx, ty) may leave that tile or the one on top of it hanging
+function wakeFallingTiles(tx, ty) {
+  for (const y of [ty, ty - 1]) {
+    if (getTileDef(getTile(tx, y)).gravity && fallsInto(getTile(tx, y + 1))) startFalling(tx, y);
+  }
+}
+
+// Falling blocks pass through air and liquids and rest on anything else
+function fallsInto(tileId) {
+  return tileId === TILE.AIR || isLiquid(tileId);
+}
+
+// The tile leaves the grid; clearing it wakes the tile above in turn
+function startFalling(tx, ty) {
+  gameState.fallingBlocks.push({ id: getTile(tx, ty), tx, y: ty * TILE_SIZE, vy: 0 });
+  setTile(tx, ty, TILE.AIR);
+}
+
+function updateFallingBlocks(dt) {
+  for (const block of gameState.fallingBlocks) {
+    block.vy = Math.min(TERMINAL_VELOCITY, block.vy + GRAVITY * dt);
+    const y = block.y + block.vy * dt;
+
+    if (fallingBlockHitsPlayer(block.tx, y)) {
+      damagePlayer(FALLING_BLOCK_DAMAGE);
+      const drop = getTileDrop(block.id);
+      if (drop >= 0) dropFromTile(drop, block.tx, Math.floor(y / TILE_SIZE));
+      block.landed = true;
+      continue;
+    }
+
+    // Land on the first row in the way that the block's bottom has reached
+    for (let row = Math.floor(block.y / TILE_SIZE) + 1; row * TILE_SIZE < y + TILE_SIZE; row++) {
+      if (!fallsInto(getTile(block.tx, row))) {
+        block.landed = true;
+        landFallingBlock(block, row - 1);
+        break;
+      }
+    }
+    block.y = y;
+  }
+  gameState.fallingBlocks = gameState.fallingBlocks.filter((block) => !block.landed);
+}
+
+// Liquid in the landing cell rises into the cells above it, all of which the
+// block fell through; it stops under a different liquid rather than mix into it
+function landFallingBlock(block, ty) {
+  const liquid = getTile(block.tx, ty);
+  let displaced = isLiquid(liquid) ? getLiquidLevel(block.tx, ty) : 0;
+  setTile(block.tx, ty, block.id);
+  for (let y = ty - 1; displaced > 0 && inBounds(block.tx, y); y--) {
+    const above = getTile(block.tx, y);
+    if (above !== TILE.AIR && above !== liquid) break;
+    displaced = addLiquid(block.tx, y, liquid, displaced);
+  }
+}
+
+function fallingBlockHitsPlayer(tx, y) {
+  const x = (tx + 0.5) * TILE_SIZE;
+  return !isDead() && Math.abs(x - player.x) < (TILE_SIZE + player.width) / 2 &&
+    Math.abs(y + TILE_SIZE / 2 - player.y) < (TILE_SIZE + player.height) / 2;
+}
@@ -0,0 +1,117 @@
+/*
+  Headless runner
+  - Loads the simulation scripts into a fresh Node vm context, where they share
+    one global scope just like <script> tags do in the browser
+  - No canvas, DOM or window: drive the game with scripted input and inspect it
+
+  Usage:
+    const { createSimulation } = require('./headless');
+    const sim = createSimulation({ seed: 42 });
+    sim.step({ right: true }, 60); // hold right for one second
+    console.log(sim.player.x, sim.getTile(0, 80));
+
+  createSimulation({ tiles: 'my_tiles.json' }) adds tiles from a definition file.
+  createSimulation({ audioContext }) plays sound into a stand-in for the Web Audio
+  AudioContext (see audio.js): call sim.updateAudio() where a browser would draw a frame.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Simulation scripts in load order (the browser loads the same files)
+const SIM_SCRIPTS = ['tiles.js', 'biomes.js', 'sim.js', 'inventory.js', 'crafting.js', 'save.js', 'mobs.js', 'drops.js', 'lighting.js', 'liquids.js', 'walls.js', 'tile_entities.js', 'trees.js', 'falling_blocks.js', 'status_effects.js', 'respawn.js', 'replay.js'];
+
+// Sound, loaded after them; it stays silent until given an AudioContext
+const AUDIO_SCRIPT = 'audio.js';
+
+// Globals of the simulation handed out to callers
+const EXPORTS = [
+  'TILE', 'TILE_SIZE', 'CHUNK_SIZE', 'WORLD_HEIGHT', 'RECIPES', 'HOTBAR_SIZE', 'INVENTORY_SIZE',
+  'world', 'player', 'camera', 'gameState', 'input',
+  'generateWorld', 'spawnPlayerOnSurface', 'getTile', 'setTile', 'isSolid', 'aabbVsTiles',
+  'update', 'advanceTime', 'updateWeather', 'startNewWeather', 'updatePlayerHealth', 'damagePlayer',
+  'ITEM', 'TOOLS', 'TILES', 'getTileDef', 'getTileDrop', 'loadTileDefinitions', 'getMiningSpeed', 'getLight', 'getLightLevel',
+  'MOB_TYPES', 'spawnMob', 'updateMobs', 'spawnDrop', 'updateDrops',
+  'FOODS', 'STATUS_EFFECTS', 'addEffect', 'hasEffect', 'eatHeldFood',
+  'DEATH_PENALTIES', 'isDead', 'findSurfaceSpawn', 'placeTileEntity', 'useTileEntity',
+  'getLiquidLevel', 'addLiquid', 'getPlayerLiquid',
+  'getWall', 'setWall', 'WALL_ITEM_OFFSET', 'getTileEntity', 'getOpenChest', 'TILE_ENTITY_TYPES',
+  'BIOMES', 'getBiome', 'treeShape', 'fellTree', 'updateSaplings', 'updateFallingBlocks',
+  'inBounds', 'applyEdit', 'MAX_TILE_ID', 'getEditedChunks', 'getEditedWalls',
+  'addItem', 'removeItem', 'countItem', 'getHeldItem', 'clickSlot',
+  'selectHotbar', 'canCraft', 'craftRecipe', 'maxCraftable', 'findRecipes', 'getNearbyStations', 'serializeGame', 'applySaveData',
+  'writeSaveFile', 'readSaveFile',
+  'replay', 'stepGame', 'startRecording', 'stopRecording', 'runReplay', 'stateHash',
+  'audio', 'initAudio', 'updateAudio', 'setVolume', 'tileMaterial',
+];
+
+const DEFAULT_INPUT = {
+  left: false, right: false, jump: false, down: false, mine: false, place: false,
+  craft: -1, craftCount: 1, slot: -1, split: false, quick: false, stow: false, drop: false, inventory: false,
+};
+
+function createSimulation({ seed = 1337, spawn = true, viewWidth = 1280, viewHeight = 720, tiles = null, audioContext = null } = {}) {
+  const context = vm.createContext({ console });
+  for (const file of [...SIM_SCRIPTS, AUDIO_SCRIPT]) {
+    const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  const sim = vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+  sim.context = context;
+  sim.camera.width = viewWidth;
+  sim.camera.height = viewHeight;
+
+  // Extra tile definitions from a JSON file, before any world is generated
+  if (tiles) sim.loadTileDefinitions(fs.readFileSync(tiles, 'utf8'));
+
+  // Run `frames` fixed 1/60 s updates with the given input held
+  sim.step = function (frameInput = {}, frames = 1) {
+    Object.assign(sim.input, DEFAULT_INPUT, frameInput);
+    for (let i = 0; i < frames; i++) {
+      sim.stepGame();
+    }
+    return sim;
+  };
+
+  // Look up a recipe by name and craft it `count` times (0 = as many as possible)
+  // as a recorded input step; returns how many were made
+  sim.craft = function (name, count = 1) {
+    const index = sim.RECIPES.findIndex((r) => r.name === name);
+    if (index < 0) throw new Error(`Unknown recipe: ${name}`);
+    const available = sim.maxCraftable(sim.RECIPES[index]);
+    sim.step({ craft: index, craftCount: count });
+    return count > 0 ? Math.min(count, available) : available;
+  };
+
+  // Current value of a top-level `let` binding (e.g. 'selectedHotbar')
+  sim.read = function (name) {
+    return vm.runInContext(name, context);
+  };
+
+  sim.generateWorld(seed);
+  if (spawn) sim.spawnPlayerOnSurface();
+  if (audioContext) sim.initAudio(audioContext);
+  return sim;
+}
+
+module.exports = { createSimulation, SIM_SCRIPTS };
+
+// `node headless.js [frames] [seed]` runs the game standing still and prints a summary;
+// `node headless.js replay.json` replays a recording and checks its final state
+if (require.main === module && /\.json$/.test(process.argv[2] || '')) {
+  const recording = JSON.parse(fs.readFileSync(process.argv[2], 'utf8'));
+  const sim = createSimulation({ spawn: false });
+  const hash = sim.runReplay(recording);
+  const matched = !recording.finalHash || hash === recording.finalHash;
+  console.log(JSON.stringify({ frames: recording.frameCount, hash, matched }));
+  process.exitCode = matched ? 0 : 1;
+} else if (require.main === module) {
+  const frames = parseInt(process.argv[2], 10) || 600;
+  const seed = parseInt(process.argv[3], 10) || 1337;
+  const sim = createSimulation({ seed });
+  sim.step({}, frames);
+  const { x, y, health, onGround } = sim.player;
+  console.log(JSON.stringify({ seed, frames, player: { x, y, health, onGround }, weather: sim.gameState.weather.type }));
+}
@@ -0,0 +1,182 @@
+/*
+  Slot inventory
+  - gameState.inventory is an array of INVENTORY_SIZE slots, each null or { id, count }
+  - The first HOTBAR_SIZE slots are the hotbar, the rest the backpack
+  - gameState.cursorStack is the stack picked up with the mouse in the inventory screen
+  - Slot numbers from INVENTORY_SIZE up are the open chest's slots (see tile_entities.js)
+*/
+
+const MAX_STACK = 99;
+
+function maxStack(id) {
+  return TOOLS[id] ? 1 : MAX_STACK;
+}
+
+function createInventory() {
+  return new Array(INVENTORY_SIZE).fill(null);
+}
+
+// Total count of an item across all slots
+function countItem(id) {
+  let total = 0;
+  for (const slot of gameState.inventory) {
+    if (slot && slot.id == id) total += slot.count;
+  }
+  return total;
+}
+
+// { id: total count } over all slots
+function inventoryTotals() {
+  const totals = {};
+  for (const slot of gameState.inventory) {
+    if (slot) totals[slot.id] = (totals[slot.id] || 0) + slot.count;
+  }
+  return totals;
+}
+
+// Whether `count` more of an item would fit
+function hasRoomFor(id, count) {
+  let room = 0;
+  for (const slot of gameState.inventory) {
+    if (!slot) room += maxStack(id);
+    else if (slot.id == id) room += maxStack(id) - slot.count;
+    if (room >= count) return true;
+  }
+  return false;
+}
+
+// Add items, topping up existing stacks before using empty slots
+// (of the inventory, or another slot array such as a chest's).
+// Returns how many did not fit.
+function addItem(id, count = 1, inventory = gameState.inventory) {
+  id = Number(id);
+  const limit = maxStack(id);
+  for (const slot of inventory) {
+    if (count <= 0) break;
+    if (slot && slot.id === id && slot.count < limit) {
+      const moved = Math.min(count, limit - slot.count);
+      slot.count += moved;
+      count -= moved;
+    }
+  }
+  for (let i = 0; i < inventory.length && count > 0; i++) {
+    if (!inventory[i]) {
+      const moved = Math.min(count, limit);
+      inventory[i] = { id, count: moved };
+      count -= moved;
+    }
+  }
+  return count;
+}
+
+// Remove items, taking from the backpack before the hotbar.
+// Returns false (and removes nothing) if there aren't enough.
+function removeItem(id, count = 1) {
+  if (countItem(id) < count) return false;
+  const inventory = gameState.inventory;
+  for (let i = inventory.length - 1; i >= 0 && count > 0; i--) {
+    const slot = inventory[i];
+    if (slot && slot.id == id) {
+      const taken = Math.min(count, slot.count);
+      slot.count -= taken;
+      count -= taken;
+      if (slot.count === 0) inventory[i] = null;
+    }
+  }
+  return true;
+}
+
+// Take `count` from one slot
+function takeFromSlot(index, count = 1) {
+  const slot = gameState.inventory[index];
+  if (!slot) return;
+  slot.count -= count;
+  if (slot.count <= 0) gameState.inventory[index] = null;
+}
+
+// The stack in the selected hotbar slot, or null
+function getHeldItem() {
+  return gameState.inventory[selectedHotbar];
+}
+
+// The slot array and index behind a slot number, or null
+function slotLocation(index) {
+  if (index >= 0 && index < INVENTORY_SIZE) return { slots: gameState.inventory, i: index };
+  const chest = getOpenChest();
+  if (chest && index >= INVENTORY_SIZE && index < INVENTORY_SIZE + chest.items.length) {
+    return { slots: chest.items, i: index - INVENTORY_SIZE };
+  }
+  return null;
+}
+
+// Mouse interaction with a slot.
+// Left: pick up / put down / merge / swap with the cursor stack.
+// Split (right): pick up half a stack, or put down a single item.
+function clickSlot(index, split) {
+  const location = slotLocation(index);
+  if (!location) return;
+  const { slots, i } = location;
+  const slot = slots[i];
+  const held = gameState.cursorStack;
+
+  if (split) {
+    if (!held && slot) {
+      const half = Math.ceil(slot.count / 2);
+      gameState.cursorStack = { id: slot.id, count: half };
+      slot.count -= half;
+      if (slot.count === 0) slots[i] = null;
+    } else if (held && (!slot || (slot.id === held.id && slot.count < maxStack(slot.id)))) {
+      if (slot) slot.count++;
+      else slots[i] = { id: held.id, count: 1 };
+      held.count--;
+      if (held.count === 0) gameState.cursorStack = null;
+    }
+    return;
+  }
+
+  if (!held) {
+    slots[i] = null;
+    gameState.cursorStack = slot;
+  } else if (slot && slot.id === held.id) {
+    const moved = Math.min(held.count, maxStack(slot.id) - slot.count);
+    slot.count += moved;
+    held.count -= moved;
+    if (held.count === 0) gameState.cursorStack = null;
+  } else {
+    slots[i] = held;
+    gameState.cursorStack = slot;
+  }
+}
+
+// Shift-click: move a whole stack between the inventory and the open chest
+function quickMoveSlot(index) {
+  const location = slotLocation(index);
+  const chest = getOpenChest();
+  if (!location || !chest || !location.slots[location.i]) return;
+  const { slots, i } = location;
+  const target = slots === chest.items ? gameState.inventory : chest.items;
+  const left = addItem(slots[i].id, slots[i].count, target);
+  if (left > 0) slots[i].count = left;
+  else slots[i] = null;
+}
+
+// Put the cursor stack back into the inventory (e.g. when the screen closes)
+function stowCursorStack() {
+  const held = gameState.cursorStack;
+  if (!held) return;
+  gameState.cursorStack = null;
+  const leftover = addItem(held.id, held.count);
+  if (leftover > 0) showMessage('Inventory full');
+}
+
+// Convert the old { tileId: count } inventory map into slots
+function inventoryFromCounts(counts) {
+  const saved = gameState.inventory;
+  gameState.inventory = createInventory();
+  for (const [id, count] of Object.entries(counts)) {
+    if (count > 0) addItem(id, count);
+  }
+  const converted = gameState.inventory;
+  gameState.inventory = saved;
+  return converted;
+}
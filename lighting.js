@@ -0,0 +1,158 @@
+/*
+  Tile lighting
+  - Light is flood-filled per chunk column (CHUNK_SIZE wide, full world height)
+    and cached until a tile within MAX_LIGHT of the column changes
+  - Sunlight runs straight down the sky column (until the first opaque tile or
+    background wall) and then spreads like any other light; it is stored at full strength and scaled by getSkyBrightness() when read
+  - Emitters (a tile definition's light = [r, g, b]) spread colored light around corners
+  - Every step through a transparent tile costs 1 level, into an opaque one OPAQUE_FALLOFF
+*/
+
+const MAX_LIGHT = 15;
+const OPAQUE_FALLOFF = 4;
+const NIGHT_BRIGHTNESS = 0.15; // how much sunlight is left at night
+
+const lightMap = {
+  columns: new Map(), // cx -> { sun, red, green, blue } (Uint8Arrays, CHUNK_SIZE x WORLD_HEIGHT)
+};
+
+function isTransparent(tileId) {
+  return getTileDef(tileId).transparent;
+}
+
+// Light at a tile as { sun, red, green, blue }, each 0..MAX_LIGHT (sun unscaled)
+function getLight(tx, ty) {
+  if (!inBounds(tx, ty)) return { sun: 0, red: 0, green: 0, blue: 0 };
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const column = getLightColumn(cx);
+  const i = ty * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+  return { sun: column.sun[i], red: column.red[i], green: column.green[i], blue: column.blue[i] };
+}
+
+// Sunlight strength for the time of day and weather (0..1)
+function getSkyBrightness() {
+  const t = gameState.dayTime;
+  let day;
+  if (t < 0.15) day = t / 0.15; // sunrise
+  else if (t < 0.6) day = 1;
+  else if (t < DAY_PORTION) day = 1 - (t - 0.6) / (DAY_PORTION - 0.6); // sunset
+  else day = 0;
+  const brightness = NIGHT_BRIGHTNESS + (1 - NIGHT_BRIGHTNESS) * day;
+  return brightness * (1 - gameState.weather.intensity * 0.3);
+}
+
+// Overall brightness of a tile right now (0 dark .. 1 full daylight)
+function getLightLevel(tx, ty) {
+  const light = getLight(tx, ty);
+  const sun = light.sun * getSkyBrightness();
+  return Math.max(sun, light.red, light.green, light.blue) / MAX_LIGHT;
+}
+
+// Forget cached light near a changed tile (called by setTile)
+function invalidateLight(tx) {
+  const first = Math.floor((tx - MAX_LIGHT) / CHUNK_SIZE);
+  const last = Math.floor((tx + MAX_LIGHT) / CHUNK_SIZE);
+  for (let cx = first; cx <= last; cx++) {
+    lightMap.columns.delete(cx);
+  }
+}
+
+// Drop cached columns far from the player
+function pruneLight(playerCx) {
+  for (const cx of lightMap.columns.keys()) {
+    if (Math.abs(cx - playerCx) > CHUNK_UNLOAD_RADIUS) lightMap.columns.delete(cx);
+  }
+}
+
+function getLightColumn(cx) {
+  let column = lightMap.columns.get(cx);
+  if (!column) {
+    column = computeLightColumn(cx);
+    lightMap.columns.set(cx, column);
+  }
+  return column;
+}
+
+// Light reaches at most MAX_LIGHT tiles, so flooding the column plus that margin
+// on both sides sees every source that can touch it
+function computeLightColumn(cx) {
+  const x0 = cx * CHUNK_SIZE - MAX_LIGHT;
+  const width = CHUNK_SIZE + MAX_LIGHT * 2;
+  const size = width * WORLD_HEIGHT;
+
+  // Per-tile cost of light entering it, and the emitters
+  const cost = new Uint8Array(size);
+  const sun = new Uint8Array(size);
+  const red = new Uint8Array(size);
+  const green = new Uint8Array(size);
+  const blue = new Uint8Array(size);
+  for (let x = 0; x < width; x++) {
+    // Read the chunks directly; getTile() per tile is the slow part here
+    const tileCx = Math.floor((x0 + x) / CHUNK_SIZE);
+    const localX = x0 + x - tileCx * CHUNK_SIZE;
+    let chunk = null;
+    let sky = true;
+    for (let y = 0; y < WORLD_HEIGHT; y++) {
+      if (y % CHUNK_SIZE === 0) chunk = getChunk(tileCx, y / CHUNK_SIZE);
+      const i = y * width + x;
+      const local = (y % CHUNK_SIZE) * CHUNK_SIZE + localX;
+      const t = chunk.tiles[local];
+      const transparent = isTransparent(t);
+      cost[i] = transparent ? 1 : OPAQUE_FALLOFF;
+      if (!transparent || chunk.walls[local] !== TILE.AIR) sky = false;
+      if (sky) sun[i] = MAX_LIGHT;
+      const emitted = getTileDef(t).light;
+      if (emitted) {
+        red[i] = emitted[0];
+        green[i] = emitted[1];
+        blue[i] = emitted[2];
+      }
+    }
+  }
+
+  for (const levels of [sun, red, green, blue]) {
+    floodLight(levels, cost, width);
+  }
+
+  // Keep the middle CHUNK_SIZE columns
+  const column = {};
+  for (const [name, levels] of Object.entries({ sun, red, green, blue })) {
+    const kept = new Uint8Array(CHUNK_SIZE * WORLD_HEIGHT);
+    for (let y = 0; y < WORLD_HEIGHT; y++) {
+      const from = y * width + MAX_LIGHT;
+      kept.set(levels.subarray(from, from + CHUNK_SIZE), y * CHUNK_SIZE);
+    }
+    column[name] = kept;
+  }
+  return column;
+}
+
+// Spread light levels outward in place: brightest first, one bucket per level
+function floodLight(levels, cost, width) {
+  const buckets = [];
+  for (let level = 0; level <= MAX_LIGHT; level++) buckets.push([]);
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] > 1) buckets[levels[i]].push(i);
+  }
+
+  for (let level = MAX_LIGHT; level > 1; level--) {
+    const bucket = buckets[level];
+    for (let b = 0; b < bucket.length; b++) {
+      const i = bucket[b];
+      if (levels[i] !== level) continue; // reached again more brightly
+      const x = i % width;
+      if (x > 0) spreadLight(levels, cost, buckets, level, i - 1);
+      if (x < width - 1) spreadLight(levels, cost, buckets, level, i + 1);
+      if (i >= width) spreadLight(levels, cost, buckets, level, i - width);
+      if (i + width < levels.length) spreadLight(levels, cost, buckets, level, i + width);
+    }
+  }
+}
+
+function spreadLight(levels, cost, buckets, level, n) {
+  const next = level - cost[n];
+  if (next > levels[n]) {
+    levels[n] = next;
+    if (next > 1) buckets[next].push(n);
+  }
+}
@@ -0,0 +1,184 @@
+/*
+  Liquids
+  - Water and lava are tiles with a fill level (1..MAX_FILL) kept in chunk.levels,
+    where 0 stands for a full tile so generated liquid needs no entry
+  - A cellular automaton moves liquid down first, then evens it out sideways;
+    only tiles in world.activeLiquids are simulated, and they drop out once settled
+  - Lava touching water hardens into obsidian (a full lava tile) or stone
+*/
+
+const MAX_FILL = 64; // fine steps so spread-out liquid settles nearly flat
+const LIQUID_FLOW_INTERVAL = { [TILE.WATER]: 3, [TILE.LAVA]: 12 }; // steps between flows
+const RAIN_POOL_CHANCE = 0.05; // chance a raindrop adds water where it lands
+const RAIN_DROP_FILL = 8;
+const BASIN_SEARCH = 8; // tiles to each side when checking whether rain can run off
+const LAVA_DAMAGE = 20;
+
+// Movement in liquid
+const SWIM_ACCEL = 0.6;
+const SWIM_SPEED = 4.5; // fastest upward swim
+const LIQUID_DRAG = 0.85;
+const LIQUID_TERMINAL_VELOCITY = 3;
+const BUOYANCY = { [TILE.WATER]: 0.8, [TILE.LAVA]: 0.6 }; // fraction of gravity cancelled
+
+function liquidKey(tx, ty) {
+  return tx + ',' + ty;
+}
+
+// Fill level of a liquid tile (0 if it isn't one)
+function getLiquidLevel(tx, ty) {
+  if (!isLiquid(getTile(tx, ty))) return 0;
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const level = getChunk(cx, cy).levels[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)];
+  return level || MAX_FILL;
+}
+
+// Set a tile to `level` of a liquid (air when the level runs out)
+function setLiquid(tx, ty, type, level) {
+  if (!inBounds(tx, ty)) return;
+  if (level <= 0) {
+    setTile(tx, ty, TILE.AIR);
+    return;
+  }
+  setTile(tx, ty, type);
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const chunk = getChunk(cx, cy);
+  chunk.levels[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)] = level >= MAX_FILL ? 0 : level;
+  chunk.dirty = true;
+  world.activeLiquids.add(liquidKey(tx, ty));
+}
+
+// Pour liquid into a tile; returns how much didn't fit
+function addLiquid(tx, ty, type, amount) {
+  const t = getTile(tx, ty);
+  if (t !== TILE.AIR && t !== type) return amount;
+  const level = getLiquidLevel(tx, ty);
+  const added = Math.min(amount, MAX_FILL - level);
+  if (added > 0) setLiquid(tx, ty, type, level + added);
+  return amount - added;
+}
+
+// A tile changed: the liquid around it (and in it) may flow again
+function wakeLiquids(tx, ty) {
+  for (const [x, y] of [[tx, ty], [tx - 1, ty], [tx + 1, ty], [tx, ty - 1], [tx, ty + 1]]) {
+    if (isLiquid(getTile(x, y))) world.activeLiquids.add(liquidKey(x, y));
+  }
+}
+
+function updateLiquids() {
+  const step = Math.round(gameState.totalTime * 60);
+  for (const type of [TILE.WATER, TILE.LAVA]) {
+    if (step % LIQUID_FLOW_INTERVAL[type] !== 0) continue;
+
+    // Bottom-up, left to right, so a run doesn't depend on Set order
+    const cells = [];
+    for (const key of world.activeLiquids) {
+      const [tx, ty] = key.split(',').map(Number);
+      const cx = Math.floor(tx / CHUNK_SIZE);
+      if (!world.chunks.has(chunkKey(cx, Math.floor(ty / CHUNK_SIZE)))) continue; // frozen until reloaded
+      if (getTile(tx, ty) === type) cells.push([tx, ty]);
+      else if (!isLiquid(getTile(tx, ty))) world.activeLiquids.delete(key);
+    }
+    cells.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+    const firstSide = (step / LIQUID_FLOW_INTERVAL[type]) % 2 === 0 ? -1 : 1; // alternate to avoid drift
+    for (const [tx, ty] of cells) {
+      if (getTile(tx, ty) !== type) continue; // moved or hardened earlier this pass
+      if (!flowLiquid(tx, ty, type, firstSide)) world.activeLiquids.delete(liquidKey(tx, ty));
+    }
+  }
+}
+
+// One flow step of a liquid tile; returns whether anything changed
+function flowLiquid(tx, ty, type, firstSide) {
+  if (hardenLava(tx, ty, type)) return true;
+
+  let level = getLiquidLevel(tx, ty);
+  const start = level;
+
+  // Fall into the tile below
+  const below = getTile(tx, ty + 1);
+  if (below === TILE.AIR || below === type) {
+    const room = MAX_FILL - getLiquidLevel(tx, ty + 1);
+    const moved = Math.min(level, room);
+    if (moved > 0) {
+      setLiquid(tx, ty + 1, type, MAX_FILL - room + moved);
+      level -= moved;
+    }
+  }
+
+  // Spread sideways toward lower neighbors
+  for (const side of [firstSide, -firstSide]) {
+    if (level <= 0) break;
+    const nx = tx + side;
+    const neighbor = getTile(nx, ty);
+    if (neighbor !== TILE.AIR && neighbor !== type) continue;
+    const neighborLevel = getLiquidLevel(nx, ty);
+    // A single unit only moves on if it can drop over an edge
+    const overEdge = !isSolid(getTile(nx, ty + 1)) && getLiquidLevel(nx, ty + 1) < MAX_FILL;
+    const moved = overEdge ? Math.max(1, Math.floor((level - neighborLevel) / 2)) : Math.floor((level - neighborLevel) / 2);
+    if (moved > 0 && neighborLevel < level) {
+      setLiquid(nx, ty, type, neighborLevel + moved);
+      level -= moved;
+    }
+  }
+
+  if (level === start) return false;
+  setLiquid(tx, ty, type, level);
+  wakeLiquids(tx, ty);
+  return true;
+}
+
+// Lava next to water turns solid; returns whether it did
+function hardenLava(tx, ty, type) {
+  const other = type === TILE.LAVA ? TILE.WATER : TILE.LAVA;
+  for (const [x, y] of [[tx - 1, ty], [tx + 1, ty], [tx, ty - 1], [tx, ty + 1]]) {
+    if (getTile(x, y) !== other) continue;
+    const [lx, ly] = type === TILE.LAVA ? [tx, ty] : [x, y];
+    setTile(lx, ly, getLiquidLevel(lx, ly) === MAX_FILL ? TILE.OBSIDIAN : TILE.STONE);
+    return true;
+  }
+  return false;
+}
+
+// Rain collects where it can't run off: in basins and on top of water
+function collectRain(tx, ty) {
+  if (gameRandom() >= RAIN_POOL_CHANCE) return;
+  const t = getTile(tx, ty);
+  if (t === TILE.WATER || (t === TILE.AIR && isBasin(tx, ty, -1) && isBasin(tx, ty, 1))) {
+    addLiquid(tx, ty, TILE.WATER, RAIN_DROP_FILL);
+  }
+}
+
+// Whether the floor under row ty runs level from tx into a wall (not off a drop)
+function isBasin(tx, ty, dir) {
+  for (let x = tx + dir, n = 0; n < BASIN_SEARCH; x += dir, n++) {
+    const t = getTile(x, ty);
+    if (isSolid(t) || t === TILE.WATER) return true;
+    if (!isSolid(getTile(x, ty + 1))) return false;
+  }
+  return false;
+}
+
+// Which liquid the player is in and how deep (0..1 of their height)
+function getPlayerLiquid() {
+  let type = TILE.AIR;
+  let depth = 0;
+  const samples = 4;
+  for (let s = 0; s < samples; s++) {
+    const y = player.y - player.height / 2 + (s + 0.5) * player.height / samples;
+    const tx = Math.floor(player.x / TILE_SIZE);
+    const ty = Math.floor(y / TILE_SIZE);
+    const t = getTile(tx, ty);
+    if (!isLiquid(t)) continue;
+    // Only the filled bottom part of the tile counts
+    const surface = (ty + 1) * TILE_SIZE - getLiquidLevel(tx, ty) / MAX_FILL * TILE_SIZE;
+    if (y >= surface) {
+      type = t;
+      depth += 1 / samples;
+    }
+  }
+  return { type, depth };
+}
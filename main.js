@@ -1,227 +1,18 @@
 /*
   Minimal Terraria-like prototype
-  - Chunked tile world (stone, dirt, grass, air)
-  - Player physics: walk, jump, gravity, friction
-  - Camera follows player
-  - Mining/placing within reach using mouse
-  - Simple hotbar (1..5)
+  - Browser client: canvas rendering, keyboard/mouse input and the game loop
+  - The simulation itself lives in sim.js
 */
 
-// Config
-const TILE_SIZE = 24;
-const WORLD_WIDTH = 200; // tiles
-const WORLD_HEIGHT = 120; // tiles
-const GRAVITY = 0.6;
-const TERMINAL_VELOCITY = 18;
-const MOVE_ACCEL = 0.9;
-const AIR_ACCEL = 0.5;
-const FRICTION = 0.85;
-const JUMP_VELOCITY = -12.5;
-const MAX_RUN_SPEED = 5.2;
-const REACH = 6; // tiles
-
-// Day/Night cycle
-const DAY_NIGHT_CYCLE_DURATION = 600; // seconds for a full day/night cycle
-const DAY_PORTION = 0.7; // 70% day, 30% night
-
-// Tile IDs
-const TILE = {
-  AIR: 0,
-  GRASS: 1,
-  DIRT: 2,
-  STONE: 3,
-  WOOD: 4,
-  SAND: 5,
-  GLASS: 6,
-  TORCH: 7,
-  BRICK: 8,
-};
-
-const TILE_COLORS = {
-  [TILE.AIR]: null,
-  [TILE.GRASS]: '#4db050',
-  [TILE.DIRT]: '#7a4b25',
-  [TILE.STONE]: '#888a8c',
-  [TILE.WOOD]: '#a3713a',
-  [TILE.SAND]: '#e6d098',
-  [TILE.GLASS]: 'rgba(175, 238, 238, 0.7)',
-  [TILE.TORCH]: '#ffcc33',
-  [TILE.BRICK]: '#bc4a3c',
-};
-
-// Tile properties
-const TILE_PROPS = {
-  [TILE.TORCH]: { emitsLight: true, lightRadius: 120 },
-};
-
-// World data
-const world = new Array(WORLD_HEIGHT)
-  .fill(0)
-  .map(() => new Array(WORLD_WIDTH).fill(TILE.AIR));
-
-// Utility RNG
-function mulberry32(a) {
-  return function () {
-    let t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function generateWorld(seed = 1337) {
-  const rand = mulberry32(seed);
-  // Simple 1D heightmap using layered noise-ish perturbations
-  let base = Math.floor(WORLD_HEIGHT * 0.55);
-  const heights = [];
-  let h = base;
-  for (let x = 0; x < WORLD_WIDTH; x++) {
-    // random walk with bounds
-    const step = (rand() - 0.5) * 2;
-    h += Math.sign(step) * (rand() < 0.55 ? 1 : 0);
-    h = Math.max(20, Math.min(WORLD_HEIGHT - 15, h));
-    heights.push(h);
-  }
-
-  // Generate biome regions
-  const biomes = [];
-  let currentBiome = 'forest';
-  let biomeLength = 20 + Math.floor(rand() * 30);
-  
-  for (let x = 0; x < WORLD_WIDTH; x++) {
-    if (biomeLength <= 0) {
-      // Switch biome
-      currentBiome = currentBiome === 'forest' ? 'desert' : 'forest';
-      biomeLength = 20 + Math.floor(rand() * 30);
-    }
-    biomes.push(currentBiome);
-    biomeLength--;
-  }
-
-  for (let x = 0; x < WORLD_WIDTH; x++) {
-    const groundY = heights[x];
-    const biome = biomes[x];
-    
-    for (let y = 0; y < WORLD_HEIGHT; y++) {
-      if (y > groundY + 20) {
-        world[y][x] = TILE.STONE;
-      } else if (y > groundY + 3) {
-        world[y][x] = TILE.DIRT;
-      } else if (y === groundY) {
-        // Surface tile depends on biome
-        if (biome === 'desert') {
-          world[y][x] = TILE.SAND;
-        } else {
-          world[y][x] = TILE.GRASS;
-        }
-      } else if (y > groundY && y <= groundY + 3) {
-        // Top layers depend on biome
-        if (biome === 'desert') {
-          world[y][x] = TILE.SAND;
-        } else {
-          world[y][x] = TILE.DIRT;
-        }
-      } else {
-        world[y][x] = TILE.AIR;
-      }
-    }
-    
-    // Sprinkle some stone patches
-    if (rand() < 0.1) {
-      const sy = groundY + 5 + Math.floor(rand() * 10);
-      const sh = 3 + Math.floor(rand() * 4);
-      const sw = 3 + Math.floor(rand() * 6);
-      for (let yy = sy; yy < sy + sh && yy < WORLD_HEIGHT; yy++) {
-        for (let xx = x; xx < x + sw && xx < WORLD_WIDTH; xx++) {
-          if (world[yy][xx] !== TILE.AIR) world[yy][xx] = TILE.STONE;
-        }
-      }
-    }
-    
-    // Add some wood in forest biomes
-    if (biome === 'forest' && rand() < 0.03) {
-      const treeHeight = 5 + Math.floor(rand() * 3);
-      for (let ty = 0; ty < treeHeight; ty++) {
-        const treeY = groundY - ty - 1;
-        if (treeY >= 0) {
-          world[treeY][x] = TILE.WOOD;
-        }
-      }
-    }
-  }
-}
+// Pointer: the mouse, or the aim cursor when playing with a gamepad or touch (see controls.js)
+let mouse = { x: 0, y: 0, dragFrom: -1 };
 
-// World helpers
-function inBounds(tx, ty) {
-  return tx >= 0 && ty >= 0 && tx < WORLD_WIDTH && ty < WORLD_HEIGHT;
-}
-function isSolid(tileId) {
-  return tileId !== TILE.AIR;
-}
-function getTile(tx, ty) {
-  if (!inBounds(tx, ty)) return TILE.STONE; // treat out-of-bounds as solid
-  return world[ty][tx];
-}
-function setTile(tx, ty, id) {
-  if (!inBounds(tx, ty)) return;
-  world[ty][tx] = id;
-}
-
-// Player
-const player = {
-  x: (WORLD_WIDTH / 2) * TILE_SIZE,
-  y: 0,
-  vx: 0,
-  vy: 0,
-  width: 18,
-  height: 34,
-  onGround: false,
-  facing: 1,
-  anim: { time: 0, walk: 0, state: 'idle' },
-  health: 100,
-  maxHealth: 100,
-  invulnerableTime: 0, // Invulnerability after taking damage
-  lastDamageTime: 0,
-};
-
-// Camera
-const camera = {
-  x: 0,
-  y: 0,
-  width: 0,
-  height: 0,
-};
-
-// Game state
-const gameState = {
-  dayTime: 0, // 0 to 1 representing time of day
-  totalTime: 0, // total game time in seconds
-  isDaytime: true,
-  showCraftingMenu: false,
-  inventory: {}, // Count of each item type
-  weather: {
-    type: 'clear', // 'clear', 'rain', 'storm'
-    intensity: 0, // 0 to 1
-    timeLeft: 0, // seconds
-    particles: [] // rain/snow particles
-  }
-};
-
-// Crafting recipes
-const RECIPES = [
-  { input: { [TILE.SAND]: 2 }, output: { [TILE.GLASS]: 1 }, name: "Glass" },
-  { input: { [TILE.STONE]: 3 }, output: { [TILE.BRICK]: 1 }, name: "Brick" },
-  { input: { [TILE.WOOD]: 1, [TILE.STONE]: 1 }, output: { [TILE.TORCH]: 4 }, name: "Torch" },
-];
-
-// Input
-const keys = new Set();
-let mouse = { x: 0, y: 0, tx: 0, ty: 0, left: false, right: false };
-
-// Inventory / hotbar
-const HOTBAR = [TILE.DIRT, TILE.STONE, TILE.WOOD, TILE.SAND, TILE.BRICK, TILE.GLASS, TILE.TORCH, TILE.GRASS, TILE.AIR];
-let selectedHotbar = 0; // index
-const HOTBAR_SIZE = 9; // Number of slots
+// What is drawn: the camera and player interpolated between the last two steps
+const view = { x: 0, y: 0, width: 0, height: 0 };
+let renderPlayer = player;
+let renderMobs = [];
+let renderDrops = [];
+let renderFallingBlocks = [];
 
 // Canvas setup
 const canvas = document.getElementById('game');
@@ -234,232 +25,517 @@ function resize() {
   canvas.style.width = window.innerWidth + 'px';
   canvas.style.height = window.innerHeight + 'px';
   ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-  camera.width = window.innerWidth;
-  camera.height = window.innerHeight;
+  camera.width = view.width = window.innerWidth;
+  camera.height = view.height = window.innerHeight;
 }
 window.addEventListener('resize', resize);
 
 // Controls
+// One-shot actions (see ACTIONS in controls.js)
+const ACTION_HANDLERS = {
+  hotbarNext: () => selectHotbar(selectedHotbar + 1),
+  hotbarPrev: () => selectHotbar(selectedHotbar - 1),
+  drop() {
+    input.drop = true;
+  },
+  crafting() {
+    gameState.showCraftingMenu = !gameState.showCraftingMenu;
+    craftMenu.typing = false;
+  },
+  // The chest beside it closes with it, so the simulation does the toggling
+  inventory() {
+    input.inventory = true;
+  },
+  save: () => blockedOnline('Saving') || benchmark.running || saveGame(),
+  load: () => blockedOnline('Loading') || benchmark.running || loadGame(),
+  worlds() {
+    saveMenu.open = !saveMenu.open;
+    saveMenu.selected = Math.max(0, readSaveIndex().slots.findIndex((slot) => slot.name === readSaveIndex().current));
+  },
+  record: () => blockedOnline('Recording') || toggleRecording(),
+  replay: () => blockedOnline('Replaying') || openReplay(),
+  keybindings() {
+    bindingsMenu.open = !bindingsMenu.open;
+    controls.rebinding = null;
+  },
+  sound() {
+    soundMenu.open = !soundMenu.open;
+  },
+};
+
+function runAction(actionId) {
+  if (ACTION_HANDLERS[actionId]) ACTION_HANDLERS[actionId]();
+}
+
 window.addEventListener('keydown', (e) => {
+  if (controls.rebinding) {
+    e.preventDefault();
+    finishRebinding(e.code);
+    return;
+  }
+  if (gameState.showCraftingMenu && handleCraftMenuKey(e)) return;
   if (e.repeat) return;
-  if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(e.key)) e.preventDefault();
-  keys.add(e.key.toLowerCase());
+  controls.device = 'mouse';
+  const actions = actionsForCode(e.code);
+  if (actions.length || e.key === ' ') e.preventDefault();
+  controls.held.add(e.code);
   
   // Hotbar selection (1-9)
   if (e.key >= '1' && e.key <= '9') {
-    selectedHotbar = parseInt(e.key, 10) - 1;
+    selectHotbar(parseInt(e.key, 10) - 1);
   }
   
-  // Scroll through hotbar with Q and E
-  if (e.key.toLowerCase() === 'q') {
-    selectedHotbar = (selectedHotbar - 1 + HOTBAR_SIZE) % HOTBAR_SIZE;
-  }
-  if (e.key.toLowerCase() === 'e') {
-    selectedHotbar = (selectedHotbar + 1) % HOTBAR_SIZE;
-  }
+  actions.filter(isPressAction).forEach(runAction);
   
-  // Toggle crafting menu with C
-  if (e.key.toLowerCase() === 'c') {
-    gameState.showCraftingMenu = !gameState.showCraftingMenu;
+  // Escape closes the inventory, the key bindings or the sound screen
+  if (e.key === 'Escape') {
+    if (gameState.showInventory) runAction('inventory');
+    bindingsMenu.open = false;
+    soundMenu.open = false;
   }
 });
 window.addEventListener('keyup', (e) => {
-  keys.delete(e.key.toLowerCase());
+  controls.held.delete(e.code);
 });
 
 canvas.addEventListener('mousemove', (e) => {
   const rect = canvas.getBoundingClientRect();
   mouse.x = e.clientX - rect.left;
   mouse.y = e.clientY - rect.top;
+  controls.device = 'mouse';
 });
+
+// A click at the pointer on the open screens and inventory slots; returns
+// whether it landed on one (so it never reaches the world)
+function clickUI(button, shift = false) {
+  if (bindingsMenu.open) {
+    if (button === 0) handleBindingsMenuClick(mouse.x, mouse.y);
+    return true;
+  }
+  if (saveMenu.open) {
+    if (button === 0) handleSaveMenuClick(mouse.x, mouse.y);
+    return true;
+  }
+  if (soundMenu.open) {
+    if (button === 0) handleSoundMenuClick(mouse.x, mouse.y);
+    return true;
+  }
+  if (gameState.showCraftingMenu && hitRect(getCraftMenuLayout(), mouse.x, mouse.y)) {
+    if (button === 0) handleCraftMenuClick(mouse.x, mouse.y);
+    return true;
+  }
+  
+  const slot = slotAt(mouse.x, mouse.y);
+  if (slot >= 0) {
+    if (gameState.showInventory) {
+      input.slot = slot;
+      input.split = button === 2;
+      input.quick = shift && button === 0;
+      mouse.dragFrom = input.quick ? -1 : slot;
+    } else if (button === 0) {
+      selectHotbar(slot);
+    }
+    return true;
+  }
+  return false;
+}
+
+// Dragging a stack onto another slot drops it there
+function releaseUI(button) {
+  const slot = slotAt(mouse.x, mouse.y);
+  if (button === 0 && mouse.dragFrom >= 0 && slot >= 0 && slot !== mouse.dragFrom && gameState.cursorStack) {
+    input.slot = slot;
+    input.split = false;
+    input.quick = false;
+  }
+  mouse.dragFrom = -1;
+}
+
+// Is the pointer over a screen or slot, where using and placing are off?
+function pointerOverUI() {
+  return bindingsMenu.open || saveMenu.open || soundMenu.open || slotAt(mouse.x, mouse.y) >= 0 || !!gameState.cursorStack ||
+    (gameState.showCraftingMenu && hitRect(getCraftMenuLayout(), mouse.x, mouse.y));
+}
+
 canvas.addEventListener('mousedown', (e) => {
-  if (e.button === 0) mouse.left = true;
-  if (e.button === 2) mouse.right = true;
+  controls.device = 'mouse';
+  const code = `Mouse${e.button}`;
+  if (controls.rebinding) {
+    finishRebinding(code);
+    return;
+  }
+  if (clickUI(e.button, e.shiftKey)) return;
+  controls.held.add(code);
+  actionsForCode(code).filter(isPressAction).forEach(runAction);
 });
 canvas.addEventListener('mouseup', (e) => {
-  if (e.button === 0) mouse.left = false;
-  if (e.button === 2) mouse.right = false;
+  releaseUI(e.button);
+  controls.held.delete(`Mouse${e.button}`);
 });
 canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+canvas.addEventListener('wheel', (e) => {
+  if (!gameState.showCraftingMenu) return;
+  e.preventDefault();
+  craftMenu.scroll += Math.sign(e.deltaY);
+}, { passive: false });
+
+// Gamepad: the right stick moves the aim cursor, triggers click at it
+function updateGamepad() {
+  const { pressed, released } = pollGamepad();
+  if (controls.device !== 'gamepad') return;
+  
+  const px = renderPlayer.x - view.x;
+  const py = renderPlayer.y - view.y;
+  controls.aim.x = Math.max(-px, Math.min(view.width - px, controls.aim.x));
+  controls.aim.y = Math.max(-py, Math.min(view.height - py, controls.aim.y));
+  mouse.x = px + controls.aim.x;
+  mouse.y = py + controls.aim.y;
+  
+  for (const actionId of pressed) {
+    if (actionId === 'use') clickUI(0);
+    else if (actionId === 'place') clickUI(2);
+    else if (isPressAction(actionId)) runAction(actionId);
+  }
+  if (released.includes('use')) releaseUI(0);
+}
 
-// Physics and collision
-function aabbVsTiles(px, py, pw, ph, dx, dy) {
-  // returns corrected position and whether grounded
-  let newX = px + dx;
-  let newY = py + dy;
-  let grounded = false;
-
-  // Horizontal resolution
-  if (dx !== 0) {
-    const dir = Math.sign(dx);
-    const step = dir * Math.min(Math.abs(dx), TILE_SIZE);
-    for (let moved = 0; moved < Math.abs(dx); moved += Math.abs(step)) {
-      const nextX = px + Math.min(Math.abs(dx), moved + Math.abs(step)) * dir;
-      const left = Math.floor((nextX - pw / 2) / TILE_SIZE);
-      const right = Math.floor((nextX + pw / 2) / TILE_SIZE);
-      const top = Math.floor((py - ph / 2) / TILE_SIZE);
-      const bottom = Math.floor((py + ph / 2 - 1) / TILE_SIZE);
-      let collided = false;
-      for (let ty = top; ty <= bottom; ty++) {
-        const tx = dir > 0 ? right : left;
-        if (isSolid(getTile(tx, ty))) {
-          collided = true;
-          break;
-        }
-      }
-      if (collided) {
-        newX = dir > 0 ? (right * TILE_SIZE - pw / 2) : ((left + 1) * TILE_SIZE + pw / 2);
-        // stop horizontal motion
-        return { x: newX, y: py, grounded: false, hitX: true, hitY: false };
-      }
-      newX = nextX;
-    }
+// Touch: the stick and buttons hold actions; touching anything else aims there
+// and uses it (or clicks the screen under the finger)
+const touches = new Map(); // touch identifier -> { stick } or { button } or { pointer }
+
+function refreshTouchActions() {
+  controls.touch.clear();
+  for (const touch of touches.values()) {
+    for (const actionId of touch.actions) controls.touch.add(actionId);
   }
+}
 
-  // Vertical resolution
-  if (dy !== 0) {
-    const dir = Math.sign(dy);
-    const step = dir * Math.min(Math.abs(dy), TILE_SIZE);
-    for (let moved = 0; moved < Math.abs(dy); moved += Math.abs(step)) {
-      const nextY = py + Math.min(Math.abs(dy), moved + Math.abs(step)) * dir;
-      const left = Math.floor((newX - pw / 2) / TILE_SIZE);
-      const right = Math.floor((newX + pw / 2) / TILE_SIZE);
-      const top = Math.floor((nextY - ph / 2) / TILE_SIZE);
-      const bottom = Math.floor((nextY + ph / 2 - 1) / TILE_SIZE);
-      let collided = false;
-      for (let tx = left; tx <= right; tx++) {
-        const ty = dir > 0 ? bottom : top;
-        if (isSolid(getTile(tx, ty))) {
-          collided = true;
-          break;
-        }
-      }
-      if (collided) {
-        if (dir > 0) {
-          grounded = true;
-          newY = bottom * TILE_SIZE - ph / 2;
-        } else {
-          newY = (top + 1) * TILE_SIZE + ph / 2;
-        }
-        return { x: newX, y: newY, grounded, hitX: false, hitY: true };
-      }
-      newY = nextY;
+function handleTouchStart(e) {
+  e.preventDefault();
+  controls.device = 'touch';
+  const rect = canvas.getBoundingClientRect();
+  const layout = getTouchLayout(view.width, view.height);
+  for (const t of e.changedTouches) {
+    const x = t.clientX - rect.left;
+    const y = t.clientY - rect.top;
+    const button = layout.buttons.find((b) => Math.hypot(x - b.x - b.r, y - b.y - b.r) <= b.r);
+    if (Math.hypot(x - layout.stick.x, y - layout.stick.y) <= layout.stick.r * 1.5) {
+      touches.set(t.identifier, { stick: true, x, y, actions: stickActions(layout.stick, x, y) });
+    } else if (button && isPressAction(button.action)) {
+      runAction(button.action);
+      touches.set(t.identifier, { button: button.action, actions: [] });
+    } else if (button) {
+      touches.set(t.identifier, { button: button.action, actions: [button.action] });
+    } else {
+      mouse.x = x;
+      mouse.y = y;
+      touches.set(t.identifier, { pointer: true, actions: clickUI(0) ? [] : ['use'] });
     }
   }
-
-  return { x: newX, y: newY, grounded, hitX: false, hitY: false };
+  refreshTouchActions();
 }
 
-function update(dt) {
-  // Update day/night cycle
-  gameState.totalTime += dt / 60; // Convert to seconds
-  gameState.dayTime = (gameState.totalTime % DAY_NIGHT_CYCLE_DURATION) / DAY_NIGHT_CYCLE_DURATION;
-  gameState.isDaytime = gameState.dayTime < DAY_PORTION;
-  
-  // Update weather
-  updateWeather(dt);
-  
-  // Update player health and damage
-  updatePlayerHealth(dt);
-  
-  // Update message system
-  updateMessage(dt);
-  
-  // Movement input
-  const left = keys.has('a') || keys.has('arrowleft');
-  const right = keys.has('d') || keys.has('arrowright');
-  const jump = keys.has('w') || keys.has('arrowup') || keys.has(' ');
-
-  const accel = player.onGround ? MOVE_ACCEL : AIR_ACCEL;
-  if (left && !right) player.vx -= accel;
-  if (right && !left) player.vx += accel;
-  if (left && !right) player.facing = -1;
-  if (right && !left) player.facing = 1;
-  if (!(left ^ right)) player.vx *= FRICTION; // no input → slow down
-  player.vx = Math.max(-MAX_RUN_SPEED, Math.min(MAX_RUN_SPEED, player.vx));
+function handleTouchMove(e) {
+  e.preventDefault();
+  const rect = canvas.getBoundingClientRect();
+  const layout = getTouchLayout(view.width, view.height);
+  for (const t of e.changedTouches) {
+    const touch = touches.get(t.identifier);
+    if (!touch) continue;
+    const x = t.clientX - rect.left;
+    const y = t.clientY - rect.top;
+    if (touch.stick) {
+      Object.assign(touch, { x, y, actions: stickActions(layout.stick, x, y) });
+    } else if (touch.pointer) {
+      mouse.x = x;
+      mouse.y = y;
+    }
+  }
+  refreshTouchActions();
+}
 
-  if (jump && player.onGround) {
-    player.vy = JUMP_VELOCITY;
-    player.onGround = false;
+function handleTouchEnd(e) {
+  e.preventDefault();
+  for (const t of e.changedTouches) {
+    const touch = touches.get(t.identifier);
+    if (touch && touch.pointer) releaseUI(0);
+    touches.delete(t.identifier);
   }
+  refreshTouchActions();
+}
 
-  // Gravity
-  player.vy = Math.min(TERMINAL_VELOCITY, player.vy + GRAVITY);
+canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
+canvas.addEventListener('touchcancel', handleTouchEnd, { passive: false });
+
+// Copy the held actions and the pointer into the simulation input
+function readInput() {
+  input.left = actionDown('left');
+  input.right = actionDown('right');
+  input.jump = actionDown('jump');
+  input.down = actionDown('down');
+  const overUI = pointerOverUI();
+  input.mine = actionDown('use') && !overUI;
+  input.place = actionDown('place') && !overUI;
+  input.tx = Math.floor((view.x + mouse.x) / TILE_SIZE);
+  input.ty = Math.floor((view.y + mouse.y) / TILE_SIZE);
+}
 
-  // Integrate with collisions
-  const resultX = aabbVsTiles(player.x, player.y, player.width, player.height, player.vx, 0);
-  player.x = resultX.x;
-  if (resultX.hitX) player.vx = 0;
+// Light level (0..MAX_LIGHT) nothing drops below, so unlit caves aren't pitch black
+const MIN_LIGHT = 1;
+const WALL_SHADE = 0.5; // background walls are drawn this much darker
+
+// Tile render hooks, picked by the `render` name in a tile definition.
+// Each draws one tile of cell (tx, ty) at (sx, sy) on opts.ctx (a cached chunk
+// image, see render_cache.js, or the screen) in its own color; light is multiplied in later.
+const TILE_RENDERERS = {
+  square(sx, sy, color, { ctx, def }) {
+    const texture = getTileTexture(def);
+    if (texture) {
+      ctx.drawImage(texture, sx, sy, TILE_SIZE, TILE_SIZE);
+    } else {
+      ctx.fillStyle = color;
+      ctx.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
+    }
+  },
 
-  const resultY = aabbVsTiles(player.x, player.y, player.width, player.height, 0, player.vy);
-  player.y = resultY.y;
-  if (resultY.hitY) player.vy = 0;
-  player.onGround = resultY.grounded;
+  torch(sx, sy, color, { ctx, isDark }) {
+    // Draw torch base
+    ctx.fillStyle = '#8B4513'; // Brown for torch stick
+    ctx.fillRect(sx + TILE_SIZE/2 - 2, sy + TILE_SIZE/2, 4, TILE_SIZE/2);
+    
+    // Draw flame with animation
+    const flameSize = 1 + Math.sin(gameState.totalTime * 10) * 0.5;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 6 * flameSize);
+    ctx.lineTo(sx + TILE_SIZE/2 - 4, sy + TILE_SIZE/2);
+    ctx.lineTo(sx + TILE_SIZE/2 + 4, sy + TILE_SIZE/2);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Draw glow effect
+    if (isDark) {
+      const gradient = ctx.createRadialGradient(
+        sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 3, 0,
+        sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 3, TILE_SIZE
+      );
+      gradient.addColorStop(0, 'rgba(255, 200, 0, 0.3)');
+      gradient.addColorStop(1, 'rgba(255, 200, 0, 0)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(sx - TILE_SIZE, sy - TILE_SIZE, TILE_SIZE * 3, TILE_SIZE * 3);
+    }
+  },
 
-  // Update animation state
-  if (window.PlayerAnim) {
-    window.PlayerAnim.update(player, dt);
-  }
-
-  // Camera follow
-  const marginX = camera.width * 0.3;
-  const marginY = camera.height * 0.3;
-  const targetX = player.x - camera.width / 2;
-  const targetY = player.y - camera.height / 2;
-  camera.x += (targetX - camera.x) * 0.15;
-  camera.y += (targetY - camera.y) * 0.15;
-  camera.x = Math.max(0, Math.min(camera.x, WORLD_WIDTH * TILE_SIZE - camera.width));
-  camera.y = Math.max(0, Math.min(camera.y, WORLD_HEIGHT * TILE_SIZE - camera.height));
-
-  // Mouse to tile
-  const worldMouseX = camera.x + mouse.x;
-  const worldMouseY = camera.y + mouse.y;
-  mouse.tx = Math.floor(worldMouseX / TILE_SIZE);
-  mouse.ty = Math.floor(worldMouseY / TILE_SIZE);
-
-  // Interact: mine/place
-  const pxTile = player.x / TILE_SIZE;
-  const pyTile = player.y / TILE_SIZE;
-  const dist = Math.hypot(mouse.tx - pxTile, mouse.ty - pyTile);
-  const inReach = dist <= REACH;
-
-  if (inReach) {
-    if (mouse.left) {
-      // mine (remove solid tile)
-      const t = getTile(mouse.tx, mouse.ty);
-      if (t !== TILE.AIR) {
-        // Add to inventory
-        gameState.inventory[t] = (gameState.inventory[t] || 0) + 1;
-        
-        // Remove from world
-        setTile(mouse.tx, mouse.ty, TILE.AIR);
-      }
-    } else if (mouse.right) {
-      // place selected if empty and not inside player
-      const placeId = HOTBAR[selectedHotbar];
-      if (placeId !== TILE.AIR && getTile(mouse.tx, mouse.ty) === TILE.AIR) {
-        // Check if we have this item in inventory
-        if (gameState.inventory[placeId] > 0 || placeId === TILE.DIRT) { // Dirt is infinite
-          // prevent placing inside player's AABB
-          const tileWorldX = mouse.tx * TILE_SIZE + TILE_SIZE / 2;
-          const tileWorldY = mouse.ty * TILE_SIZE + TILE_SIZE / 2;
-          const intersectsX =
-            Math.abs(tileWorldX - player.x) < (TILE_SIZE + player.width) / 2;
-          const intersectsY =
-            Math.abs(tileWorldY - player.y) < (TILE_SIZE + player.height) / 2;
-          
-          if (!(intersectsX && intersectsY)) {
-            setTile(mouse.tx, mouse.ty, placeId);
-            
-            // Remove from inventory (except dirt which is infinite)
-            if (placeId !== TILE.DIRT) {
-              gameState.inventory[placeId]--;
-            }
-          }
-        }
+  // Half blocks and slopes: the solid part only
+  shape(sx, sy, color, { ctx, def }) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    if (def.shape === 'half') {
+      ctx.rect(sx, sy + TILE_SIZE / 2, TILE_SIZE, TILE_SIZE / 2);
+    } else {
+      const high = def.shape === 'slope-right' ? sx + TILE_SIZE : sx; // corner at the top
+      ctx.moveTo(sx, sy + TILE_SIZE);
+      ctx.lineTo(sx + TILE_SIZE, sy + TILE_SIZE);
+      ctx.lineTo(high, sy);
+      ctx.closePath();
+    }
+    ctx.fill();
+  },
+
+  platform(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx, sy, TILE_SIZE, 6);
+    ctx.fillStyle = 'rgba(0,0,0,0.25)';
+    ctx.fillRect(sx + 3, sy + 6, 3, 4);
+    ctx.fillRect(sx + TILE_SIZE - 6, sy + 6, 3, 4);
+  },
+
+  glass(sx, sy, color, { ctx }) {
+    // Glass is semi-transparent
+    ctx.fillStyle = color;
+    ctx.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
+    
+    // Add reflection highlight
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillRect(sx + 2, sy + 2, 5, 5);
+  },
+
+  // Crafting stations
+  workbench(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx, sy + TILE_SIZE / 3, TILE_SIZE, 5);
+    ctx.fillRect(sx + 2, sy + TILE_SIZE / 3, 4, TILE_SIZE * 2 / 3);
+    ctx.fillRect(sx + TILE_SIZE - 6, sy + TILE_SIZE / 3, 4, TILE_SIZE * 2 / 3);
+    ctx.fillStyle = 'rgba(0,0,0,0.25)';
+    ctx.fillRect(sx, sy + TILE_SIZE / 3 + 5, TILE_SIZE, 2);
+  },
+
+  furnace(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx + 1, sy + 2, TILE_SIZE - 2, TILE_SIZE - 2);
+    // Glowing mouth
+    const flicker = 0.7 + Math.sin(gameState.totalTime * 8) * 0.15;
+    ctx.fillStyle = `rgba(255, 140, 40, ${flicker})`;
+    ctx.fillRect(sx + TILE_SIZE / 4, sy + TILE_SIZE / 2, TILE_SIZE / 2, TILE_SIZE / 3);
+    ctx.fillStyle = 'rgba(0,0,0,0.3)';
+    ctx.fillRect(sx + 1, sy + 2, TILE_SIZE - 2, 3);
+  },
+
+  anvil(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx + 1, sy + TILE_SIZE / 2 - 4, TILE_SIZE - 2, 6); // face
+    ctx.fillRect(sx + TILE_SIZE / 2 - 3, sy + TILE_SIZE / 2 + 2, 6, TILE_SIZE / 2 - 6); // waist
+    ctx.fillRect(sx + 4, sy + TILE_SIZE - 4, TILE_SIZE - 8, 4); // foot
+  },
+
+  // Tile entities
+  chest(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx + 2, sy + 6, TILE_SIZE - 4, TILE_SIZE - 6);
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillRect(sx + 2, sy + 11, TILE_SIZE - 4, 2); // lid seam
+    ctx.fillStyle = '#e8c547';
+    ctx.fillRect(sx + TILE_SIZE / 2 - 2, sy + 10, 4, 5); // latch
+  },
+
+  // Closed: a plank panel filling the doorway; open: swung flat against the frame
+  door(sx, sy, color, { ctx, def, tx, ty }) {
+    const entity = getTileEntity(tx, ty);
+    const top = !entity || entity.ty === ty;
+    ctx.fillStyle = color;
+    if (def.solid) {
+      ctx.fillRect(sx + 3, sy, TILE_SIZE - 6, TILE_SIZE);
+      ctx.fillStyle = 'rgba(0,0,0,0.2)';
+      ctx.fillRect(sx + TILE_SIZE / 2 - 1, sy, 2, TILE_SIZE);
+      if (top) ctx.fillRect(sx + 3, sy, TILE_SIZE - 6, 3);
+      if (entity && ty === entity.ty + 1) {
+        ctx.fillStyle = '#e8c547';
+        ctx.fillRect(sx + TILE_SIZE - 8, sy + TILE_SIZE / 2, 3, 3); // handle
       }
+    } else {
+      ctx.fillRect(sx, sy, 5, TILE_SIZE);
+      ctx.fillStyle = 'rgba(0,0,0,0.25)';
+      ctx.fillRect(sx + 5, sy, 1, TILE_SIZE);
+    }
+  },
+
+  // Beds: headboard and pillow in the left cell, footboard in the right
+  bed(sx, sy, color, { ctx, tx, ty }) {
+    const entity = getTileEntity(tx, ty);
+    const head = !entity || entity.tx === tx;
+    ctx.fillStyle = '#8a5a2b';
+    ctx.fillRect(sx, sy + TILE_SIZE - 8, TILE_SIZE, 4); // frame
+    if (head) ctx.fillRect(sx + 1, sy + 4, 3, TILE_SIZE - 4);
+    else ctx.fillRect(sx + TILE_SIZE - 4, sy + 10, 3, TILE_SIZE - 10);
+    ctx.fillStyle = color;
+    ctx.fillRect(head ? sx + 12 : sx, sy + 11, head ? TILE_SIZE - 12 : TILE_SIZE - 4, 5); // blanket
+    if (head) {
+      ctx.fillStyle = '#f0ece0';
+      ctx.fillRect(sx + 5, sy + 10, 8, 6); // pillow
     }
+  },
+
+  tombstone(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(sx + TILE_SIZE / 2, sy + 10, 7, Math.PI, 0);
+    ctx.fill();
+    ctx.fillRect(sx + TILE_SIZE / 2 - 7, sy + 10, 14, TILE_SIZE - 10);
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillRect(sx + TILE_SIZE / 2 - 1, sy + 7, 2, 10); // cross
+    ctx.fillRect(sx + TILE_SIZE / 2 - 4, sy + 10, 8, 2);
+  },
+
+  // Gravel: a base color scattered with lighter and darker pebbles
+  gravel(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
+    const pebbles = [[3, 4, 5], [12, 2, 4], [17, 9, 5], [6, 13, 4], [14, 16, 5], [2, 19, 3]];
+    pebbles.forEach(([x, y, size], i) => {
+      ctx.fillStyle = i % 2 ? 'rgba(255,255,255,0.18)' : 'rgba(0,0,0,0.2)';
+      ctx.fillRect(sx + x, sy + y, size, size - 1);
+    });
+  },
+
+  // Trees: a bark-lined trunk flaring out at its foot, twigs toward the trunk, leaf clumps
+  trunk(sx, sy, color, { ctx, tx, ty }) {
+    const base = getTile(tx, ty + 1) !== TILE.TREE_TRUNK;
+    ctx.fillStyle = color;
+    ctx.fillRect(sx + 6, sy, TILE_SIZE - 12, TILE_SIZE);
+    if (base) ctx.fillRect(sx + 3, sy + TILE_SIZE - 5, TILE_SIZE - 6, 5);
+    ctx.fillStyle = 'rgba(0,0,0,0.25)';
+    ctx.fillRect(sx + 9, sy + 3, 2, 7);
+    ctx.fillRect(sx + 13, sy + 12, 2, 8);
+  },
+
+  branch(sx, sy, color, { ctx, tx, ty }) {
+    const fromLeft = getTile(tx - 1, ty) === TILE.TREE_TRUNK;
+    ctx.fillStyle = color;
+    ctx.fillRect(fromLeft ? sx : sx + 6, sy + TILE_SIZE / 2 - 2, TILE_SIZE - 6, 4);
+    ctx.fillStyle = TILES[TILE.LEAVES].color;
+    ctx.beginPath();
+    ctx.arc(fromLeft ? sx + TILE_SIZE - 6 : sx + 6, sy + TILE_SIZE / 2 - 3, 6, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  leaves(sx, sy, color, { ctx, tx, ty }) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(sx + TILE_SIZE / 2, sy + TILE_SIZE / 2, TILE_SIZE * 0.62, 0, Math.PI * 2);
+    ctx.fill();
+    // A lighter clump at a spot that depends on the cell, so the canopy isn't a grid
+    const spot = ((tx * 7 + ty * 13) % 3 + 3) % 3;
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.beginPath();
+    ctx.arc(sx + 6 + spot * 5, sy + 8 + spot * 2, 5, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  cactus(sx, sy, color, { ctx }) {
+    ctx.fillStyle = color;
+    ctx.fillRect(sx + 5, sy, TILE_SIZE - 10, TILE_SIZE);
+    ctx.fillStyle = 'rgba(0,0,0,0.2)';
+    ctx.fillRect(sx + TILE_SIZE / 2 - 1, sy, 2, TILE_SIZE);
+    ctx.fillStyle = '#e8e0b0';
+    for (let i = 0; i < 3; i++) {
+      ctx.fillRect(sx + 3, sy + 4 + i * 7, 2, 1); // spines
+      ctx.fillRect(sx + TILE_SIZE - 5, sy + 7 + i * 7, 2, 1);
+    }
+  },
+
+  sapling(sx, sy, color, { ctx }) {
+    ctx.fillStyle = '#7a5230';
+    ctx.fillRect(sx + TILE_SIZE / 2 - 1, sy + TILE_SIZE / 2, 2, TILE_SIZE / 2);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.ellipse(sx + TILE_SIZE / 2 - 4, sy + TILE_SIZE / 2, 5, 3, -0.5, 0, Math.PI * 2);
+    ctx.ellipse(sx + TILE_SIZE / 2 + 4, sy + TILE_SIZE / 2 - 3, 5, 3, 0.5, 0, Math.PI * 2);
+    ctx.fill();
+  },
+};
+
+// Hooks that change every frame, so they are drawn on screen rather than cached
+const ANIMATED_RENDERERS = new Set(['torch', 'furnace']);
+
+// A tile's render hook: a function, or the name of one in TILE_RENDERERS
+function getTileRenderer(def) {
+  return typeof def.render === 'function' ? def.render : TILE_RENDERERS[def.render] || TILE_RENDERERS.square;
+}
+
+// Image for a tile definition's `texture`, once it has loaded (null until then)
+const tileTextures = new Map();
+function getTileTexture(def) {
+  if (!def.texture) return null;
+  let image = tileTextures.get(def.texture);
+  if (!image) {
+    image = new Image();
+    image.onload = invalidateChunkCanvases; // cached chunks drew the tile without it
+    image.src = def.texture;
+    tileTextures.set(def.texture, image);
   }
+  return image.complete && image.naturalWidth > 0 ? image : null;
 }
 
 function draw() {
@@ -486,6 +562,9 @@ function draw() {
     drawStars();
   }
   
+  // The biome's sky tint and hills in the distance
+  drawBackdrop();
+  
   // Apply weather effects to sky
   if (gameState.weather.type !== 'clear') {
     // Darken sky during rain/storm
@@ -495,196 +574,152 @@ function draw() {
   }
 
   // Visible tile bounds
-  const startX = Math.max(0, Math.floor(camera.x / TILE_SIZE) - 1);
-  const endX = Math.min(WORLD_WIDTH, Math.ceil((camera.x + camera.width) / TILE_SIZE) + 1);
-  const startY = Math.max(0, Math.floor(camera.y / TILE_SIZE) - 1);
-  const endY = Math.min(WORLD_HEIGHT, Math.ceil((camera.y + camera.height) / TILE_SIZE) + 1);
-
-  // Parallax background hills (simple)
-  ctx.save();
-  ctx.translate(-camera.x * 0.3, -camera.y * 0.2);
-  ctx.fillStyle = '#8fd08f';
-  for (let i = 0; i < 6; i++) {
-    const baseY = 200 + i * 30;
-    ctx.fillRect(i * 300, baseY, 260, 9999);
-  }
-  ctx.restore();
-
-  // Find light sources
-  const lightSources = [];
-  
-  // Player is always a light source
-  lightSources.push({
-    x: player.x,
-    y: player.y,
-    radius: 150
-  });
-  
-  // Find torch tiles in visible area
-  if (!gameState.isDaytime) {
-    for (let ty = startY; ty < endY; ty++) {
-      for (let tx = startX; tx < endX; tx++) {
-        const t = world[ty][tx];
-        if (t === TILE.TORCH) {
-          lightSources.push({
-            x: tx * TILE_SIZE + TILE_SIZE/2,
-            y: ty * TILE_SIZE + TILE_SIZE/2,
-            radius: TILE_PROPS[TILE.TORCH].lightRadius
-          });
-        }
-      }
+  const startX = Math.floor(view.x / TILE_SIZE) - 1;
+  const endX = Math.ceil((view.x + view.width) / TILE_SIZE) + 1;
+  const startY = Math.max(0, Math.floor(view.y / TILE_SIZE) - 1);
+  const endY = Math.min(WORLD_HEIGHT, Math.ceil((view.y + view.height) / TILE_SIZE) + 1);
+
+  // Ground tiles: cached chunk images, lit by the light overlay
+  const skyBrightness = getSkyBrightness();
+  const isDark = skyBrightness < 0.5;
+  ctx.imageSmoothingEnabled = false;
+  for (let cy = Math.floor(startY / CHUNK_SIZE); cy * CHUNK_SIZE < endY; cy++) {
+    for (let cx = Math.floor(startX / CHUNK_SIZE); cx * CHUNK_SIZE < endX; cx++) {
+      const sx = Math.floor(cx * CHUNK_SIZE * TILE_SIZE - view.x);
+      const sy = Math.floor(cy * CHUNK_SIZE * TILE_SIZE - view.y);
+      ctx.drawImage(getChunkCanvas(cx, cy), sx, sy);
     }
   }
-  
-  // Ground tiles with lighting
-  const isDark = !gameState.isDaytime;
-  const darknessFactor = isDark ? 0.7 : 0;
-  
+
+  // Animated tiles on top; water and lava wait until after the player and mobs
+  const liquidTiles = [];
   for (let ty = startY; ty < endY; ty++) {
     for (let tx = startX; tx < endX; tx++) {
-      const t = world[ty][tx];
-      if (t === TILE.AIR) continue;
-      
-      let color = TILE_COLORS[t] || '#000';
-      
-      // Apply darkness based on time of day
-      if (isDark) {
-        const tileX = tx * TILE_SIZE + TILE_SIZE/2;
-        const tileY = ty * TILE_SIZE + TILE_SIZE/2;
-        
-        // Calculate light level from all sources
-        let lightLevel = 0;
-        
-        for (const source of lightSources) {
-          const distX = Math.abs(tileX - source.x);
-          const distY = Math.abs(tileY - source.y);
-          const dist = Math.sqrt(distX * distX + distY * distY);
-          
-          // Add light from this source
-          const sourceLightFactor = Math.max(0, Math.min(1, 1 - (dist / source.radius)));
-          lightLevel = Math.max(lightLevel, sourceLightFactor);
-        }
-        
-        // Darken tiles based on light level
-        color = darkenColor(color, darknessFactor * (1 - lightLevel));
-      }
-      
-      const sx = Math.floor(tx * TILE_SIZE - camera.x);
-      const sy = Math.floor(ty * TILE_SIZE - camera.y);
-      
-      // Special rendering for certain tiles
-      if (t === TILE.TORCH) {
-        // Draw torch base
-        ctx.fillStyle = '#8B4513'; // Brown for torch stick
-        ctx.fillRect(sx + TILE_SIZE/2 - 2, sy + TILE_SIZE/2, 4, TILE_SIZE/2);
-        
-        // Draw flame with animation
-        const flameSize = 1 + Math.sin(gameState.totalTime * 10) * 0.5;
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        ctx.moveTo(sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 6 * flameSize);
-        ctx.lineTo(sx + TILE_SIZE/2 - 4, sy + TILE_SIZE/2);
-        ctx.lineTo(sx + TILE_SIZE/2 + 4, sy + TILE_SIZE/2);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Draw glow effect
-        if (isDark) {
-          const gradient = ctx.createRadialGradient(
-            sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 3, 0,
-            sx + TILE_SIZE/2, sy + TILE_SIZE/2 - 3, TILE_SIZE
-          );
-          gradient.addColorStop(0, 'rgba(255, 200, 0, 0.3)');
-          gradient.addColorStop(1, 'rgba(255, 200, 0, 0)');
-          ctx.fillStyle = gradient;
-          ctx.fillRect(sx - TILE_SIZE, sy - TILE_SIZE, TILE_SIZE * 3, TILE_SIZE * 3);
-        }
-      } else if (t === TILE.GLASS) {
-        // Glass is semi-transparent
-        ctx.fillStyle = color;
-        ctx.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
-        
-        // Add reflection highlight
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-        ctx.fillRect(sx + 2, sy + 2, 5, 5);
-      } else {
-        // Standard tile rendering
-        ctx.fillStyle = color;
-        ctx.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
+      const t = getTile(tx, ty);
+      const def = getTileDef(t);
+      const sx = Math.floor(tx * TILE_SIZE - view.x);
+      const sy = Math.floor(ty * TILE_SIZE - view.y);
+      if (def.liquid) {
+        // Filled from the bottom up, unless more of the same liquid sits on top; the
+        // light overlay is already down, so these are shaded here
+        const height = getTile(tx, ty - 1) === t ? TILE_SIZE : Math.ceil(getLiquidLevel(tx, ty) / MAX_FILL * TILE_SIZE);
+        const light = getLight(tx, ty);
+        const level = (channel) => Math.max(MIN_LIGHT, light.sun * skyBrightness, channel) / MAX_LIGHT;
+        const color = scaleColor(def.color, level(light.red), level(light.green), level(light.blue));
+        liquidTiles.push({ sx, sy: sy + TILE_SIZE - height, height, color, lava: t === TILE.LAVA });
+      } else if (ANIMATED_RENDERERS.has(def.render)) {
+        getTileRenderer(def)(sx, sy, def.color, { ctx, def, isDark, tx, ty });
       }
-      
-      // outline
-      ctx.strokeStyle = 'rgba(0,0,0,0.15)';
-      ctx.strokeRect(sx + 0.5, sy + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
     }
   }
 
-  // Player (animated)
-  if (window.PlayerAnim) {
-    window.PlayerAnim.draw(ctx, player, camera);
+  // Sand and gravel in mid-fall, lit along with the tiles
+  for (const block of renderFallingBlocks) {
+    const def = getTileDef(block.id);
+    const sx = Math.floor(block.tx * TILE_SIZE - view.x);
+    const sy = Math.floor(block.y - view.y);
+    getTileRenderer(def)(sx, sy, def.color, { ctx, def, isDark, tx: block.tx, ty: Math.floor(block.y / TILE_SIZE) });
+  }
+
+  // Light: one pixel per tile, stretched over the tiles and multiplied in
+  ctx.globalCompositeOperation = 'multiply';
+  ctx.drawImage(getLightOverlay(startX, startY, endX, endY, skyBrightness),
+    Math.floor(startX * TILE_SIZE - view.x), Math.floor(startY * TILE_SIZE - view.y),
+    (endX - startX) * TILE_SIZE, (endY - startY) * TILE_SIZE);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.imageSmoothingEnabled = true;
+
+  // Dropped items
+  for (const drop of renderDrops) {
+    drawDrop(drop);
+  }
+
+  // Mobs
+  for (const mob of renderMobs) {
+    drawMob(mob);
   }
 
-  // Cursor highlight
-  const hx = Math.floor(mouse.tx * TILE_SIZE - camera.x);
-  const hy = Math.floor(mouse.ty * TILE_SIZE - camera.y);
-  ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+  // Player (animated), and everyone else on the server; the dead aren't drawn
+  if (window.PlayerAnim) {
+    for (const other of net.players.values()) {
+      if (!other.state.dead) drawRemotePlayer(other);
+    }
+    if (!isDead()) window.PlayerAnim.draw(ctx, renderPlayer, view);
+  }
+  
+  // Water and lava
+  for (const liquid of liquidTiles) {
+    ctx.globalAlpha = liquid.lava ? 0.9 : 0.6;
+    ctx.fillStyle = liquid.color;
+    ctx.fillRect(liquid.sx, liquid.sy, TILE_SIZE, liquid.height);
+  }
+  ctx.globalAlpha = 1;
+
+  // Cursor highlight (red when the tile is too hard for our tools)
+  const hx = Math.floor(input.tx * TILE_SIZE - view.x);
+  const hy = Math.floor(input.ty * TILE_SIZE - view.y);
+  const targetTile = getTile(input.tx, input.ty);
+  const unbreakable = isSolid(targetTile) && getMiningSpeed(targetTile) === 0;
+  ctx.strokeStyle = unbreakable ? 'rgba(255,80,80,0.8)' : 'rgba(255,255,255,0.8)';
   ctx.lineWidth = 2;
   ctx.strokeRect(hx + 1, hy + 1, TILE_SIZE - 2, TILE_SIZE - 2);
+  drawMiningProgress(hx, hy);
 
-  // Hotbar
-  const barW = HOTBAR_SIZE * (TILE_SIZE + 8) + 8;
-  const barX = (camera.width - barW) / 2;
+  // Hotbar (and the backpack rows when the inventory screen is open)
+  const barW = HOTBAR_SIZE * SLOT_STEP + 8;
+  const barX = (view.width - barW) / 2;
   const barY = 12;
   ctx.fillStyle = 'rgba(0,0,0,0.35)';
   ctx.fillRect(barX, barY, barW, TILE_SIZE + 16);
+  if (gameState.showInventory) {
+    const first = getSlotRect(HOTBAR_SIZE);
+    const rows = INVENTORY_SIZE / HOTBAR_SIZE - 1;
+    ctx.fillRect(barX, first.y - 8, barW, rows * SLOT_STEP + 8);
+  }
+  
+  // The open chest's slots below the backpack
+  const chest = getOpenChest();
+  if (chest) {
+    const first = getSlotRect(INVENTORY_SIZE);
+    const rows = Math.ceil(chest.items.length / HOTBAR_SIZE);
+    ctx.fillRect(barX, first.y - CHEST_TITLE_HEIGHT, barW, rows * SLOT_STEP + CHEST_TITLE_HEIGHT);
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    ctx.font = '12px sans-serif';
+    ctx.fillText('Chest (shift-click moves a stack)', barX + 8, first.y - 12);
+  }
   
-  for (let i = 0; i < HOTBAR.length; i++) {
-    const x = barX + 8 + i * (TILE_SIZE + 8);
-    const y = barY + 8;
+  const visibleSlots = visibleSlotCount();
+  for (let i = 0; i < visibleSlots; i++) {
+    const { x, y } = getSlotRect(i);
     
     // Selected slot highlight
     ctx.fillStyle = i === selectedHotbar ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.1)';
     ctx.fillRect(x - 2, y - 2, TILE_SIZE + 4, TILE_SIZE + 4);
     
-    const id = HOTBAR[i];
-    if (id !== TILE.AIR) {
-      // Draw tile
-      ctx.fillStyle = TILE_COLORS[id];
-      ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
-      
-      // Special rendering for torch
-      if (id === TILE.TORCH) {
-        // Draw flame
-        ctx.fillStyle = '#ff6600';
-        ctx.beginPath();
-        ctx.moveTo(x + TILE_SIZE/2, y + 4);
-        ctx.lineTo(x + TILE_SIZE/2 - 3, y + 10);
-        ctx.lineTo(x + TILE_SIZE/2, y + 8);
-        ctx.lineTo(x + TILE_SIZE/2 + 3, y + 10);
-        ctx.closePath();
-        ctx.fill();
-      }
-      
-      // Draw outline
-      ctx.strokeStyle = 'rgba(0,0,0,0.25)';
-      ctx.strokeRect(x + 0.5, y + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
+    const { slots, i: slotIndex } = slotLocation(i);
+    const stack = slots[slotIndex];
+    if (stack) {
+      drawItemStack(stack, x, y);
     } else {
       ctx.strokeStyle = 'rgba(255,255,255,0.2)';
       ctx.strokeRect(x + 0.5, y + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
     }
     
     // Draw slot number
-    ctx.fillStyle = 'rgba(255,255,255,0.7)';
-    ctx.font = '10px sans-serif';
-    ctx.fillText((i + 1).toString(), x + 3, y + TILE_SIZE - 3);
+    if (i < HOTBAR_SIZE) {
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.font = '10px sans-serif';
+      ctx.fillText((i + 1).toString(), x + 3, y + 10);
+    }
   }
   
   // Show current item name
-  const currentItem = Object.keys(TILE).find(key => TILE[key] === HOTBAR[selectedHotbar]);
+  const held = getHeldItem();
+  const currentItem = held && itemName(held.id);
   if (currentItem) {
     ctx.fillStyle = 'rgba(255,255,255,0.8)';
     ctx.font = '14px sans-serif';
-    ctx.fillText(currentItem.toLowerCase(), barX + barW / 2, barY + TILE_SIZE + 30);
+    ctx.fillText(currentItem, barX + barW / 2, barY + TILE_SIZE + 30);
   }
   
   // Draw health bar
@@ -732,6 +767,16 @@ function draw() {
     healthBarY + healthBarHeight - 3
   );
   
+  // Hunger bar
+  const hungerBarY = healthBarY + healthBarHeight + 5;
+  ctx.fillStyle = 'rgba(0,0,0,0.5)';
+  ctx.fillRect(healthBarX, hungerBarY, healthBarWidth, 10);
+  ctx.fillStyle = player.hunger > 0 ? '#d9902f' : '#7a3a1a';
+  ctx.fillRect(healthBarX + 2, hungerBarY + 2, (healthBarWidth - 4) * player.hunger / player.maxHunger, 6);
+  
+  // Status effects: an icon per effect with its seconds left underneath
+  drawStatusEffects(healthBarX, hungerBarY + 16);
+  
   // Draw minimap
   drawMinimap();
   
@@ -741,10 +786,185 @@ function draw() {
   // Draw game message
   drawMessage();
   
+  if (isDead()) {
+    drawDeathScreen();
+  }
+  
   // Draw crafting menu if open
   if (gameState.showCraftingMenu) {
     drawCraftingMenu();
   }
+  
+  if (saveMenu.open) {
+    drawSaveMenu();
+  }
+  
+  if (bindingsMenu.open) {
+    drawBindingsMenu();
+  }
+  
+  if (soundMenu.open) {
+    drawSoundMenu();
+  }
+  
+  if (controls.device === 'touch') {
+    drawTouchControls();
+  }
+  if (controls.device !== 'mouse') {
+    drawAimCursor();
+  }
+  
+  // Stack held by the mouse
+  if (gameState.cursorStack) {
+    drawItemStack(gameState.cursorStack, mouse.x - TILE_SIZE / 2, mouse.y - TILE_SIZE / 2);
+  }
+}
+
+// Inventory slot layout: the hotbar row at the top, backpack rows below the item
+// name, then the open chest's rows under a title
+const SLOT_STEP = TILE_SIZE + 8;
+const CHEST_TITLE_HEIGHT = 30;
+
+function getSlotRect(index) {
+  const barX = (view.width - (HOTBAR_SIZE * SLOT_STEP + 8)) / 2;
+  const row = Math.floor(index / HOTBAR_SIZE);
+  const col = index % HOTBAR_SIZE;
+  const y = 20 + row * SLOT_STEP + (row > 0 ? 48 : 0) + (index >= INVENTORY_SIZE ? CHEST_TITLE_HEIGHT : 0);
+  return { x: barX + 8 + col * SLOT_STEP, y };
+}
+
+function visibleSlotCount() {
+  if (!gameState.showInventory) return HOTBAR_SIZE;
+  const chest = getOpenChest();
+  return INVENTORY_SIZE + (chest ? chest.items.length : 0);
+}
+
+// Index of the visible slot under a screen position, or -1
+function slotAt(mx, my) {
+  const visibleSlots = visibleSlotCount();
+  for (let i = 0; i < visibleSlots; i++) {
+    const { x, y } = getSlotRect(i);
+    if (mx >= x - 2 && mx < x + TILE_SIZE + 2 && my >= y - 2 && my < y + TILE_SIZE + 2) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Icon of an item plus its count
+function drawItemStack(stack, x, y) {
+  const id = stack.id;
+  const tool = TOOLS[id];
+  if (tool) {
+    // Handle and head
+    ctx.strokeStyle = '#6b4423';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x + 5, y + TILE_SIZE - 5);
+    ctx.lineTo(x + TILE_SIZE - 7, y + 7);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    ctx.fillStyle = tool.color;
+    if (tool.type === 'pickaxe') {
+      ctx.beginPath();
+      ctx.moveTo(x + 4, y + 6);
+      ctx.quadraticCurveTo(x + TILE_SIZE - 4, y - 2, x + TILE_SIZE - 4, y + 18);
+      ctx.lineTo(x + TILE_SIZE - 8, y + 10);
+      ctx.closePath();
+      ctx.fill();
+    } else if (tool.type === 'hammer') {
+      ctx.fillRect(x + TILE_SIZE - 15, y + 2, 12, 8);
+    } else {
+      ctx.fillRect(x + TILE_SIZE - 12, y + 3, 9, 10);
+    }
+  } else if (isWallItem(id)) {
+    // Darkened block with mortar lines
+    const color = getTileDef(wallFromItem(id)).color;
+    ctx.fillStyle = scaleColor(color, WALL_SHADE, WALL_SHADE, WALL_SHADE);
+    ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+    ctx.strokeStyle = 'rgba(0,0,0,0.4)';
+    ctx.beginPath();
+    ctx.moveTo(x, y + TILE_SIZE / 2);
+    ctx.lineTo(x + TILE_SIZE, y + TILE_SIZE / 2);
+    ctx.moveTo(x + TILE_SIZE / 2, y);
+    ctx.lineTo(x + TILE_SIZE / 2, y + TILE_SIZE / 2);
+    ctx.stroke();
+    ctx.strokeRect(x + 0.5, y + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
+  } else if (FOODS[id]) {
+    // Round fruit with a stem and a leaf
+    ctx.fillStyle = FOODS[id].color;
+    ctx.beginPath();
+    ctx.arc(x + TILE_SIZE / 2, y + TILE_SIZE / 2 + 2, TILE_SIZE / 2 - 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#6b4423';
+    ctx.fillRect(x + TILE_SIZE / 2 - 1, y + 3, 2, 5);
+    ctx.fillStyle = '#4db050';
+    ctx.beginPath();
+    ctx.ellipse(x + TILE_SIZE / 2 + 4, y + 5, 4, 2, -0.4, 0, Math.PI * 2);
+    ctx.fill();
+  } else {
+    // Draw tile
+    const def = getTileDef(id);
+    const texture = getTileTexture(def);
+    if (texture) {
+      ctx.drawImage(texture, x, y, TILE_SIZE, TILE_SIZE);
+    } else {
+      ctx.fillStyle = def.color;
+      ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+    }
+    
+    // Special rendering for torch
+    if (def.render === 'torch') {
+      // Draw flame
+      ctx.fillStyle = '#ff6600';
+      ctx.beginPath();
+      ctx.moveTo(x + TILE_SIZE/2, y + 4);
+      ctx.lineTo(x + TILE_SIZE/2 - 3, y + 10);
+      ctx.lineTo(x + TILE_SIZE/2, y + 8);
+      ctx.lineTo(x + TILE_SIZE/2 + 3, y + 10);
+      ctx.closePath();
+      ctx.fill();
+    }
+    
+    // Draw outline
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.strokeRect(x + 0.5, y + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
+  }
+  
+  // Count
+  if (stack.count > 1) {
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(stack.count.toString(), x + TILE_SIZE - 1, y + TILE_SIZE - 1);
+    ctx.textAlign = 'left';
+  }
+}
+
+// Cracks and a progress bar on the tile being mined
+function drawMiningProgress(sx, sy) {
+  const progress = player.mining.progress;
+  if (progress <= 0) return;
+  
+  // Cracks: more line segments as the tile gets closer to breaking
+  const rand = mulberry32(player.mining.tx * 31 + player.mining.ty * 17);
+  const cracks = Math.ceil(progress * 6);
+  ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let i = 0; i < cracks; i++) {
+    const x = sx + TILE_SIZE / 2 + (rand() - 0.5) * 6;
+    const y = sy + TILE_SIZE / 2 + (rand() - 0.5) * 6;
+    ctx.moveTo(x, y);
+    ctx.lineTo(sx + rand() * TILE_SIZE, sy + rand() * TILE_SIZE);
+  }
+  ctx.stroke();
+  
+  // Progress bar above the tile
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(sx, sy - 7, TILE_SIZE, 4);
+  ctx.fillStyle = '#ffd54f';
+  ctx.fillRect(sx, sy - 7, TILE_SIZE * Math.min(1, progress), 4);
 }
 
 function drawWeather() {
@@ -752,15 +972,22 @@ function drawWeather() {
   
   if (weather.type === 'clear') return;
   
-  // Draw rain/storm particles
+  // Draw rain/storm particles (and snow)
   ctx.strokeStyle = weather.type === 'rain' ? 
     'rgba(180, 200, 255, 0.7)' : 
     'rgba(200, 200, 255, 0.9)';
   ctx.lineWidth = weather.type === 'rain' ? 1 : 2;
   
   for (const particle of weather.particles) {
-    const x = particle.x - camera.x;
-    const y = particle.y - camera.y;
+    const x = particle.x - view.x;
+    const y = particle.y - view.y;
+    
+    if (particle.snow) {
+      // Flakes drift from side to side as they fall
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(x + Math.sin(particle.y / 30 + particle.length) * 4, y, 3, 3);
+      continue;
+    }
     
     ctx.beginPath();
     ctx.moveTo(x, y);
@@ -775,17 +1002,19 @@ function drawWeather() {
   }
   
   // Add lightning for storms
-  if (weather.type === 'storm' && Math.random() < 0.01 * weather.intensity) {
+  if (weather.lightningTimer > 0) {
     drawLightning();
   }
 }
 
 function drawMinimap() {
   const minimapWidth = 150;
-  const minimapHeight = 100;
-  const minimapX = camera.width - minimapWidth - 20;
+  const minimapHeight = 120;
+  const minimapX = view.width - minimapWidth - 20;
   const minimapY = 20;
-  const scale = minimapWidth / (WORLD_WIDTH * TILE_SIZE);
+  const spanTiles = 200; // world columns shown, centered on the player
+  const scale = minimapWidth / (spanTiles * TILE_SIZE);
+  const originX = player.x - (spanTiles * TILE_SIZE) / 2; // world x at the left edge
   
   // Background
   ctx.fillStyle = 'rgba(0,0,0,0.5)';
@@ -793,27 +1022,26 @@ function drawMinimap() {
   ctx.strokeStyle = 'rgba(255,255,255,0.5)';
   ctx.strokeRect(minimapX, minimapY, minimapWidth, minimapHeight);
   
-  // Draw world tiles (simplified)
-  const tileStep = Math.max(1, Math.floor(1 / scale)); // Skip tiles for performance
-  
-  for (let y = 0; y < WORLD_HEIGHT; y += tileStep) {
-    for (let x = 0; x < WORLD_WIDTH; x += tileStep) {
-      const t = world[y][x];
-      if (t === TILE.AIR) continue;
-      
-      const color = TILE_COLORS[t];
-      const mx = minimapX + x * TILE_SIZE * scale;
-      const my = minimapY + y * TILE_SIZE * scale;
-      const mw = Math.max(1, TILE_SIZE * scale * tileStep);
-      const mh = Math.max(1, TILE_SIZE * scale * tileStep);
-      
-      ctx.fillStyle = color;
-      ctx.fillRect(mx, my, mw, mh);
-    }
+  // World tiles, from an image kept up to date chunk by chunk
+  const image = getMinimapImage(Math.floor(originX / TILE_SIZE), spanTiles);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(minimapX, minimapY, minimapWidth, minimapHeight);
+  ctx.clip();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(image.canvas, minimapX + (image.originCx * CHUNK_SIZE * TILE_SIZE - originX) * scale, minimapY,
+    image.canvas.width * TILE_SIZE * scale, image.canvas.height * TILE_SIZE * scale);
+  ctx.restore();
+  
+  // Draw hostile mobs
+  ctx.fillStyle = 'rgba(255,60,60,0.9)';
+  for (const mob of gameState.mobs) {
+    if (!MOB_TYPES[mob.type].hostile) continue;
+    ctx.fillRect(minimapX + (mob.x - originX) * scale - 1, minimapY + mob.y * scale - 1, 2, 2);
   }
   
   // Draw player position
-  const playerX = minimapX + player.x * scale;
+  const playerX = minimapX + (player.x - originX) * scale;
   const playerY = minimapY + player.y * scale;
   
   ctx.fillStyle = 'rgba(255,255,255,0.9)';
@@ -822,14 +1050,19 @@ function drawMinimap() {
   ctx.fill();
   
   // Draw view area
-  const viewX = minimapX + camera.x * scale;
-  const viewY = minimapY + camera.y * scale;
-  const viewWidth = camera.width * scale;
-  const viewHeight = camera.height * scale;
+  const viewX = minimapX + (view.x - originX) * scale;
+  const viewY = minimapY + view.y * scale;
+  const viewWidth = view.width * scale;
+  const viewHeight = view.height * scale;
   
   ctx.strokeStyle = 'rgba(255,255,255,0.7)';
   ctx.lineWidth = 1;
   ctx.strokeRect(viewX, viewY, viewWidth, viewHeight);
+  
+  // Biome the player is in
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.font = '12px sans-serif';
+  ctx.fillText(BIOMES[getBiome(Math.floor(player.x / TILE_SIZE))].name, minimapX, minimapY + minimapHeight + 16);
 }
 
 function drawLightning() {
@@ -837,26 +1070,27 @@ function drawLightning() {
   ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
   ctx.fillRect(0, 0, canvas.width, canvas.height);
   
-  // Draw lightning bolt
-  const startX = camera.x + Math.random() * camera.width;
-  const startY = camera.y;
-  const endY = camera.y + camera.height * 0.7;
+  // Draw lightning bolt (same shape for every frame of the flash)
+  const rand = mulberry32(gameState.weather.lightningSeed);
+  const startX = view.x + rand() * view.width;
+  const startY = view.y;
+  const endY = view.y + view.height * 0.7;
   
   ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
-  ctx.lineWidth = 2 + Math.random() * 2;
+  ctx.lineWidth = 2 + rand() * 2;
   
   ctx.beginPath();
-  ctx.moveTo(startX - camera.x, 0);
+  ctx.moveTo(startX - view.x, 0);
   
   let currentX = startX;
   let currentY = startY;
   
   // Create zig-zag pattern
   while (currentY < endY) {
-    const nextY = currentY + 20 + Math.random() * 30;
-    const nextX = currentX + (Math.random() * 100 - 50);
+    const nextY = currentY + 20 + rand() * 30;
+    const nextX = currentX + (rand() * 100 - 50);
     
-    ctx.lineTo(nextX - camera.x, nextY - camera.y);
+    ctx.lineTo(nextX - view.x, nextY - view.y);
     
     currentX = nextX;
     currentY = nextY;
@@ -865,144 +1099,359 @@ function drawLightning() {
   ctx.stroke();
 }
 
+// Recipe browser (C): a filtered, scrollable recipe list on the left and the
+// selected recipe on the right. Clicks only set input.craft; update() crafts.
+const craftMenu = {
+  query: '', // search text
+  typing: false, // keys go to the search box
+  craftableOnly: true,
+  uses: null, // item ID: only show recipes that use it
+  scroll: 0, // first visible row
+  selected: null, // recipe shown on the right
+};
+const CRAFT_ROW_HEIGHT = 26;
+const CRAFT_AMOUNTS = [{ label: 'Craft x1', count: 1 }, { label: 'x5', count: 5 }, { label: 'Max', count: 0 }];
+
+function getCraftMenuLayout() {
+  const width = 560;
+  const height = Math.min(420, view.height - 60);
+  const x = (view.width - width) / 2;
+  const y = (view.height - height) / 2;
+  const list = { x: x + 16, y: y + 84, w: 250, h: height - 100 };
+  const recipes = findRecipes(craftMenu);
+  const visibleRows = Math.floor(list.h / CRAFT_ROW_HEIGHT);
+  craftMenu.scroll = Math.max(0, Math.min(craftMenu.scroll, recipes.length - visibleRows));
+  const rows = recipes.slice(craftMenu.scroll, craftMenu.scroll + visibleRows).map((recipe, i) => ({
+    recipe, x: list.x, y: list.y + i * CRAFT_ROW_HEIGHT, w: list.w, h: CRAFT_ROW_HEIGHT - 2,
+  }));
+
+  const detailX = x + 284;
+  const recipe = craftMenu.selected;
+  const ingredients = recipe ? Object.keys(recipe.input).map((id, i) => ({
+    id: Number(id), x: detailX, y: y + 134 + i * 24, w: width - 300, h: 22,
+  })) : [];
+  const buttons = CRAFT_AMOUNTS.map((amount, i) => ({
+    ...amount, x: detailX + i * 90, y: y + height - 46, w: 84, h: 28,
+  }));
+  return {
+    x, y, width, height, w: width, h: height, list, rows, total: recipes.length, visibleRows, ingredients, buttons,
+    search: { x: x + 16, y: y + 44, w: 250, h: 26 },
+    toggle: { x: x + 284, y: y + 44, w: 120, h: 26 },
+    heldUses: { x: x + 412, y: y + 44, w: 132, h: 26 },
+    clearUses: { x: x + 16, y: y + 74 - 2, w: 250, h: 10 },
+  };
+}
+
+// Show the recipes that use an item
+function showUsesOf(id) {
+  craftMenu.uses = id;
+  craftMenu.craftableOnly = false;
+  craftMenu.scroll = 0;
+}
+
+function handleCraftMenuClick(mx, my) {
+  const layout = getCraftMenuLayout();
+  craftMenu.typing = hitRect(layout.search, mx, my);
+  if (hitRect(layout.toggle, mx, my)) {
+    craftMenu.craftableOnly = !craftMenu.craftableOnly;
+  }
+  if (hitRect(layout.heldUses, mx, my)) {
+    const held = getHeldItem();
+    if (held) showUsesOf(held.id);
+  }
+  if (craftMenu.uses !== null && hitRect(layout.clearUses, mx, my)) {
+    craftMenu.uses = null;
+  }
+  for (const row of layout.rows) {
+    if (hitRect(row, mx, my)) craftMenu.selected = row.recipe;
+  }
+  for (const ingredient of layout.ingredients) {
+    if (hitRect(ingredient, mx, my)) showUsesOf(ingredient.id);
+  }
+  for (const button of layout.buttons) {
+    if (craftMenu.selected && hitRect(button, mx, my)) {
+      input.craft = RECIPES.indexOf(craftMenu.selected);
+      input.craftCount = button.count;
+    }
+  }
+}
+
+// Typing into the search box; returns whether the key was used
+function handleCraftMenuKey(e) {
+  if (!craftMenu.typing) return false;
+  if (e.key === 'Escape' || e.key === 'Enter') {
+    craftMenu.typing = false;
+  } else if (e.key === 'Backspace') {
+    craftMenu.query = craftMenu.query.slice(0, -1);
+  } else if (e.key.length === 1) {
+    craftMenu.query += e.key;
+  } else {
+    return false;
+  }
+  craftMenu.scroll = 0;
+  e.preventDefault();
+  return true;
+}
+
 function drawCraftingMenu() {
-  const menuWidth = 300;
-  const menuHeight = 250;
-  const menuX = (camera.width - menuWidth) / 2;
-  const menuY = (camera.height - menuHeight) / 2;
+  const layout = getCraftMenuLayout();
+  const { x, y, width, height } = layout;
   
   // Background
   ctx.fillStyle = 'rgba(0,0,0,0.8)';
-  ctx.fillRect(menuX, menuY, menuWidth, menuHeight);
+  ctx.fillRect(x, y, width, height);
   ctx.strokeStyle = 'rgba(255,255,255,0.5)';
-  ctx.strokeRect(menuX, menuY, menuWidth, menuHeight);
+  ctx.strokeRect(x, y, width, height);
   
   // Title
   ctx.fillStyle = 'rgba(255,255,255,0.9)';
   ctx.font = 'bold 18px sans-serif';
-  ctx.fillText('Crafting', menuX + 20, menuY + 30);
-  
-  // Instructions
+  ctx.fillText('Crafting', x + 16, y + 30);
   ctx.font = '12px sans-serif';
-  ctx.fillText('Click a recipe to craft. Press C to close.', menuX + 20, menuY + 50);
-  
-  // Inventory
-  ctx.font = 'bold 14px sans-serif';
-  ctx.fillText('Inventory:', menuX + 20, menuY + 80);
+  ctx.fillText('C to close', x + width - 76, y + 30);
+  
+  // Search box, filter toggle and "what uses the held item"
+  const search = layout.search;
+  ctx.fillStyle = craftMenu.typing ? 'rgba(255,255,255,0.2)' : 'rgba(255,255,255,0.08)';
+  ctx.fillRect(search.x, search.y, search.w, search.h);
+  ctx.fillStyle = craftMenu.query ? 'rgba(255,255,255,0.9)' : 'rgba(200,200,200,0.5)';
+  const caret = craftMenu.typing && Math.floor(performance.now() / 500) % 2 === 0 ? '|' : '';
+  ctx.fillText((craftMenu.query || (craftMenu.typing ? '' : 'Search recipes...')) + caret, search.x + 8, search.y + 17);
+  
+  for (const [button, label, active] of [
+    [layout.toggle, craftMenu.craftableOnly ? 'Craftable only' : 'All recipes', craftMenu.craftableOnly],
+    [layout.heldUses, 'Uses of held item', false],
+  ]) {
+    ctx.fillStyle = active ? 'rgba(100,200,100,0.5)' : 'rgba(100,150,200,0.5)';
+    ctx.fillRect(button.x, button.y, button.w, button.h);
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, button.x + button.w / 2, button.y + 17);
+    ctx.textAlign = 'left';
+  }
+  if (craftMenu.uses !== null) {
+    ctx.fillStyle = 'rgba(255,220,120,0.9)';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`Uses of ${itemName(craftMenu.uses)} (click to clear)`, layout.clearUses.x, layout.clearUses.y + 9);
+  }
   
-  let invY = menuY + 100;
-  for (const [tileId, count] of Object.entries(gameState.inventory)) {
-    if (count <= 0) continue;
-    
-    const tileName = Object.keys(TILE).find(key => TILE[key] == tileId);
-    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+  // Recipe list
+  const stations = getNearbyStations();
+  if (layout.rows.length === 0) {
+    ctx.fillStyle = 'rgba(200,200,200,0.7)';
     ctx.font = '12px sans-serif';
-    ctx.fillText(`${tileName}: ${count}`, menuX + 30, invY);
-    
-    // Draw tile icon
-    ctx.fillStyle = TILE_COLORS[tileId];
-    ctx.fillRect(menuX + 20, invY - 10, 10, 10);
-    
-    invY += 20;
+    ctx.fillText(craftMenu.craftableOnly ? 'Nothing to craft here' : 'No matching recipes', layout.list.x + 8, layout.list.y + 18);
+  }
+  for (const row of layout.rows) {
+    const craftable = canCraft(row.recipe, stations);
+    ctx.fillStyle = row.recipe === craftMenu.selected ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.08)';
+    ctx.fillRect(row.x, row.y, row.w, row.h);
+    const [outputId, count] = Object.entries(row.recipe.output)[0];
+    ctx.fillStyle = itemColor(outputId);
+    ctx.fillRect(row.x + 6, row.y + 6, 12, 12);
+    ctx.fillStyle = craftable ? 'rgba(255,255,255,0.9)' : 'rgba(150,150,150,0.6)';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(count > 1 ? `${row.recipe.name} (${count})` : row.recipe.name, row.x + 26, row.y + 16);
   }
   
-  // Recipes
-  ctx.font = 'bold 14px sans-serif';
-  ctx.fillStyle = 'rgba(255,255,255,0.9)';
-  ctx.fillText('Recipes:', menuX + menuWidth/2, menuY + 80);
-  
-  let recipeY = menuY + 100;
-  for (const recipe of RECIPES) {
-    // Check if we can craft this
-    let canCraft = true;
-    for (const [inputId, count] of Object.entries(recipe.input)) {
-      if ((gameState.inventory[inputId] || 0) < count) {
-        canCraft = false;
-        break;
-      }
-    }
-    
-    // Recipe name
-    ctx.fillStyle = canCraft ? 'rgba(255,255,255,0.9)' : 'rgba(150,150,150,0.5)';
+  // Scroll bar
+  if (layout.total > layout.visibleRows) {
+    const list = layout.list;
+    const barH = list.h * layout.visibleRows / layout.total;
+    const barY = list.y + (list.h - barH) * craftMenu.scroll / (layout.total - layout.visibleRows);
+    ctx.fillStyle = 'rgba(255,255,255,0.3)';
+    ctx.fillRect(list.x + list.w + 3, barY, 4, barH);
+  }
+  
+  // Selected recipe
+  const recipe = craftMenu.selected;
+  const detailX = x + 284;
+  if (!recipe) {
+    ctx.fillStyle = 'rgba(200,200,200,0.7)';
     ctx.font = '12px sans-serif';
-    ctx.fillText(recipe.name, menuX + menuWidth/2, recipeY);
-    
-    // Recipe details
-    let inputText = '';
-    for (const [inputId, count] of Object.entries(recipe.input)) {
-      const inputName = Object.keys(TILE).find(key => TILE[key] == inputId);
-      inputText += `${count} ${inputName}, `;
-    }
-    inputText = inputText.slice(0, -2);
-    
-    let outputText = '';
-    for (const [outputId, count] of Object.entries(recipe.output)) {
-      const outputName = Object.keys(TILE).find(key => TILE[key] == outputId);
-      outputText += `${count} ${outputName}`;
-    }
-    
-    ctx.fillStyle = canCraft ? 'rgba(200,200,200,0.7)' : 'rgba(150,150,150,0.5)';
-    ctx.font = '10px sans-serif';
-    ctx.fillText(`${inputText} → ${outputText}`, menuX + menuWidth/2, recipeY + 15);
-    
-    // Craft button
-    if (canCraft) {
-      ctx.fillStyle = 'rgba(100,200,100,0.6)';
-      ctx.fillRect(menuX + menuWidth - 70, recipeY - 10, 50, 20);
-      ctx.fillStyle = 'rgba(255,255,255,0.9)';
-      ctx.fillText('Craft', menuX + menuWidth - 55, recipeY + 2);
-      
-      // Check for click
-      if (mouse.left && 
-          mouse.x >= menuX + menuWidth - 70 && 
-          mouse.x <= menuX + menuWidth - 20 &&
-          mouse.y >= recipeY - 10 && 
-          mouse.y <= recipeY + 10) {
-        
-        // Consume inputs
-        for (const [inputId, count] of Object.entries(recipe.input)) {
-          gameState.inventory[inputId] -= count;
-        }
-        
-        // Add outputs
-        for (const [outputId, count] of Object.entries(recipe.output)) {
-          gameState.inventory[outputId] = (gameState.inventory[outputId] || 0) + count;
-        }
-        
-        // Reset mouse to prevent multiple crafts
-        mouse.left = false;
-      }
-    }
-    
-    recipeY += 40;
+    ctx.fillText('Pick a recipe', detailX, y + 100);
+    return;
+  }
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText(recipe.name, detailX, y + 100);
+  ctx.font = '12px sans-serif';
+  const nearStation = hasStation(recipe, stations);
+  ctx.fillStyle = nearStation ? 'rgba(200,200,200,0.8)' : 'rgba(255,120,120,0.9)';
+  ctx.fillText(recipe.station ? `Needs a ${recipe.station} nearby` : 'Made by hand', detailX, y + 120);
+  
+  // Ingredients: have / need (click one to see what else uses it)
+  for (const ingredient of layout.ingredients) {
+    const need = recipe.input[ingredient.id];
+    const have = countItem(ingredient.id);
+    ctx.fillStyle = itemColor(ingredient.id);
+    ctx.fillRect(ingredient.x, ingredient.y + 5, 12, 12);
+    ctx.fillStyle = have >= need ? 'rgba(255,255,255,0.9)' : 'rgba(255,120,120,0.9)';
+    ctx.fillText(`${itemName(ingredient.id)}  ${have} / ${need}`, ingredient.x + 20, ingredient.y + 15);
+  }
+  
+  const output = Object.entries(recipe.output).map(([id, count]) => `${count} ${itemName(id)}`).join(', ');
+  ctx.fillStyle = 'rgba(200,200,200,0.8)';
+  ctx.fillText(`Makes ${output}`, detailX, y + 146 + layout.ingredients.length * 24);
+  
+  const craftable = maxCraftable(recipe, stations);
+  for (const button of layout.buttons) {
+    const enabled = button.count <= craftable && craftable > 0;
+    ctx.fillStyle = enabled ? 'rgba(100,200,100,0.6)' : 'rgba(120,120,120,0.4)';
+    ctx.fillRect(button.x, button.y, button.w, button.h);
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.textAlign = 'center';
+    ctx.fillText(button.count === 0 && craftable > 0 ? `Max (${craftable})` : button.label, button.x + button.w / 2, button.y + 18);
+    ctx.textAlign = 'left';
   }
 }
 
-// Game loop
+// Game loop: the simulation runs in fixed STEP_MS steps; rendering interpolates
+// between the last two steps so motion stays smooth at any display rate
+const MAX_FRAME_MS = 250; // don't try to catch up on more than this after a stall
 let last = 0;
+let accumulator = 0;
+const previous = { playerX: 0, playerY: 0, cameraX: 0, cameraY: 0, mobs: new Map(), drops: new Map(), fallingBlocks: new Map() };
+
 function frame(ts) {
-  const dt = Math.min(50, ts - last) / 16.6667; // ~60fps normalized
+  if (benchmark.running) {
+    benchmarkFrame(ts);
+    requestAnimationFrame(frame);
+    return;
+  }
+  updateGamepad();
+  accumulator += Math.min(MAX_FRAME_MS, last ? ts - last : STEP_MS);
   last = ts;
-  update(dt);
+
+  while (accumulator >= STEP_MS) {
+    previous.playerX = player.x;
+    previous.playerY = player.y;
+    previous.cameraX = camera.x;
+    previous.cameraY = camera.y;
+    previous.mobs = new Map(gameState.mobs.map((mob) => [mob, { x: mob.x, y: mob.y }]));
+    previous.drops = new Map(gameState.drops.map((drop) => [drop, { x: drop.x, y: drop.y }]));
+    previous.fallingBlocks = new Map(gameState.fallingBlocks.map((block) => [block, block.y]));
+
+    if (replay.mode !== 'play') readInput();
+    stepGame();
+    if (window.PlayerAnim) {
+      window.PlayerAnim.update(player, 1);
+    }
+    accumulator -= STEP_MS;
+  }
+
+  const alpha = accumulator / STEP_MS;
+  view.x = previous.cameraX + (camera.x - previous.cameraX) * alpha;
+  view.y = previous.cameraY + (camera.y - previous.cameraY) * alpha;
+  renderPlayer = {
+    ...player,
+    x: previous.playerX + (player.x - previous.playerX) * alpha,
+    y: previous.playerY + (player.y - previous.playerY) * alpha,
+  };
+  renderMobs = gameState.mobs.map((mob) => {
+    const from = previous.mobs.get(mob) || mob; // just spawned
+    return { ...mob, x: from.x + (mob.x - from.x) * alpha, y: from.y + (mob.y - from.y) * alpha };
+  });
+  renderDrops = gameState.drops.map((drop) => {
+    const from = previous.drops.get(drop) || drop;
+    return { ...drop, x: from.x + (drop.x - from.x) * alpha, y: from.y + (drop.y - from.y) * alpha };
+  });
+  renderFallingBlocks = gameState.fallingBlocks.map((block) => {
+    const fromY = previous.fallingBlocks.has(block) ? previous.fallingBlocks.get(block) : block.y;
+    return { ...block, y: fromY + (block.y - fromY) * alpha };
+  });
+
+  updateNet(ts);
+  updateAudio();
   draw();
   requestAnimationFrame(frame);
 }
 
-// Helper function to darken a color
-function darkenColor(color, amount) {
-  // Convert hex to RGB
-  const r = parseInt(color.substring(1, 3), 16);
-  const g = parseInt(color.substring(3, 5), 16);
-  const b = parseInt(color.substring(5, 7), 16);
-  
-  // Darken
-  const factor = 1 - amount;
-  const newR = Math.max(0, Math.floor(r * factor));
-  const newG = Math.max(0, Math.floor(g * factor));
-  const newB = Math.max(0, Math.floor(b * factor));
-  
-  // Convert back to hex
-  return `#${newR.toString(16).padStart(2, '0')}${newG.toString(16).padStart(2, '0')}${newB.toString(16).padStart(2, '0')}`;
+// Another player on the server, with their number over their head
+function drawRemotePlayer(other) {
+  const shown = { ...player, ...other.state, x: other.x, y: other.y };
+  window.PlayerAnim.draw(ctx, shown, view);
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  const label = `Player ${other.id}`;
+  const sx = Math.floor(shown.x - view.x);
+  const sy = Math.floor(shown.y - view.y - shown.height / 2 - 16);
+  ctx.fillText(label, sx + 1, sy + 1);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(label, sx, sy);
+  ctx.textAlign = 'left';
+}
+
+// A dropped item: its icon at drop size, bobbing while it lies still, and
+// blinking in its last few seconds
+function drawDrop(drop) {
+  if (drop.age > DROP_DESPAWN_TIME - 5 && Math.floor(drop.age * 4) % 2 === 0) return;
+  const bob = drop.onGround ? Math.sin(gameState.totalTime * 3 + drop.x) * 1.5 - 1.5 : 0;
+  const scale = DROP_SIZE / TILE_SIZE;
+  ctx.save();
+  ctx.translate(drop.x - DROP_SIZE / 2 - view.x, drop.y - DROP_SIZE / 2 - view.y + bob);
+  ctx.scale(scale, scale);
+  drawItemStack({ id: drop.id, count: 1 }, 0, 0);
+  if (drop.count > 1) {
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillText(drop.count, TILE_SIZE, TILE_SIZE);
+  }
+  ctx.restore();
+}
+
+// Mobs
+function drawMob(mob) {
+  const def = MOB_TYPES[mob.type];
+  const x = mob.x - view.x;
+  const bottom = mob.y + mob.height / 2 - view.y;
+  const dir = mob.facing || 1;
+  
+  if (mob.type === 'slime') {
+    // Squash on the ground, stretch in the air
+    const stretch = mob.onGround ? 0.85 : 1 + Math.min(0.3, Math.abs(mob.vy) * 0.03);
+    const w = mob.width / stretch;
+    const h = mob.height * stretch;
+    ctx.fillStyle = def.color;
+    ctx.globalAlpha = 0.85;
+    ctx.beginPath();
+    ctx.ellipse(x, bottom - h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = '#1b1b1b';
+    ctx.fillRect(x + dir * 3 - 4, bottom - h * 0.65, 2, 3);
+    ctx.fillRect(x + dir * 3 + 2, bottom - h * 0.65, 2, 3);
+  } else if (mob.type === 'zombie') {
+    const top = bottom - mob.height;
+    const stride = Math.sin(mob.x / 6) * 3;
+    // Legs
+    ctx.fillStyle = '#3b4a6b';
+    ctx.fillRect(x - 6 + stride, bottom - 12, 5, 12);
+    ctx.fillRect(x + 1 - stride, bottom - 12, 5, 12);
+    // Torso and outstretched arms
+    ctx.fillStyle = '#5a6e3f';
+    ctx.fillRect(x - 7, top + 10, 14, 13);
+    ctx.fillStyle = def.color;
+    ctx.fillRect(dir > 0 ? x : x - 14, top + 12, 14, 4);
+    // Head
+    ctx.fillRect(x - 6, top, 12, 11);
+    ctx.fillStyle = '#c0392b';
+    ctx.fillRect(x + dir * 3 - 1, top + 3, 2, 2);
+  } else {
+    // Critter: body, head and ears
+    ctx.fillStyle = def.color;
+    ctx.beginPath();
+    ctx.ellipse(x, bottom - 5, mob.width / 2, 5, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(x + dir * 5, bottom - 9, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(x + dir * 4 - 1, bottom - 18, 2, 7);
+    ctx.fillRect(x + dir * 6 - 1, bottom - 17, 2, 6);
+    ctx.fillStyle = '#1b1b1b';
+    ctx.fillRect(x + dir * 7 - 1, bottom - 10, 1.5, 1.5);
+  }
 }
 
 // Helper function to interpolate between colors
@@ -1025,151 +1474,6 @@ function lerpColor(color1, color2, t) {
   return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
 }
 
-// Player health system
-function updatePlayerHealth(dt) {
-  // Update invulnerability timer
-  if (player.invulnerableTime > 0) {
-    player.invulnerableTime -= dt / 60;
-  }
-  
-  // Fall damage
-  if (player.vy > TERMINAL_VELOCITY * 0.8 && player.onGround && !player.wasOnGround) {
-    const fallDamage = Math.max(0, Math.floor((player.vy - TERMINAL_VELOCITY * 0.7) * 5));
-    if (fallDamage > 0) {
-      damagePlayer(fallDamage);
-    }
-  }
-  player.wasOnGround = player.onGround;
-  
-  // Lightning damage
-  if (gameState.weather.type === 'storm' && 
-      !gameState.isDaytime && 
-      Math.random() < 0.0001 * dt && 
-      !isSolid(getTile(Math.floor(player.x / TILE_SIZE), Math.floor((player.y / TILE_SIZE) - 2)))) {
-    // Player is outside during a storm
-    damagePlayer(10 + Math.floor(Math.random() * 10));
-    drawLightning(); // Visual feedback
-  }
-  
-  // Health regeneration (slow)
-  if (player.health < player.maxHealth && 
-      gameState.totalTime - player.lastDamageTime > 5) { // 5 seconds since last damage
-    player.health = Math.min(player.maxHealth, player.health + 0.01 * dt / 60);
-  }
-  
-  // Death check
-  if (player.health <= 0) {
-    // Respawn player
-    player.health = player.maxHealth;
-    spawnPlayerOnSurface();
-  }
-}
-
-function damagePlayer(amount) {
-  if (player.invulnerableTime > 0) return;
-  
-  player.health = Math.max(0, player.health - amount);
-  player.invulnerableTime = 1; // 1 second of invulnerability
-  player.lastDamageTime = gameState.totalTime;
-}
-
-// Weather system
-function updateWeather(dt) {
-  const weather = gameState.weather;
-  
-  // Update existing weather
-  if (weather.timeLeft > 0) {
-    weather.timeLeft -= dt / 60; // Convert to seconds
-    
-    if (weather.timeLeft <= 0) {
-      // Weather is ending
-      weather.type = 'clear';
-      weather.intensity = 0;
-      weather.particles = [];
-    }
-  } else if (Math.random() < 0.001 * dt) {
-    // Random chance to start new weather
-    startNewWeather();
-  }
-  
-  // Update particles
-  updateWeatherParticles(dt);
-}
-
-function startNewWeather() {
-  const weather = gameState.weather;
-  const rand = Math.random();
-  
-  if (rand < 0.7) {
-    // Rain
-    weather.type = 'rain';
-    weather.intensity = 0.3 + Math.random() * 0.7;
-    weather.timeLeft = 30 + Math.random() * 120; // 30-150 seconds
-  } else {
-    // Storm
-    weather.type = 'storm';
-    weather.intensity = 0.6 + Math.random() * 0.4;
-    weather.timeLeft = 20 + Math.random() * 60; // 20-80 seconds
-  }
-  
-  // Initialize particles
-  weather.particles = [];
-}
-
-function updateWeatherParticles(dt) {
-  const weather = gameState.weather;
-  
-  if (weather.type === 'clear') return;
-  
-  // Add new particles
-  const particleCount = weather.type === 'rain' ? 
-    Math.floor(weather.intensity * 3 * dt) : 
-    Math.floor(weather.intensity * 5 * dt);
-  
-  for (let i = 0; i < particleCount; i++) {
-    const x = camera.x + Math.random() * camera.width;
-    const y = camera.y;
-    const speed = weather.type === 'rain' ? 
-      10 + Math.random() * 15 : 
-      15 + Math.random() * 20;
-    
-    weather.particles.push({
-      x,
-      y,
-      speed,
-      length: weather.type === 'rain' ? 10 + Math.random() * 15 : 5 + Math.random() * 10
-    });
-  }
-  
-  // Update existing particles
-  for (let i = weather.particles.length - 1; i >= 0; i--) {
-    const particle = weather.particles[i];
-    
-    // Move particle
-    particle.y += particle.speed * dt / 5;
-    
-    // Check if particle is out of view
-    if (particle.y > camera.y + camera.height) {
-      // Remove particle
-      weather.particles.splice(i, 1);
-    } else {
-      // Check collision with tiles
-      const tx = Math.floor(particle.x / TILE_SIZE);
-      const ty = Math.floor(particle.y / TILE_SIZE);
-      
-      if (isSolid(getTile(tx, ty))) {
-        // Hit solid tile, remove particle
-        weather.particles.splice(i, 1);
-        
-        // If it's raining on sand, small chance to convert to dirt
-        if (weather.type === 'rain' && getTile(tx, ty) === TILE.SAND && Math.random() < 0.001) {
-          setTile(tx, ty, TILE.DIRT);
-        }
-      }
-    }
-  }
-}
-
 // Draw stars in the night sky
 function drawStars() {
   const starCount = 100;
@@ -1180,141 +1484,632 @@ function drawStars() {
   ctx.fillStyle = `rgba(255, 255, 255, ${starOpacity * 0.7})`;
   
   // Use a deterministic pattern based on camera position
-  const seed = Math.floor(camera.x / 100);
+  const seed = Math.floor(view.x / 100);
   const rand = mulberry32(seed);
   
   for (let i = 0; i < starCount; i++) {
-    const x = (rand() * camera.width) + (camera.x * 0.1) % 20;
-    const y = rand() * camera.height * 0.7;
+    const x = (rand() * view.width) + (view.x * 0.1) % 20;
+    const y = rand() * view.height * 0.7;
     const size = rand() < 0.2 ? 2 : 1;
     
     ctx.fillRect(x, y, size, size);
   }
 }
 
-function spawnPlayerOnSurface() {
-  for (let y = 0; y < WORLD_HEIGHT; y++) {
-    const t = getTile(Math.floor(WORLD_WIDTH / 2), y);
-    if (t === TILE.GRASS) {
-      player.x = (WORLD_WIDTH / 2) * TILE_SIZE;
-      player.y = (y - 2) * TILE_SIZE;
-      return;
+// Status effect icons in a row from (x, y); buffs get a white border, debuffs a red one
+function drawStatusEffects(x, y) {
+  const size = 24;
+  Object.entries(player.effects).forEach(([name, seconds], i) => {
+    const effect = STATUS_EFFECTS[name];
+    const ix = x + i * (size + 6);
+    ctx.fillStyle = effect.color;
+    ctx.fillRect(ix, y, size, size);
+    ctx.strokeStyle = effect.debuff ? '#ff5050' : 'rgba(255,255,255,0.9)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(ix + 1, y + 1, size - 2, size - 2);
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillText(effect.name[0], ix + size / 2, y + size / 2 + 4);
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`${Math.ceil(seconds)}s`, ix + size / 2, y + size + 11);
+    ctx.textAlign = 'left';
+  });
+}
+
+// Backdrop
+// Parallax hill layers: how little they move with the camera, their size and noise salt
+const BACKDROP_LAYERS = [
+  { depth: 0.15, scale: 260, height: 150, salt: 60 },
+  { depth: 0.35, scale: 140, height: 90, salt: 62 },
+];
+const BACKDROP_EASE = 0.03; // share of the way to the new biome's colors each frame
+const backdrop = { colors: null }; // [r, g, b, a] of the sky tint and each hill layer
+
+// Sky tint and hills, easing into the colors of the biome the camera is over
+function drawBackdrop() {
+  const biome = BIOMES[getBiome(Math.floor((view.x + view.width / 2) / TILE_SIZE))];
+  const targets = [biome.sky, ...biome.hills].map(parseColor);
+  if (!backdrop.colors) backdrop.colors = targets.map((color) => [...color]);
+  backdrop.colors.forEach((color, i) => {
+    for (let c = 0; c < 4; c++) color[c] += (targets[i][c] - color[c]) * BACKDROP_EASE;
+  });
+
+  const brightness = getSkyBrightness();
+  const [sr, sg, sb, sa] = backdrop.colors[0];
+  ctx.fillStyle = `rgba(${sr | 0},${sg | 0},${sb | 0},${(sa / 255) * brightness})`;
+  ctx.fillRect(0, 0, view.width, view.height);
+
+  BACKDROP_LAYERS.forEach((layer, i) => {
+    const [r, g, b] = backdrop.colors[i + 1];
+    ctx.fillStyle = `rgb(${(r * brightness) | 0},${(g * brightness) | 0},${(b * brightness) | 0})`;
+    // The layer's horizon follows the surface, but only a fraction of the camera's movement
+    const horizon = view.height / 2 + (SURFACE_LEVEL * TILE_SIZE - view.y - view.height / 2) * layer.depth + 40;
+    ctx.beginPath();
+    ctx.moveTo(0, view.height);
+    for (let sx = 0; sx <= view.width + 8; sx += 8) {
+      const u = (view.x * layer.depth + sx) / layer.scale;
+      const height = valueNoise1D(world.seed, u, layer.salt) * 0.7 + valueNoise1D(world.seed, u * 3, layer.salt + 1) * 0.3;
+      ctx.lineTo(sx, horizon - height * layer.height);
     }
+    ctx.lineTo(view.width + 8, view.height);
+    ctx.closePath();
+    ctx.fill();
+  });
+}
+
+// Save/Load system: named slots in localStorage, each holding a base64 world file
+const SAVE_INDEX_KEY = 'terrariaCloneSaves'; // { slots: [{ name, seed, savedAt }], current }
+const SAVE_SLOT_PREFIX = 'terrariaCloneSave:';
+const LEGACY_SAVE_KEY = 'terrariaCloneSave'; // the single JSON save of older versions
+
+function readSaveIndex() {
+  try {
+    const index = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY));
+    if (index && Array.isArray(index.slots)) return index;
+  } catch (e) {
+    console.error('Failed to read save index:', e);
   }
+  return { slots: [], current: 'World 1' };
 }
 
-// Save/Load system
-function saveGame() {
-  const saveData = {
-    world: world,
-    player: {
-      x: player.x,
-      y: player.y,
-      health: player.health,
-      maxHealth: player.maxHealth
-    },
-    inventory: gameState.inventory
-  };
-  
+function writeSaveIndex(index) {
+  localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+}
+
+function bytesToBase64(bytes) {
+  return btoa(bytesToText(bytes));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function saveGame(name = readSaveIndex().current) {
   try {
-    localStorage.setItem('terrariaCloneSave', JSON.stringify(saveData));
+    localStorage.setItem(SAVE_SLOT_PREFIX + name, bytesToBase64(writeSaveFile(serializeGame())));
+    
+    const index = readSaveIndex();
+    index.slots = index.slots.filter((slot) => slot.name !== name);
+    index.slots.push({ name, seed: world.seed, savedAt: Date.now() });
+    index.current = name;
+    writeSaveIndex(index);
     console.log('Game saved successfully');
     
     // Show save indicator
-    showMessage('Game saved!');
+    showMessage(`Saved "${name}"`);
+    return true;
   } catch (e) {
     console.error('Failed to save game:', e);
+    showMessage('Save failed');
+    return false;
   }
 }
 
-function loadGame() {
+function loadGame(name = readSaveIndex().current) {
+  // A recording or replay can't survive the state jumping underneath it
+  replay.mode = 'off';
+  replay.recording = null;
+  
   try {
-    const saveData = JSON.parse(localStorage.getItem('terrariaCloneSave'));
-    
-    if (saveData && saveData.world) {
-      // Load world
-      for (let y = 0; y < WORLD_HEIGHT; y++) {
-        for (let x = 0; x < WORLD_WIDTH; x++) {
-          world[y][x] = saveData.world[y][x];
-        }
-      }
-      
-      // Load player
-      if (saveData.player) {
-        player.x = saveData.player.x;
-        player.y = saveData.player.y;
-        player.health = saveData.player.health;
-        player.maxHealth = saveData.player.maxHealth;
-      }
-      
-      // Load inventory
-      if (saveData.inventory) {
-        gameState.inventory = saveData.inventory;
-      }
-      
+    const stored = localStorage.getItem(SAVE_SLOT_PREFIX + name);
+    if (stored && applySaveData(readSaveFile(base64ToBytes(stored)))) {
+      const index = readSaveIndex();
+      index.current = name;
+      writeSaveIndex(index);
       console.log('Game loaded successfully');
-      showMessage('Game loaded!');
+      showMessage(`Loaded "${name}"`);
       return true;
     }
+    if (!stored && loadLegacySave(name)) return true;
   } catch (e) {
     console.error('Failed to load game:', e);
+    showMessage(`Could not load "${name}": ${e.message}`);
   }
   
   return false;
 }
 
-// Message system
-let gameMessage = { text: '', timer: 0 };
+// Move the old single JSON save into a slot of the new format
+function loadLegacySave(name) {
+  const legacy = localStorage.getItem(LEGACY_SAVE_KEY);
+  if (!legacy || !applySaveData(JSON.parse(legacy))) return false;
+  if (saveGame(name)) localStorage.removeItem(LEGACY_SAVE_KEY);
+  return true;
+}
+
+function deleteSave(name) {
+  localStorage.removeItem(SAVE_SLOT_PREFIX + name);
+  const index = readSaveIndex();
+  index.slots = index.slots.filter((slot) => slot.name !== name);
+  writeSaveIndex(index);
+}
+
+// Share worlds as files
+function exportWorld(name) {
+  const stored = localStorage.getItem(SAVE_SLOT_PREFIX + name);
+  if (!stored) return;
+  const blob = new Blob([base64ToBytes(stored)], { type: 'application/octet-stream' });
+  downloadBlob(`${name}.twld`, blob);
+}
+
+function importWorld() {
+  pickFile('.twld,.json', (file) => file.arrayBuffer().then((buffer) => {
+    // Validate and load before it gets a slot
+    if (!applySaveData(readSaveFile(new Uint8Array(buffer)))) throw new Error('No world in file');
+    const base = file.name.replace(/\.[^.]*$/, '') || 'Imported';
+    const taken = new Set(readSaveIndex().slots.map((slot) => slot.name));
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base} (${n})`;
+    saveGame(name);
+  }));
+}
+
+// Save slot picker (F2)
+const saveMenu = { open: false, selected: 0 };
+const SAVE_MENU_ACTIONS = ['Load', 'Save', 'New', 'Delete', 'Download', 'Upload'];
+
+function getSaveMenuLayout() {
+  const width = 420;
+  const slots = readSaveIndex().slots;
+  const height = 144 + Math.max(1, slots.length) * 28;
+  const x = (view.width - width) / 2;
+  const y = Math.max(40, (view.height - height) / 2);
+  const rows = slots.map((slot, i) => ({ slot, x: x + 16, y: y + 50 + i * 28, w: width - 32, h: 24 }));
+  const buttonW = (width - 32) / SAVE_MENU_ACTIONS.length;
+  const buttons = SAVE_MENU_ACTIONS.map((action, i) => ({
+    action, x: x + 16 + i * buttonW, y: y + height - 44, w: buttonW - 6, h: 28,
+  }));
+  const penalty = { x: x + 16, y: y + height - 78, w: width - 32, h: 24 };
+  return { x, y, width, height, rows, buttons, penalty };
+}
+
+function hitRect(r, mx, my) {
+  return mx >= r.x && mx < r.x + r.w && my >= r.y && my < r.y + r.h;
+}
+
+function runSaveMenuAction(action) {
+  const slots = readSaveIndex().slots;
+  const slot = slots[saveMenu.selected];
+  if (action !== 'Download' && action !== 'Delete' && blockedOnline('Switching worlds')) return;
+  if (action === 'Load' && slot) {
+    if (loadGame(slot.name)) saveMenu.open = false;
+  } else if (action === 'Save') {
+    saveGame(slot ? slot.name : readSaveIndex().current);
+  } else if (action === 'New') {
+    const name = (window.prompt('Name of the new save slot:', `World ${slots.length + 1}`) || '').trim();
+    if (name && saveGame(name)) saveMenu.selected = readSaveIndex().slots.length - 1;
+  } else if (action === 'Delete' && slot) {
+    if (window.confirm(`Delete "${slot.name}"?`)) deleteSave(slot.name);
+    saveMenu.selected = Math.max(0, saveMenu.selected - 1);
+  } else if (action === 'Download' && slot) {
+    exportWorld(slot.name);
+  } else if (action === 'Upload') {
+    importWorld();
+  }
+}
+
+function handleSaveMenuClick(mx, my) {
+  const layout = getSaveMenuLayout();
+  layout.rows.forEach((row, i) => {
+    if (hitRect(row, mx, my)) saveMenu.selected = i;
+  });
+  for (const button of layout.buttons) {
+    if (hitRect(button, mx, my)) runSaveMenuAction(button.action);
+  }
+  if (hitRect(layout.penalty, mx, my)) cycleDeathPenalty();
+}
+
+function drawSaveMenu() {
+  const layout = getSaveMenuLayout();
+  const current = readSaveIndex().current;
+  
+  ctx.fillStyle = 'rgba(0,0,0,0.8)';
+  ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.strokeRect(layout.x, layout.y, layout.width, layout.height);
+  
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.fillText('Worlds', layout.x + 16, layout.y + 30);
+  ctx.font = '12px sans-serif';
+  ctx.fillText('F2 to close', layout.x + layout.width - 80, layout.y + 30);
+  
+  if (layout.rows.length === 0) {
+    ctx.fillStyle = 'rgba(200,200,200,0.7)';
+    ctx.fillText('No saved worlds yet', layout.x + 24, layout.y + 66);
+  }
+  layout.rows.forEach((row, i) => {
+    ctx.fillStyle = i === saveMenu.selected ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.08)';
+    ctx.fillRect(row.x, row.y, row.w, row.h);
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.font = row.slot.name === current ? 'bold 13px sans-serif' : '13px sans-serif';
+    ctx.fillText(row.slot.name, row.x + 8, row.y + 16);
+    ctx.fillStyle = 'rgba(200,200,200,0.7)';
+    ctx.font = '11px sans-serif';
+    const savedAt = new Date(row.slot.savedAt).toLocaleString();
+    ctx.fillText(`seed ${row.slot.seed} · ${savedAt}`, row.x + row.w - 200, row.y + 16);
+  });
+  
+  // This world's death penalty, saved with it
+  const penalty = layout.penalty;
+  ctx.fillStyle = 'rgba(255,255,255,0.08)';
+  ctx.fillRect(penalty.x, penalty.y, penalty.w, penalty.h);
+  const { name, about } = DEATH_PENALTIES[gameState.deathPenalty];
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.font = '13px sans-serif';
+  ctx.fillText(`Death penalty: ${name}`, penalty.x + 8, penalty.y + 16);
+  ctx.fillStyle = 'rgba(200,200,200,0.7)';
+  ctx.font = '11px sans-serif';
+  ctx.fillText(`${about} · click to change`, penalty.x + 170, penalty.y + 16);
+  
+  for (const button of layout.buttons) {
+    ctx.fillStyle = 'rgba(100,150,200,0.6)';
+    ctx.fillRect(button.x, button.y, button.w, button.h);
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(button.action, button.x + button.w / 2, button.y + 18);
+    ctx.textAlign = 'left';
+  }
+}
+
+// Key bindings screen (K): click a slot, then press a key or mouse button for it
+const bindingsMenu = { open: false };
+
+function getBindingsMenuLayout() {
+  const width = 520;
+  const rowH = Math.max(18, Math.min(26, (view.height - 140) / ACTIONS.length));
+  const height = 100 + ACTIONS.length * rowH;
+  const x = (view.width - width) / 2;
+  const y = Math.max(10, (view.height - height) / 2);
+  const slotW = 100;
+  const rows = ACTIONS.map((action, i) => ({
+    action,
+    y: y + 50 + i * rowH,
+    slots: Array.from({ length: BINDING_SLOTS }, (_, slot) => ({
+      slot, x: x + 200 + slot * (slotW + 8), y: y + 50 + i * rowH, w: slotW, h: rowH - 4,
+    })),
+  }));
+  const reset = { x: x + 16, y: y + height - 42, w: 140, h: 28 };
+  return { x, y, width, height, rows, reset };
+}
+
+function handleBindingsMenuClick(mx, my) {
+  const layout = getBindingsMenuLayout();
+  for (const row of layout.rows) {
+    for (const slot of row.slots) {
+      if (hitRect(slot, mx, my)) controls.rebinding = { action: row.action.id, slot: slot.slot };
+    }
+  }
+  if (hitRect(layout.reset, mx, my)) resetBindings();
+}
+
+// The key or button pressed while a slot waits: Escape cancels, Backspace/Delete clears it
+function finishRebinding(code) {
+  const { action, slot } = controls.rebinding;
+  controls.rebinding = null;
+  if (code === 'Escape') return;
+  bindAction(action, slot, code === 'Backspace' || code === 'Delete' ? null : code);
+}
+
+function drawBindingsMenu() {
+  const layout = getBindingsMenuLayout();
+  
+  ctx.fillStyle = 'rgba(0,0,0,0.85)';
+  ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.strokeRect(layout.x, layout.y, layout.width, layout.height);
+  
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.fillText('Key bindings', layout.x + 16, layout.y + 30);
+  ctx.font = '12px sans-serif';
+  ctx.fillText('K / Esc to close', layout.x + layout.width - 100, layout.y + 30);
+  
+  for (const row of layout.rows) {
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(row.action.label, layout.x + 16, row.y + 14);
+    const codes = controls.bindings[row.action.id];
+    for (const slot of row.slots) {
+      const waiting = controls.rebinding && controls.rebinding.action === row.action.id && controls.rebinding.slot === slot.slot;
+      ctx.fillStyle = waiting ? 'rgba(255,220,120,0.4)' : 'rgba(255,255,255,0.08)';
+      ctx.fillRect(slot.x, slot.y, slot.w, slot.h);
+      ctx.fillStyle = codes[slot.slot] ? 'rgba(255,255,255,0.9)' : 'rgba(200,200,200,0.4)';
+      ctx.textAlign = 'center';
+      const label = waiting ? 'Press a key...' : codes[slot.slot] ? bindingName(codes[slot.slot]) : '-';
+      ctx.fillText(label, slot.x + slot.w / 2, slot.y + slot.h / 2 + 4);
+      ctx.textAlign = 'left';
+    }
+  }
+  
+  ctx.fillStyle = 'rgba(100,150,200,0.6)';
+  ctx.fillRect(layout.reset.x, layout.reset.y, layout.reset.w, layout.reset.h);
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.textAlign = 'center';
+  ctx.fillText('Reset to defaults', layout.reset.x + layout.reset.w / 2, layout.reset.y + 18);
+  ctx.textAlign = 'left';
+  ctx.fillStyle = 'rgba(200,200,200,0.7)';
+  ctx.fillText('Esc cancels, Backspace clears a slot', layout.x + 180, layout.reset.y + 18);
+}
+
+// Sound settings (V): click along a bar to set that volume
+const soundMenu = { open: false };
+const SOUND_MENU_ROWS = [
+  { bus: 'master', label: 'Master' },
+  { bus: 'sfx', label: 'Effects' },
+  { bus: 'music', label: 'Music & ambience' },
+];
+
+function getSoundMenuLayout() {
+  const width = 360;
+  const height = 86 + SOUND_MENU_ROWS.length * 34;
+  const x = (view.width - width) / 2;
+  const y = Math.max(40, (view.height - height) / 2);
+  const rows = SOUND_MENU_ROWS.map((row, i) => ({
+    ...row, y: y + 50 + i * 34, bar: { x: x + 150, y: y + 50 + i * 34, w: 190, h: 22 },
+  }));
+  return { x, y, width, height, rows };
+}
+
+function handleSoundMenuClick(mx, my) {
+  for (const row of getSoundMenuLayout().rows) {
+    if (hitRect(row.bar, mx, my)) setVolume(row.bus, (mx - row.bar.x) / row.bar.w);
+  }
+}
 
-function showMessage(text, duration = 3) {
-  gameMessage.text = text;
-  gameMessage.timer = duration;
+function drawSoundMenu() {
+  const layout = getSoundMenuLayout();
+  
+  ctx.fillStyle = 'rgba(0,0,0,0.85)';
+  ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.strokeRect(layout.x, layout.y, layout.width, layout.height);
+  
+  ctx.fillStyle = 'rgba(255,255,255,0.9)';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.fillText('Sound', layout.x + 16, layout.y + 30);
+  ctx.font = '12px sans-serif';
+  ctx.fillText('V / Esc to close', layout.x + layout.width - 100, layout.y + 30);
+  
+  for (const row of layout.rows) {
+    const { bar } = row;
+    const volume = audio.volumes[row.bus];
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.font = '13px sans-serif';
+    ctx.fillText(row.label, layout.x + 16, bar.y + 15);
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+    ctx.fillStyle = 'rgba(100,150,200,0.6)';
+    ctx.fillRect(bar.x, bar.y, bar.w * volume, bar.h);
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${Math.round(volume * 100)}%`, bar.x + bar.w / 2, bar.y + 15);
+    ctx.textAlign = 'left';
+  }
+  
+  ctx.fillStyle = 'rgba(200,200,200,0.7)';
+  ctx.font = '11px sans-serif';
+  const hint = audio.context ? 'Click along a bar to set its volume' : 'Sound starts with your first click or key press';
+  ctx.fillText(hint, layout.x + 16, layout.y + layout.height - 16);
 }
 
-function updateMessage(dt) {
-  if (gameMessage.timer > 0) {
-    gameMessage.timer -= dt / 60;
+// On-screen stick and buttons, shown once the screen has been touched
+function drawTouchControls() {
+  const layout = getTouchLayout(view.width, view.height);
+  const { stick } = layout;
+  ctx.fillStyle = 'rgba(255,255,255,0.12)';
+  ctx.beginPath();
+  ctx.arc(stick.x, stick.y, stick.r, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Knob follows the thumb, up to the edge of the pad
+  const thumb = [...touches.values()].find((touch) => touch.stick);
+  let kx = stick.x;
+  let ky = stick.y;
+  if (thumb) {
+    const d = Math.hypot(thumb.x - stick.x, thumb.y - stick.y);
+    const k = d > stick.r ? stick.r / d : 1;
+    kx += (thumb.x - stick.x) * k;
+    ky += (thumb.y - stick.y) * k;
   }
+  ctx.fillStyle = 'rgba(255,255,255,0.35)';
+  ctx.beginPath();
+  ctx.arc(kx, ky, stick.r / 2.5, 0, Math.PI * 2);
+  ctx.fill();
+  
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+  for (const button of layout.buttons) {
+    ctx.fillStyle = controls.touch.has(button.action) ? 'rgba(255,255,255,0.4)' : 'rgba(255,255,255,0.15)';
+    ctx.beginPath();
+    ctx.arc(button.x + button.r, button.y + button.r, button.r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.fillText(button.label, button.x + button.r, button.y + button.r + 4);
+  }
+  ctx.textAlign = 'left';
+}
+
+// Crosshair at the pointer when there's no mouse cursor
+function drawAimCursor() {
+  ctx.strokeStyle = 'rgba(255,255,255,0.9)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(mouse.x, mouse.y, 7, 0, Math.PI * 2);
+  ctx.moveTo(mouse.x - 12, mouse.y);
+  ctx.lineTo(mouse.x - 4, mouse.y);
+  ctx.moveTo(mouse.x + 4, mouse.y);
+  ctx.lineTo(mouse.x + 12, mouse.y);
+  ctx.moveTo(mouse.x, mouse.y - 12);
+  ctx.lineTo(mouse.x, mouse.y - 4);
+  ctx.moveTo(mouse.x, mouse.y + 4);
+  ctx.lineTo(mouse.x, mouse.y + 12);
+  ctx.stroke();
+  ctx.lineWidth = 1;
 }
 
 function drawMessage() {
   if (gameMessage.timer <= 0) return;
   
   const opacity = Math.min(1, gameMessage.timer);
+  ctx.font = 'bold 16px sans-serif';
+  const boxWidth = Math.max(200, ctx.measureText(gameMessage.text).width + 40);
   ctx.fillStyle = `rgba(0,0,0,${opacity * 0.7})`;
-  ctx.fillRect(camera.width / 2 - 100, 70, 200, 40);
+  ctx.fillRect(view.width / 2 - boxWidth / 2, 70, boxWidth, 40);
   
   ctx.fillStyle = `rgba(255,255,255,${opacity})`;
-  ctx.font = 'bold 16px sans-serif';
   ctx.textAlign = 'center';
-  ctx.fillText(gameMessage.text, camera.width / 2, 95);
+  ctx.fillText(gameMessage.text, view.width / 2, 95);
   ctx.textAlign = 'left'; // Reset alignment
 }
 
-// Add save/load key handlers
-window.addEventListener('keydown', (e) => {
-  // Save game with F5
-  if (e.key === 'F5') {
-    e.preventDefault();
-    saveGame();
+// Dimmed red over the world while the player waits to respawn
+function drawDeathScreen() {
+  ctx.fillStyle = 'rgba(80,0,0,0.45)';
+  ctx.fillRect(0, 0, view.width, view.height);
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#ffdddd';
+  ctx.font = 'bold 40px sans-serif';
+  ctx.fillText('You died', view.width / 2, view.height / 2 - 10);
+  ctx.font = '16px sans-serif';
+  ctx.fillText(`Respawning in ${Math.ceil(player.respawnTime)}`, view.width / 2, view.height / 2 + 24);
+  ctx.textAlign = 'left';
+}
+
+// Offer a JSON object as a file download
+function downloadJSON(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data)], { type: 'application/json' }));
+}
+
+function downloadBlob(filename, blob) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Ask the user for a file and pass it to onLoad (which may return a promise)
+function pickFile(accept, onLoad) {
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = accept;
+  picker.addEventListener('change', () => {
+    const file = picker.files[0];
+    if (!file) return;
+    Promise.resolve().then(() => onLoad(file)).catch((e) => {
+      console.error('Failed to read file:', e);
+      showMessage('Could not read file');
+    });
+  });
+  picker.click();
+}
+
+// Ask the user for a JSON file and pass the parsed contents to onLoad
+function pickJSONFile(onLoad) {
+  pickFile('.json,application/json', (file) => file.text().then((text) => onLoad(JSON.parse(text))));
+}
+
+// Record with F6 (press again to stop and download), replay a file with F8
+function toggleRecording() {
+  if (replay.mode === 'record') {
+    const recording = stopRecording();
+    downloadJSON(`replay-${Date.now()}.json`, recording);
+    showMessage(`Recorded ${recording.frameCount} frames`);
+  } else if (replay.mode === 'off') {
+    startRecording();
+    showMessage('Recording input...');
   }
-  
-  // Load game with F9
-  if (e.key === 'F9') {
-    e.preventDefault();
-    loadGame();
+}
+
+function openReplay() {
+  pickJSONFile((recording) => {
+    try {
+      startReplay(recording);
+      showMessage('Replaying...');
+    } catch (e) {
+      console.error('Failed to start replay:', e);
+      showMessage('Invalid replay file');
+    }
+  });
+}
+
+// Extra tile definitions from a JSON file: index.html?tiles=my_tiles.json
+function loadTileFile(url) {
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response.text();
+    })
+    .then(loadTileDefinitions);
+}
+
+// Browsers only let sound start from a user gesture, so the first key press or click starts it
+function startAudio() {
+  if (audio.context) {
+    if (audio.context.state === 'suspended') audio.context.resume();
+    return;
   }
-});
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (AudioContextClass) initAudio(new AudioContextClass());
+}
+window.addEventListener('keydown', startAudio);
+window.addEventListener('pointerdown', startAudio);
 
 // Boot
 resize();
 
-// Try to load saved game, or generate new world
-if (!loadGame()) {
-  generateWorld();
-  spawnPlayerOnSurface();
-}
+const params = new URLSearchParams(location.search);
+const tileFile = params.get('tiles');
+const serverAddress = params.get('server'); // ?server= joins the server this page came from
+(tileFile ? loadTileFile(tileFile) : Promise.resolve())
+  .catch((e) => showMessage(`Couldn't load tiles: ${e.message}`))
+  .then(() => (serverAddress !== null ? joinServer(serverAddress || location.host) : false))
+  .catch((e) => {
+    showMessage(`Couldn't join server: ${e.message}`);
+    return false;
+  })
+  .then((joined) => {
+    // The server's world, else the saved game, else a new world (?benchmark: a test
+    // world first, which is never saved)
+    if (joined) {
+      spawnPlayerOnSurface();
+    } else if (params.has('benchmark')) {
+      startBenchmark(startOwnWorld);
+    } else {
+      startOwnWorld();
+    }
+    requestAnimationFrame(frame);
+  });
 
-requestAnimationFrame(frame);
+function startOwnWorld() {
+  if (!loadGame()) {
+    generateWorld();
+    spawnPlayerOnSurface();
+  }
+}
 
 
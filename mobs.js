@@ -0,0 +1,225 @@
+/*
+  Mobs
+  - gameState.mobs holds every live creature; they aren't saved with the world
+    (a loaded game spawns its own), only captured by recordings
+  - Each type has an AI: slimes hop, zombies walk and jump up ledges, critters wander
+  - Spawning depends on time of day, biome and light; mobs that stay off-screen despawn
+*/
+
+const MOB_TYPES = {
+  slime: {
+    ai: 'hop', hostile: true, width: 22, height: 16, health: 14,
+    damage: 6, knockback: 5, speed: 2.6, color: '#4caf50',
+  },
+  zombie: {
+    ai: 'walk', hostile: true, width: 18, height: 34, health: 30,
+    damage: 14, knockback: 7, speed: 1.3, color: '#6b8e5a',
+  },
+  bunny: {
+    ai: 'wander', hostile: false, width: 14, height: 12, health: 5,
+    damage: 0, knockback: 0, speed: 1.8, color: '#f2efe9',
+  },
+};
+
+const MAX_HOSTILE_MOBS = 6;
+const MAX_PASSIVE_MOBS = 4;
+const MOB_SPAWN_CHANCE = 0.02; // per step
+const MOB_SPAWN_MARGIN = 4; // tiles beyond the edge of the screen
+const MOB_DESPAWN_TIME = 8; // seconds off-screen before a mob is removed
+const MOB_AGGRO_RANGE = 24; // tiles
+
+function spawnMob(type, x, y) {
+  const def = MOB_TYPES[type];
+  const mob = {
+    type,
+    x,
+    y,
+    vx: 0,
+    vy: 0,
+    width: def.width,
+    height: def.height,
+    onGround: false,
+    facing: gameRandom() < 0.5 ? -1 : 1,
+    health: def.health,
+    aiTimer: gameRandom() * 60, // steps until the next decision
+    offscreenTime: 0,
+  };
+  gameState.mobs.push(mob);
+  return mob;
+}
+
+function updateMobs(dt) {
+  trySpawnMob();
+
+  for (const mob of gameState.mobs) {
+    const def = MOB_TYPES[mob.type];
+    if (def.ai === 'hop') updateHopper(mob, def, dt);
+    else if (def.ai === 'walk') updateWalker(mob, def, dt);
+    else updateWanderer(mob, def, dt);
+    moveMob(mob, def, dt);
+
+    // Contact damage, knocking the player away from the mob
+    if (def.hostile && mobTouchesPlayer(mob) && damagePlayer(def.damage)) {
+      const dir = player.x < mob.x ? -1 : 1;
+      player.vx = dir * def.knockback;
+      player.vy = -def.knockback;
+      player.onGround = false;
+    }
+
+    mob.offscreenTime = isOnScreen(mob) ? 0 : mob.offscreenTime + dt / 60;
+  }
+
+  // Despawn: long off-screen, dead, or a zombie caught out in daylight
+  gameState.mobs = gameState.mobs.filter((mob) => {
+    if (mob.health <= 0 || mob.offscreenTime > MOB_DESPAWN_TIME) return false;
+    return !(mob.type === 'zombie' && gameState.isDaytime && mob.offscreenTime > 0);
+  });
+}
+
+// AI
+// Slimes sit still, then leap toward the player (or anywhere when none is near)
+function updateHopper(mob, def, dt) {
+  if (!mob.onGround) return;
+  mob.vx *= 0.6;
+  mob.aiTimer -= dt;
+  if (mob.aiTimer > 0) return;
+
+  const dir = playerInRange(mob) ? Math.sign(player.x - mob.x) || 1 : (gameRandom() < 0.5 ? -1 : 1);
+  mob.facing = dir;
+  mob.vx = dir * def.speed * (0.7 + gameRandom() * 0.6);
+  mob.vy = -7 - gameRandom() * 4;
+  mob.onGround = false;
+  mob.aiTimer = 40 + gameRandom() * 60;
+}
+
+// Zombies shamble toward the player and jump when a ledge blocks the way
+function updateWalker(mob, def, dt) {
+  if (playerInRange(mob)) {
+    mob.facing = Math.sign(player.x - mob.x) || mob.facing;
+  } else {
+    mob.aiTimer -= dt;
+    if (mob.aiTimer <= 0) {
+      mob.facing = -mob.facing;
+      mob.aiTimer = 120 + gameRandom() * 180;
+    }
+  }
+  mob.vx = mob.facing * def.speed;
+
+  if (mob.onGround && isBlockedAhead(mob)) {
+    mob.vy = -9.5; // enough to clear two tiles
+    mob.onGround = false;
+  }
+}
+
+// Critters hop about at random and run from a nearby player
+function updateWanderer(mob, def, dt) {
+  const scared = Math.abs(player.x - mob.x) < 5 * TILE_SIZE && Math.abs(player.y - mob.y) < 3 * TILE_SIZE;
+  mob.aiTimer -= dt;
+  if (scared) {
+    mob.facing = player.x < mob.x ? 1 : -1;
+  } else if (mob.aiTimer <= 0) {
+    const roll = gameRandom();
+    mob.facing = roll < 0.4 ? -1 : 1;
+    mob.aiTimer = 60 + gameRandom() * 120;
+    if (roll > 0.8) mob.facing = 0; // sit for a while
+  }
+  if (!mob.onGround) return;
+
+  mob.vx = mob.facing * def.speed * (scared ? 1.6 : 1);
+  if (mob.facing !== 0 && (scared || isBlockedAhead(mob) || gameRandom() < 0.02)) {
+    mob.vy = -5;
+    mob.onGround = false;
+  }
+}
+
+// Physics
+function moveMob(mob, def, dt) {
+  mob.vy = Math.min(TERMINAL_VELOCITY, mob.vy + GRAVITY * dt);
+
+  const resultX = aabbVsTiles(mob.x, mob.y, mob.width, mob.height, mob.vx * dt, 0);
+  mob.x = resultX.x;
+  if (resultX.hitX) mob.vx = 0;
+
+  const resultY = aabbVsTiles(mob.x, mob.y, mob.width, mob.height, 0, mob.vy * dt);
+  mob.y = resultY.y;
+  if (resultY.hitY) mob.vy = 0;
+  mob.onGround = resultY.grounded;
+}
+
+function isBlockedAhead(mob) {
+  if (mob.facing === 0) return false;
+  const tx = Math.floor((mob.x + mob.facing * (mob.width / 2 + 2)) / TILE_SIZE);
+  const top = Math.floor((mob.y - mob.height / 2) / TILE_SIZE);
+  const bottom = Math.floor((mob.y + mob.height / 2 - 1) / TILE_SIZE);
+  for (let ty = top; ty <= bottom; ty++) {
+    if (isSolid(getTile(tx, ty))) return true;
+  }
+  return false;
+}
+
+function playerInRange(mob) {
+  return !isDead() && Math.hypot(player.x - mob.x, player.y - mob.y) < MOB_AGGRO_RANGE * TILE_SIZE;
+}
+
+function mobTouchesPlayer(mob) {
+  return Math.abs(mob.x - player.x) < (mob.width + player.width) / 2 &&
+    Math.abs(mob.y - player.y) < (mob.height + player.height) / 2;
+}
+
+function isOnScreen(mob) {
+  return mob.x + mob.width / 2 > camera.x && mob.x - mob.width / 2 < camera.x + camera.width &&
+    mob.y + mob.height / 2 > camera.y && mob.y - mob.height / 2 < camera.y + camera.height;
+}
+
+// Spawning
+// Every so often pick a spot just off-screen and see what may live there
+function trySpawnMob() {
+  if (gameRandom() >= MOB_SPAWN_CHANCE) return;
+
+  const side = gameRandom() < 0.5 ? -1 : 1;
+  const halfView = Math.ceil(camera.width / 2 / TILE_SIZE);
+  const tx = Math.floor(player.x / TILE_SIZE) + side * (halfView + MOB_SPAWN_MARGIN + Math.floor(gameRandom() * 8));
+  const ty = findMobFloor(tx, Math.floor(player.y / TILE_SIZE));
+  if (ty < 0) return;
+
+  const type = chooseMobType(tx, ty);
+  if (!type) return;
+  const hostile = MOB_TYPES[type].hostile;
+  const count = gameState.mobs.filter((mob) => MOB_TYPES[mob.type].hostile === hostile).length;
+  if (count >= (hostile ? MAX_HOSTILE_MOBS : MAX_PASSIVE_MOBS)) return;
+
+  const def = MOB_TYPES[type];
+  spawnMob(type, (tx + 0.5) * TILE_SIZE, (ty + 1) * TILE_SIZE - def.height / 2);
+}
+
+// Nearest free tile (two tall, solid below) in a column around row `near`, or -1
+function findMobFloor(tx, near) {
+  for (let offset = 0; offset < 20; offset++) {
+    for (const ty of [near + offset, near - offset]) {
+      if (ty < 2 || ty >= WORLD_HEIGHT - 1) continue;
+      if (!isSolid(getTile(tx, ty)) && !isSolid(getTile(tx, ty - 1)) && isSolid(getTile(tx, ty + 1))) {
+        return ty;
+      }
+    }
+  }
+  return -1;
+}
+
+// Which mob (if any) spawns at a floor tile, by time of day, biome and light
+function chooseMobType(tx, ty) {
+  const column = getColumnInfo(tx);
+  const light = getLightLevel(tx, ty);
+  const surface = ty <= column.groundY + 2;
+
+  if (!surface) {
+    // Caves: slimes lurk wherever it is dark
+    return light < 0.3 ? 'slime' : null;
+  }
+  if (!gameState.isDaytime) {
+    // Torches keep the night away
+    if (light >= 0.5) return null;
+    return gameRandom() < 0.7 ? 'zombie' : 'slime';
+  }
+  if (column.biome === 'forest' && gameRandom() < 0.5) return 'bunny';
+  return gameRandom() < 0.4 ? 'slime' : null;
+}
@@ -0,0 +1,138 @@
+/*
+  Multiplayer client
+  - index.html?server=host:port joins a game run by server.js (?server= alone
+    means the server this page came from); without it the game is single-player
+  - Joining rebuilds the server's world from its seed, edited chunks and tile
+    entities, and takes its time of day and weather
+  - While connected, this player's edits (world.editLog) and position go to the
+    server about 20 times a second; other players' edits are applied with
+    applyEdit() and the players themselves are drawn with PlayerAnim
+  - Mobs, dropped items, flowing liquids and falling sand stay local to each
+    browser; each one sees the same edits, so sand lands in the same places
+*/
+
+const NET_SEND_INTERVAL = 50; // ms between position updates
+const NET_SMOOTHING = 0.3; // share of the way remote players move to their latest position each frame
+
+const net = {
+  socket: null,
+  connected: false,
+  id: 0,
+  players: new Map(), // id -> { id, state, x, y }: latest state and the smoothed position drawn
+  lastSend: 0,
+};
+
+// Connect and take the server's world; resolves once it has all arrived
+function joinServer(address) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://${address}/ws`);
+    net.socket = socket;
+    socket.onmessage = (e) => {
+      const message = JSON.parse(e.data);
+      if (message.type === 'ready') {
+        net.connected = true;
+        world.editLog = [];
+        resolve(true);
+      } else {
+        handleServerMessage(message);
+      }
+    };
+    socket.onerror = () => reject(new Error(`no server at ${address}`));
+    socket.onclose = () => {
+      if (!net.connected) {
+        reject(new Error('connection closed'));
+        return;
+      }
+      leaveServer();
+      showMessage('Disconnected from server');
+    };
+  });
+}
+
+// Back to single-player, keeping the world as it is
+function leaveServer() {
+  net.connected = false;
+  net.players.clear();
+  world.editLog = null;
+  gameState.weather.remote = false;
+}
+
+function sendToServer(message) {
+  if (net.socket && net.socket.readyState === WebSocket.OPEN) net.socket.send(JSON.stringify(message));
+}
+
+function handleServerMessage(message) {
+  switch (message.type) {
+    case 'welcome':
+      net.id = message.id;
+      generateWorld(message.seed);
+      gameState.drops = [];
+      gameState.fallingBlocks = [];
+      gameState.mobs = [];
+      syncTime(message);
+      for (const other of message.players) addRemotePlayer(other.id, other.state);
+      break;
+    case 'chunk':
+      if (message.tiles) world.edited.set(message.key, Uint8Array.from(message.tiles));
+      if (message.walls) world.editedWalls.set(message.key, Uint8Array.from(message.walls));
+      break;
+    case 'entities':
+      loadTileEntities(message.list);
+      break;
+    case 'edits':
+      for (const edit of message.edits) applyEdit(edit);
+      break;
+    case 'player':
+      addRemotePlayer(message.id, message.state);
+      break;
+    case 'join':
+      showMessage(`Player ${message.id} joined`);
+      break;
+    case 'leave':
+      net.players.delete(message.id);
+      showMessage(`Player ${message.id} left`);
+      break;
+    case 'time':
+      syncTime(message);
+      break;
+  }
+}
+
+function addRemotePlayer(id, state) {
+  const known = net.players.get(id);
+  if (known) known.state = state;
+  else net.players.set(id, { id, state, x: state.x, y: state.y });
+}
+
+// The server's clock and weather; particles and lightning stay ours
+function syncTime({ totalTime, weather }) {
+  gameState.totalTime = totalTime;
+  advanceTime(0);
+  Object.assign(gameState.weather, weather, { remote: true });
+  if (weather.type === 'clear') gameState.weather.particles = [];
+}
+
+// Every frame: send what changed here, move the others toward where they are.
+// The server checks edits against where we are, so a new position goes first
+function updateNet(now) {
+  if (!net.connected) return;
+  if (now - net.lastSend >= NET_SEND_INTERVAL) {
+    net.lastSend = now;
+    const { x, y, vx, vy, facing, onGround, anim } = player;
+    sendToServer({ type: 'player', state: { x, y, vx, vy, facing, onGround, anim, dead: isDead() } });
+  }
+  if (world.editLog.length) {
+    sendToServer({ type: 'edits', edits: world.editLog });
+    world.editLog = [];
+  }
+  for (const other of net.players.values()) {
+    other.x += (other.state.x - other.x) * NET_SMOOTHING;
+    other.y += (other.state.y - other.y) * NET_SMOOTHING;
+  }
+}
+
+// Saves, loads and recordings belong to single-player; returns whether `what` is refused
+function blockedOnline(what) {
+  if (net.connected) showMessage(`${what} is off while playing on a server`);
+  return net.connected;
+}
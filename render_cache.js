@@ -0,0 +1,266 @@
+/*
+  Render caches (browser client)
+  - Each visible chunk is drawn once into an offscreen canvas (walls, tiles,
+    outlines) at full brightness and redrawn only after setTile/setWall bump its
+    revision; draw() then blits a few chunk images instead of filling every tile
+  - Light is one small image per frame, one pixel per visible tile, stretched
+    over the world and multiplied in, instead of shading each tile's color
+  - The minimap keeps an image of the chunks around the player and repaints
+    only the chunks that changed since they were last painted
+  - index.html?benchmark pans across a large world and reports frame times
+    with and without the chunk cache
+*/
+
+const CHUNK_CANVAS_LIMIT = 24; // cached chunk images kept (least recently drawn go first)
+const MINIMAP_CHUNKS = 9; // chunk columns the minimap image covers
+
+// Colors
+// Parsed tile colors as [r, g, b, a] (0..255), by color string
+const parsedColors = new Map();
+function parseColor(color) {
+  if (!color) return [0, 0, 0, 0];
+  let rgba = parsedColors.get(color);
+  if (!rgba) {
+    if (color[0] === '#') {
+      rgba = [1, 3, 5].map((i) => parseInt(color.substring(i, i + 2), 16)).concat(255);
+    } else {
+      const [r = 0, g = 0, b = 0, a = 1] = (color.match(/[\d.]+/g) || []).map(Number);
+      rgba = [r, g, b, Math.round(a * 255)];
+    }
+    parsedColors.set(color, rgba);
+  }
+  return rgba;
+}
+
+// A color scaled per channel (0..1), keeping its alpha
+function scaleColor(color, r, g, b) {
+  const [cr, cg, cb, ca] = parseColor(color);
+  return `rgba(${Math.floor(cr * r)},${Math.floor(cg * g)},${Math.floor(cb * b)},${ca / 255})`;
+}
+
+// Chunk images
+const chunkCanvases = new Map(); // "cx,cy" -> { canvas, ctx, chunk, revision }, in drawing order
+
+// Image of a chunk, redrawn if its tiles changed (or it was reloaded) since last time
+function getChunkCanvas(cx, cy) {
+  const key = chunkKey(cx, cy);
+  const chunk = getChunk(cx, cy);
+  let entry = chunkCanvases.get(key);
+  if (entry) {
+    chunkCanvases.delete(key); // re-added below as the most recently used
+  } else if (chunkCanvases.size >= CHUNK_CANVAS_LIMIT) {
+    const [oldestKey, oldest] = chunkCanvases.entries().next().value;
+    chunkCanvases.delete(oldestKey);
+    entry = { canvas: oldest.canvas, ctx: oldest.ctx, chunk: null, revision: -1 };
+  } else {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = CHUNK_SIZE * TILE_SIZE;
+    entry = { canvas, ctx: canvas.getContext('2d'), chunk: null, revision: -1 };
+  }
+  chunkCanvases.set(key, entry);
+
+  if (entry.chunk !== chunk || entry.revision !== chunk.revision) {
+    renderChunk(entry.ctx, chunk);
+    entry.chunk = chunk;
+    entry.revision = chunk.revision;
+  }
+  return entry.canvas;
+}
+
+// Everything static in a chunk, unlit; liquids and animated tiles are left to draw()
+function renderChunk(g, chunk) {
+  g.clearRect(0, 0, CHUNK_SIZE * TILE_SIZE, CHUNK_SIZE * TILE_SIZE);
+  for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+      const i = ly * CHUNK_SIZE + lx;
+      const def = getTileDef(chunk.tiles[i]);
+      const wall = chunk.walls[i];
+      const sx = lx * TILE_SIZE;
+      const sy = ly * TILE_SIZE;
+
+      // Background wall, wherever the tile in front doesn't cover it
+      if (wall !== TILE.AIR && def.transparent) {
+        g.fillStyle = scaleColor(getTileDef(wall).color, WALL_SHADE, WALL_SHADE, WALL_SHADE);
+        g.fillRect(sx, sy, TILE_SIZE, TILE_SIZE);
+      }
+      if (def.id === TILE.AIR || def.liquid || ANIMATED_RENDERERS.has(def.render)) continue;
+
+      const tx = chunk.cx * CHUNK_SIZE + lx;
+      const ty = chunk.cy * CHUNK_SIZE + ly;
+      getTileRenderer(def)(sx, sy, def.color || '#000000', { ctx: g, def, isDark: false, tx, ty });
+      if (def.shape === 'full' && def.solid) {
+        g.strokeStyle = 'rgba(0,0,0,0.15)';
+        g.strokeRect(sx + 0.5, sy + 0.5, TILE_SIZE - 1, TILE_SIZE - 1);
+      }
+    }
+  }
+}
+
+// Redraw every chunk on next use (e.g. once a tile texture has loaded)
+function invalidateChunkCanvases() {
+  for (const entry of chunkCanvases.values()) entry.revision = -1;
+}
+
+// Light overlay
+const lightOverlay = { canvas: null, ctx: null, image: null };
+
+// Light of the tiles from (startX, startY) up to (endX, endY) as an image, one
+// pixel per tile, for draw() to multiply over the tiles. Open sky in full sun
+// stays white: the sky color already shows the time of day
+function getLightOverlay(startX, startY, endX, endY, skyBrightness) {
+  const width = endX - startX;
+  const height = Math.max(1, endY - startY);
+  if (!lightOverlay.canvas) {
+    lightOverlay.canvas = document.createElement('canvas');
+    lightOverlay.ctx = lightOverlay.canvas.getContext('2d');
+  }
+  if (lightOverlay.canvas.width !== width || lightOverlay.canvas.height !== height) {
+    lightOverlay.canvas.width = width;
+    lightOverlay.canvas.height = height;
+    lightOverlay.image = lightOverlay.ctx.createImageData(width, height);
+  }
+
+  const data = lightOverlay.image.data;
+  for (let ty = startY; ty < endY; ty++) {
+    for (let tx = startX; tx < endX; tx++) {
+      const light = getLight(tx, ty);
+      const sun = light.sun * skyBrightness;
+      let r = Math.max(MIN_LIGHT, sun, light.red) / MAX_LIGHT;
+      let g = Math.max(MIN_LIGHT, sun, light.green) / MAX_LIGHT;
+      let b = Math.max(MIN_LIGHT, sun, light.blue) / MAX_LIGHT;
+      if (getTile(tx, ty) === TILE.AIR && getWall(tx, ty) === TILE.AIR) {
+        // Caves and overhangs get a grey shade, open sky none
+        const shade = light.sun < MAX_LIGHT ? 0.1 + 0.9 * Math.max(r, g, b) : 1;
+        r = g = b = shade;
+      }
+      const i = ((ty - startY) * width + (tx - startX)) * 4;
+      data[i] = r * 255;
+      data[i + 1] = g * 255;
+      data[i + 2] = b * 255;
+      data[i + 3] = 255;
+    }
+  }
+  lightOverlay.ctx.putImageData(lightOverlay.image, 0, 0);
+  return lightOverlay.canvas;
+}
+
+// Minimap
+// One pixel per tile for MINIMAP_CHUNKS chunk columns starting at originCx
+const minimapImage = { canvas: null, ctx: null, chunkImage: null, originCx: 0, painted: new Map() };
+
+// The minimap image, brought up to date for tile columns firstTx..firstTx + span
+function getMinimapImage(firstTx, span) {
+  const m = minimapImage;
+  if (!m.canvas) {
+    m.canvas = document.createElement('canvas');
+    m.canvas.width = MINIMAP_CHUNKS * CHUNK_SIZE;
+    m.canvas.height = WORLD_HEIGHT;
+    m.ctx = m.canvas.getContext('2d');
+    m.chunkImage = m.ctx.createImageData(CHUNK_SIZE, CHUNK_SIZE);
+  }
+
+  const firstCx = Math.floor(firstTx / CHUNK_SIZE);
+  const lastCx = Math.floor((firstTx + span) / CHUNK_SIZE);
+  if (firstCx < m.originCx || lastCx >= m.originCx + MINIMAP_CHUNKS) {
+    // Re-center on the player, keeping what is already painted
+    const originCx = Math.floor((firstCx + lastCx + 1 - MINIMAP_CHUNKS) / 2);
+    m.ctx.globalCompositeOperation = 'copy';
+    m.ctx.drawImage(m.canvas, (m.originCx - originCx) * CHUNK_SIZE, 0);
+    m.ctx.globalCompositeOperation = 'source-over';
+    m.originCx = originCx;
+    for (const key of m.painted.keys()) {
+      const cx = Number(key.split(',')[0]);
+      if (cx < originCx || cx >= originCx + MINIMAP_CHUNKS) m.painted.delete(key);
+    }
+  }
+
+  for (let cx = firstCx; cx <= lastCx; cx++) {
+    for (let cy = 0; cy * CHUNK_SIZE < WORLD_HEIGHT; cy++) {
+      const key = chunkKey(cx, cy);
+      const chunk = getChunk(cx, cy);
+      const painted = m.painted.get(key);
+      if (painted && painted.chunk === chunk && painted.revision === chunk.revision) continue;
+      paintMinimapChunk(chunk);
+      m.painted.set(key, { chunk, revision: chunk.revision });
+    }
+  }
+  return m;
+}
+
+function paintMinimapChunk(chunk) {
+  const m = minimapImage;
+  const data = m.chunkImage.data;
+  for (let i = 0; i < CHUNK_SIZE * CHUNK_SIZE; i++) {
+    const [r, g, b, a] = parseColor(getTileDef(chunk.tiles[i]).color);
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+    data[i * 4 + 3] = a;
+  }
+  m.ctx.putImageData(m.chunkImage, (chunk.cx - m.originCx) * CHUNK_SIZE, chunk.cy * CHUNK_SIZE);
+}
+
+// Benchmark
+const BENCHMARK_SEED = 2024;
+const BENCHMARK_WIDTH = 4096; // tiles panned across (128 chunks)
+const BENCHMARK_FRAMES = 600; // per pass
+const BENCHMARK_PASSES = [
+  { name: 'cached', cold: false },
+  { name: 'uncached', cold: true }, // every visible chunk redrawn each frame, as if nothing were cached
+];
+
+const benchmark = { running: false, pass: 0, frame: 0, drawTimes: [], frameTimes: [], lastTs: 0, results: [], done: null };
+
+// Generate the benchmark world and take over the game loop until it's done; the
+// world is thrown away then and `done` brings back the player's own
+function startBenchmark(done) {
+  generateWorld(BENCHMARK_SEED);
+  // Generate the whole strip up front, so generating chunks isn't counted as drawing
+  for (let cx = 0; cx * CHUNK_SIZE < BENCHMARK_WIDTH; cx++) {
+    for (let cy = 0; cy * CHUNK_SIZE < WORLD_HEIGHT; cy++) getChunk(cx, cy);
+  }
+  Object.assign(benchmark, { running: true, pass: 0, frame: 0, drawTimes: [], frameTimes: [], lastTs: 0, results: [], done });
+  showMessage('Benchmarking...', 60);
+}
+
+// One benchmark frame: move the view along its path, dig a little, time draw()
+function benchmarkFrame(ts) {
+  const pass = BENCHMARK_PASSES[benchmark.pass];
+  const t = benchmark.frame / BENCHMARK_FRAMES;
+  view.x = camera.x = t * (BENCHMARK_WIDTH * TILE_SIZE - view.width);
+  view.y = camera.y = (0.5 - Math.cos(t * Math.PI * 6) / 2) * Math.max(0, WORLD_HEIGHT * TILE_SIZE - view.height);
+  player.x = view.x + view.width / 2;
+  player.y = view.y + view.height / 2;
+  renderPlayer = player;
+  if (benchmark.frame % 10 === 0) {
+    setTile(Math.floor(player.x / TILE_SIZE), Math.floor(player.y / TILE_SIZE), TILE.AIR);
+  }
+  if (pass.cold) invalidateChunkCanvases();
+
+  const start = performance.now();
+  draw();
+  benchmark.drawTimes.push(performance.now() - start);
+  if (benchmark.lastTs) benchmark.frameTimes.push(ts - benchmark.lastTs);
+  benchmark.lastTs = ts;
+
+  if (++benchmark.frame < BENCHMARK_FRAMES) return;
+  benchmark.results.push({ pass: pass.name, draw: summarizeTimes(benchmark.drawTimes), frame: summarizeTimes(benchmark.frameTimes) });
+  Object.assign(benchmark, { pass: benchmark.pass + 1, frame: 0, drawTimes: [], frameTimes: [], lastTs: 0 });
+  if (benchmark.pass < BENCHMARK_PASSES.length) return;
+
+  benchmark.running = false;
+  benchmark.done();
+  console.table(benchmark.results.map(({ pass, draw, frame }) => ({
+    pass, 'draw avg ms': draw.mean, 'draw p95 ms': draw.p95, 'draw max ms': draw.max, 'frame avg ms': frame.mean,
+  })));
+  showMessage('Benchmark draw() ms: ' + benchmark.results.map(({ pass, draw }) => `${pass} ${draw.mean} (p95 ${draw.p95})`).join(', '), 30);
+}
+
+// Mean, median, 95th percentile and max of a list of milliseconds, rounded to 0.01
+function summarizeTimes(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] || 0;
+  const round = (ms) => Math.round(ms * 100) / 100;
+  const mean = sorted.reduce((sum, ms) => sum + ms, 0) / Math.max(1, sorted.length);
+  return { mean: round(mean), median: round(at(0.5)), p95: round(at(0.95)), max: round(at(1)) };
+}
@@ -0,0 +1,178 @@
+/*
+  Input recording and replay
+  - A recording is the exact simulation state when it started plus the input
+    of every fixed step after that
+  - Replaying restores the start state and feeds the same input back, so the
+    run ends in the same world/player state (checked with stateHash())
+  - Whatever moves in the world (mobs, drops, falling blocks) is kept in
+    gameState as plain JSON data for this: captureState() copies it as it is
+*/
+
+const REPLAY_VERSION = 1;
+
+// Input flags packed into one number per frame
+const INPUT_BITS = { left: 1, right: 2, jump: 4, mine: 8, place: 16, split: 32, stow: 64, down: 128, drop: 256, quick: 512, inventory: 1024 };
+
+const replay = {
+  mode: 'off', // 'off', 'record', 'play'
+  recording: null,
+  entry: 0, // playback: index into recording.frames
+  repeat: 0, // playback: frames left of the current entry
+};
+
+// Everything a replay needs to resume the simulation bit-for-bit
+function captureState() {
+  return {
+    save: JSON.parse(JSON.stringify(serializeGame())), // detached from live state
+    player: {
+      vx: player.vx,
+      vy: player.vy,
+      onGround: player.onGround,
+      facing: player.facing,
+      invulnerableTime: player.invulnerableTime,
+      lastDamageTime: player.lastDamageTime,
+      wasOnGround: player.wasOnGround,
+      landingSpeed: player.landingSpeed,
+      mining: { ...player.mining },
+      placeHeld: player.placeHeld,
+    },
+    gameState: {
+      totalTime: gameState.totalTime,
+      dayTime: gameState.dayTime,
+      isDaytime: gameState.isDaytime,
+      rngState: gameState.rngState,
+      weather: JSON.parse(JSON.stringify(gameState.weather)),
+      showInventory: gameState.showInventory,
+      mobs: JSON.parse(JSON.stringify(gameState.mobs)),
+      openChest: gameState.openChest,
+    },
+    camera: { x: camera.x, y: camera.y, width: camera.width, height: camera.height },
+    activeLiquids: [...world.activeLiquids].sort(),
+    selectedHotbar,
+  };
+}
+
+function restoreState(state) {
+  state = JSON.parse(JSON.stringify(state)); // keep the recording itself untouched
+  applySaveData(state.save);
+  Object.assign(player, state.player);
+  Object.assign(gameState, state.gameState);
+  Object.assign(camera, state.camera);
+  world.activeLiquids = new Set(state.activeLiquids);
+  selectHotbar(state.selectedHotbar);
+}
+
+// FNV-1a hash of the full simulation state, for comparing runs
+function stateHash() {
+  const text = JSON.stringify(captureState());
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+function encodeInput() {
+  let bits = 0;
+  for (const [name, bit] of Object.entries(INPUT_BITS)) {
+    if (input[name]) bits |= bit;
+  }
+  return [bits, input.tx, input.ty, selectedHotbar, input.craft, input.slot, input.craftCount];
+}
+
+function decodeInput(frame) {
+  const [bits, tx, ty, hotbar, craft, slot, craftCount = 1] = frame;
+  for (const [name, bit] of Object.entries(INPUT_BITS)) {
+    input[name] = (bits & bit) !== 0;
+  }
+  input.tx = tx;
+  input.ty = ty;
+  input.craft = craft;
+  input.craftCount = craftCount;
+  input.slot = slot;
+  selectHotbar(hotbar);
+}
+
+function startRecording() {
+  replay.mode = 'record';
+  replay.recording = { version: REPLAY_VERSION, start: captureState(), frames: [], frameCount: 0 };
+}
+
+// Stop recording and return the finished recording (with the final state hash)
+function stopRecording() {
+  const recording = replay.recording;
+  replay.mode = 'off';
+  replay.recording = null;
+  if (recording) recording.finalHash = stateHash();
+  return recording;
+}
+
+// Store this step's input; identical consecutive frames are run-length encoded
+function recordFrame() {
+  const recording = replay.recording;
+  const frame = encodeInput();
+  const lastEntry = recording.frames[recording.frames.length - 1];
+  if (lastEntry && frame.every((v, i) => v === lastEntry[i + 1])) {
+    lastEntry[0]++;
+  } else {
+    recording.frames.push([1, ...frame]);
+  }
+  recording.frameCount++;
+}
+
+function startReplay(recording) {
+  if (!recording || recording.version !== REPLAY_VERSION) {
+    throw new Error('Unsupported replay version');
+  }
+  restoreState(recording.start);
+  replay.mode = 'play';
+  replay.recording = recording;
+  replay.entry = 0;
+  replay.repeat = 0;
+}
+
+// Load the next recorded input; returns false once the recording is exhausted
+function playFrame() {
+  const frames = replay.recording.frames;
+  if (replay.repeat === 0) {
+    if (replay.entry >= frames.length) return false;
+    replay.repeat = frames[replay.entry][0];
+    replay.entry++;
+  }
+  decodeInput(frames[replay.entry - 1].slice(1));
+  replay.repeat--;
+  return true;
+}
+
+// End playback; returns whether the final state matches the recording
+function finishReplay() {
+  const recording = replay.recording;
+  replay.mode = 'off';
+  replay.recording = null;
+  return !recording.finalHash || recording.finalHash === stateHash();
+}
+
+// One fixed simulation step, recording or replaying input as needed.
+// Returns false when a replay has just finished (no step was taken).
+function stepGame() {
+  if (replay.mode === 'play' && !playFrame()) {
+    const matched = finishReplay();
+    showMessage(matched ? 'Replay finished' : 'Replay diverged!');
+    return false;
+  }
+  if (replay.mode === 'record') recordFrame();
+  update(1);
+  return true;
+}
+
+// Run a whole recording as fast as possible; returns the final state hash
+function runReplay(recording) {
+  startReplay(recording);
+  while (playFrame()) {
+    update(1);
+  }
+  replay.mode = 'off';
+  replay.recording = null;
+  return stateHash();
+}
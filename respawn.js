@@ -0,0 +1,146 @@
+/*
+  Death and respawning
+  - When health runs out the player dies: player.respawnTime counts down the
+    death screen while the world carries on without them, then they come back
+    at their bed (player.spawnPoint, set by using one) or, with no bed or a
+    broken one, on the surface near the world spawn
+  - What dying costs is the world's gameState.deathPenalty: part or all of the
+    inventory stays behind in a tombstone where the player fell, which gives it
+    back when used and spills it when mined
+  - findSurfaceSpawn() looks outward from SPAWN_TX for ground to stand on with
+    room above it, so spawning works whatever the biome
+*/
+
+const RESPAWN_DELAY = 5; // seconds on the death screen
+const SPAWN_SEARCH_RADIUS = 64; // columns to each side of SPAWN_TX
+const TOMBSTONE_SEARCH_RADIUS = 3; // tiles around the body to find room for the tombstone
+
+// keep: share of each stack the player keeps (rounded up, so single items always stay);
+// about: shown in the worlds menu
+const DEATH_PENALTIES = {
+  easy: { name: 'Easy', about: 'lose nothing', keep: 1 },
+  normal: { name: 'Normal', about: 'drop half of every stack', keep: 0.5 },
+  hard: { name: 'Hard', about: 'drop everything', keep: 0 },
+};
+
+function isDead() {
+  return player.respawnTime > 0;
+}
+
+// Called from update() when health reaches zero
+function killPlayer() {
+  player.respawnTime = RESPAWN_DELAY;
+  player.mining.progress = 0;
+  player.vx = 0;
+  cueSound('death');
+  const lost = takeDeathPenalty();
+  if (lost.length > 0) {
+    leaveTombstone(lost);
+    showMessage('Your items are in a tombstone where you fell', RESPAWN_DELAY + 3);
+  }
+}
+
+// Take the penalty's share out of every stack (the one in hand too); returns the stacks taken
+function takeDeathPenalty() {
+  const keep = DEATH_PENALTIES[gameState.deathPenalty].keep;
+  const lost = [];
+  const take = (stack) => {
+    const count = stack.count - Math.ceil(stack.count * keep);
+    if (count > 0) lost.push({ id: stack.id, count });
+    return count;
+  };
+  gameState.inventory.forEach((stack, i) => {
+    if (stack) takeFromSlot(i, take(stack));
+  });
+  const held = gameState.cursorStack;
+  if (held) {
+    gameState.cursorStack = null;
+    const left = addItem(held.id, held.count - take(held));
+    if (left > 0) lost.push({ id: held.id, count: left });
+  }
+  return lost;
+}
+
+// In the nearest free cell at or above the body; scattered as drops when there is none
+function leaveTombstone(items) {
+  const tx = Math.floor(player.x / TILE_SIZE);
+  const ty = Math.floor((player.y + player.height / 2 - 1) / TILE_SIZE);
+  for (let dy = 0; dy <= TOMBSTONE_SEARCH_RADIUS; dy++) {
+    for (const dx of outwardOffsets(TOMBSTONE_SEARCH_RADIUS)) {
+      if (placeTileEntity(TILE.TOMBSTONE, tx + dx, ty - dy, { items })) return;
+    }
+  }
+  for (const stack of items) {
+    spawnDrop(stack.id, stack.count, player.x, player.y, (gameRandom() - 0.5) * 4, -3);
+  }
+}
+
+// Called from update() instead of updatePlayerHealth() while dead
+function updateRespawn(dt) {
+  player.respawnTime = Math.max(0, player.respawnTime - dt / 60);
+  if (player.respawnTime === 0) respawnPlayer();
+}
+
+function respawnPlayer() {
+  player.health = player.maxHealth;
+  resetStatus();
+  player.vx = 0;
+  player.vy = 0;
+  player.landingSpeed = 0;
+  if (!spawnAtBed()) spawnPlayerOnSurface();
+}
+
+// Returns false when there is no bed to wake up in
+function spawnAtBed() {
+  const spawn = player.spawnPoint;
+  if (!spawn) return false;
+  const bed = getTileEntity(spawn.tx, spawn.ty);
+  if (!bed || bed.type !== 'bed' || bed.tx !== spawn.tx || bed.ty !== spawn.ty) {
+    player.spawnPoint = null;
+    showMessage('Your bed is gone, so you woke up at the world spawn');
+    return false;
+  }
+  // The player stands two tiles tall on the bed
+  if (isSolid(getTile(bed.tx, bed.ty - 1)) || isSolid(getTile(bed.tx + 1, bed.ty - 1))) {
+    showMessage('Your bed is blocked, so you woke up at the world spawn');
+    return false;
+  }
+  player.x = (bed.tx + 1) * TILE_SIZE;
+  player.y = (bed.ty + 1) * TILE_SIZE - player.height / 2;
+  return true;
+}
+
+function spawnPlayerOnSurface() {
+  const spot = findSurfaceSpawn();
+  player.x = spot.x;
+  player.y = spot.y;
+}
+
+// The first column out from SPAWN_TX whose topmost solid tile has air (not
+// water or lava) above it; the top of the world at SPAWN_TX when none does
+function findSurfaceSpawn() {
+  for (const dx of outwardOffsets(SPAWN_SEARCH_RADIUS)) {
+    const tx = SPAWN_TX + dx;
+    for (let ty = 0; ty < WORLD_HEIGHT; ty++) {
+      const t = getTile(tx, ty);
+      if (isLiquid(t)) break;
+      if (isSolid(t)) {
+        return { x: (tx + 0.5) * TILE_SIZE, y: ty * TILE_SIZE - player.height / 2 };
+      }
+    }
+  }
+  return { x: (SPAWN_TX + 0.5) * TILE_SIZE, y: player.height / 2 };
+}
+
+// 0, 1, -1, 2, -2, ... radius, -radius
+function outwardOffsets(radius) {
+  const offsets = [0];
+  for (let d = 1; d <= radius; d++) offsets.push(d, -d);
+  return offsets;
+}
+
+// The worlds menu steps through the penalties
+function cycleDeathPenalty() {
+  const names = Object.keys(DEATH_PENALTIES);
+  gameState.deathPenalty = names[(names.indexOf(gameState.deathPenalty) + 1) % names.length];
+}
@@ -0,0 +1,396 @@
+/*
+  Save data
+  - serializeGame() / applySaveData() convert between the live game and a plain
+    save object (also used by replays)
+  - writeSaveFile() / readSaveFile() turn a save object into a compact binary
+    world file and back: a fixed header followed by run-length encoded chunks
+  - Older saves are upgraded step by step through SAVE_MIGRATIONS
+*/
+
+const SAVE_VERSION = 8;
+const SAVE_MAGIC = 'TWLD';
+
+// Weather types by their index in the file header
+const WEATHER_TYPES = ['clear', 'rain', 'storm', 'snow'];
+
+function serializeGame() {
+  // Only chunks that differ from the seed are stored; the rest regenerate
+  const chunks = {};
+  const edited = getEditedChunks();
+  for (const key of [...edited.keys()].sort()) { // stable order for stateHash()
+    chunks[key] = Array.from(edited.get(key));
+  }
+  const walls = {};
+  const editedWalls = getEditedWalls();
+  for (const key of [...editedWalls.keys()].sort()) {
+    walls[key] = Array.from(editedWalls.get(key));
+  }
+
+  // Partly filled liquid tiles as [index, level, ...] per chunk
+  const liquids = {};
+  const levels = new Map(world.levels);
+  for (const [key, chunk] of world.chunks) levels.set(key, chunk.levels);
+  for (const key of [...levels.keys()].sort()) {
+    const entries = [];
+    levels.get(key).forEach((level, i) => {
+      if (level > 0) entries.push(i, level);
+    });
+    if (entries.length > 0) liquids[key] = entries;
+  }
+
+  const weather = gameState.weather;
+  return {
+    version: SAVE_VERSION,
+    world: { seed: world.seed, chunkSize: CHUNK_SIZE, height: WORLD_HEIGHT, chunks, walls },
+    time: { dayTime: gameState.dayTime, totalTime: gameState.totalTime },
+    weather: { type: weather.type, intensity: weather.intensity, timeLeft: weather.timeLeft },
+    player: {
+      x: player.x,
+      y: player.y,
+      health: player.health,
+      maxHealth: player.maxHealth,
+      hunger: player.hunger,
+      effects: player.effects,
+      respawnTime: player.respawnTime,
+      spawnPoint: player.spawnPoint
+    },
+    deathPenalty: gameState.deathPenalty,
+    inventory: gameState.inventory,
+    cursorStack: gameState.cursorStack,
+    drops: gameState.drops,
+    fallingBlocks: gameState.fallingBlocks,
+    tileEntities: getTileEntityList(),
+    liquids
+  };
+}
+
+// Upgrades from each version to the next
+const SAVE_MIGRATIONS = {
+  // 1 -> 2: unversioned JSON saves had no time, weather or world dimensions
+  1(save) {
+    const upgraded = { ...save, version: 2 };
+    if (!Array.isArray(save.world)) {
+      upgraded.world = { ...save.world, ...legacyDimensions(save.world.chunks || {}) };
+    }
+    upgraded.time = { dayTime: 0, totalTime: 0 };
+    upgraded.weather = { type: 'clear', intensity: 0, timeLeft: 0 };
+    return upgraded;
+  },
+  // 2 -> 3: background walls; older worlds keep the generated ones
+  2(save) {
+    return { ...save, version: 3, world: { ...save.world, walls: {} } };
+  },
+  // 3 -> 4: dropped items lying in the world
+  3(save) {
+    return { ...save, version: 4, drops: [] };
+  },
+  // 4 -> 5: chests and doors
+  4(save) {
+    return { ...save, version: 5, tileEntities: [] };
+  },
+  // 5 -> 6: sand and gravel in mid-fall
+  5(save) {
+    return { ...save, version: 6, fallingBlocks: [] };
+  },
+  // 6 -> 7: hunger and status effects
+  6(save) {
+    const player = save.player && { ...save.player, hunger: 100, effects: {} };
+    return { ...save, version: 7, player };
+  },
+  // 7 -> 8: bed spawn points and the death penalty
+  7(save) {
+    const player = save.player && { ...save.player, respawnTime: 0, spawnPoint: null };
+    return { ...save, version: 8, player, deathPenalty: 'normal' };
+  },
+};
+
+// The dimensions of an unversioned chunk save, read off its chunks: their length
+// gives the chunk size (any size fits a save without edits), while the height
+// was never stored (null: the chunks only have to lie inside the world)
+function legacyDimensions(chunks) {
+  const [tiles] = Object.values(chunks);
+  return { chunkSize: tiles ? Math.sqrt(tiles.length) : CHUNK_SIZE, height: null };
+}
+
+function migrateSave(save) {
+  let version = save.version || 1;
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save is from a newer version (${version})`);
+  }
+  while (version < SAVE_VERSION) {
+    save = SAVE_MIGRATIONS[version](save);
+    version = save.version;
+  }
+  return save;
+}
+
+// Throws if a (migrated) save can't be loaded into this world
+function validateSave(save) {
+  if (Array.isArray(save.world)) return; // legacy fixed-size world, copied tile by tile
+  const { chunkSize, height, chunks, walls } = save.world;
+  if (chunkSize !== CHUNK_SIZE || (height !== null && height !== WORLD_HEIGHT)) {
+    throw new Error(`Save has a different world size (chunk size ${chunkSize}, height ${height})`);
+  }
+  for (const [key, tiles] of [...Object.entries(chunks || {}), ...Object.entries(walls || {})]) {
+    if (!/^-?\d+,\d+$/.test(key) || tiles.length !== CHUNK_SIZE * CHUNK_SIZE) {
+      throw new Error(`Save has a corrupt chunk (${key})`);
+    }
+    if (Number(key.split(',')[1]) * CHUNK_SIZE >= WORLD_HEIGHT) {
+      throw new Error(`Save has a chunk below the bottom of the world (${key})`);
+    }
+  }
+}
+
+// Restore a game from serializeGame() output (any version); returns false if
+// there is no world, throws if the save is invalid
+function applySaveData(saveData) {
+  if (!saveData || !saveData.world) return false;
+  saveData = migrateSave(saveData);
+  validateSave(saveData);
+
+  // Load world
+  if (Array.isArray(saveData.world)) {
+    // Older saves hold the whole fixed-size world as rows of tile IDs
+    generateWorld();
+    for (let y = 0; y < Math.min(WORLD_HEIGHT, saveData.world.length); y++) {
+      const row = saveData.world[y];
+      for (let x = 0; x < row.length; x++) {
+        setTile(x, y, row[x]);
+      }
+    }
+  } else {
+    generateWorld(saveData.world.seed);
+    for (const [key, tiles] of Object.entries(saveData.world.chunks || {})) {
+      world.edited.set(key, Uint8Array.from(tiles));
+    }
+    for (const [key, walls] of Object.entries(saveData.world.walls || {})) {
+      world.editedWalls.set(key, Uint8Array.from(walls));
+    }
+  }
+
+  // Partly filled liquids were still flowing when saved
+  for (const [key, entries] of Object.entries(saveData.liquids || {})) {
+    const levels = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    const [cx, cy] = key.split(',').map(Number);
+    for (let e = 0; e < entries.length; e += 2) {
+      const i = entries[e];
+      levels[i] = entries[e + 1];
+      world.activeLiquids.add(liquidKey(cx * CHUNK_SIZE + i % CHUNK_SIZE, cy * CHUNK_SIZE + Math.floor(i / CHUNK_SIZE)));
+    }
+    world.levels.set(key, levels);
+  }
+
+  // Load time and weather
+  gameState.totalTime = saveData.time.totalTime;
+  gameState.dayTime = saveData.time.dayTime;
+  gameState.isDaytime = gameState.dayTime < DAY_PORTION;
+  Object.assign(gameState.weather, saveData.weather, { particles: [], lightningTimer: 0 });
+
+  // Load player
+  if (saveData.player) {
+    player.x = saveData.player.x;
+    player.y = saveData.player.y;
+    player.health = saveData.player.health;
+    player.maxHealth = saveData.player.maxHealth;
+    player.hunger = saveData.player.hunger;
+    // Effects this build doesn't know (a newer or hand-edited save) are left out
+    player.effects = Object.fromEntries(
+      Object.entries(saveData.player.effects).filter(([name]) => Object.hasOwn(STATUS_EFFECTS, name))
+    );
+    player.respawnTime = saveData.player.respawnTime;
+    player.spawnPoint = saveData.player.spawnPoint && { ...saveData.player.spawnPoint };
+  }
+  gameState.deathPenalty = DEATH_PENALTIES[saveData.deathPenalty] ? saveData.deathPenalty : 'normal';
+
+  // Load inventory (older saves store a { tileId: count } map)
+  if (Array.isArray(saveData.inventory)) {
+    gameState.inventory = saveData.inventory.slice(0, INVENTORY_SIZE);
+    while (gameState.inventory.length < INVENTORY_SIZE) gameState.inventory.push(null);
+  } else if (saveData.inventory) {
+    gameState.inventory = inventoryFromCounts(saveData.inventory);
+  }
+  gameState.cursorStack = saveData.cursorStack || null;
+  gameState.drops = saveData.drops.map((drop) => ({ ...drop }));
+  gameState.fallingBlocks = saveData.fallingBlocks.map((block) => ({ ...block }));
+  loadTileEntities(saveData.tileEntities);
+  gameState.openChest = null;
+
+  // Mobs aren't saved; the new surroundings spawn their own
+  gameState.mobs = [];
+  return true;
+}
+
+// World file layout (little endian):
+//   'TWLD', u16 version, f64 seed, u16 chunk size, u16 world height,
+//   f32 time of day, f64 total time, u8 weather type, f32 intensity, f32 time left,
+//   u32 chunk count, then per chunk: i32 cx, i32 cy, u32 byte length, (count, tile) runs,
+//   the same again for wall layers (since version 3),
+//   u32 byte length, JSON of the rest (player, inventory, death penalty, dropped items, falling blocks,
+//   tile entities, liquid levels)
+function writeSaveFile(save) {
+  const out = createByteWriter();
+  for (let i = 0; i < SAVE_MAGIC.length; i++) out.u8(SAVE_MAGIC.charCodeAt(i));
+  out.u16(SAVE_VERSION);
+  out.f64(save.world.seed);
+  out.u16(save.world.chunkSize);
+  out.u16(save.world.height);
+  out.f32(save.time.dayTime);
+  out.f64(save.time.totalTime);
+  out.u8(Math.max(0, WEATHER_TYPES.indexOf(save.weather.type)));
+  out.f32(save.weather.intensity);
+  out.f32(save.weather.timeLeft);
+
+  writeChunkLayers(out, save.world.chunks);
+  writeChunkLayers(out, save.world.walls);
+
+  // Non-ASCII characters are escaped so every char fits in a byte
+  const rest = JSON.stringify({
+    player: save.player,
+    inventory: save.inventory,
+    cursorStack: save.cursorStack,
+    deathPenalty: save.deathPenalty,
+    drops: save.drops,
+    fallingBlocks: save.fallingBlocks,
+    tileEntities: save.tileEntities,
+    liquids: save.liquids,
+  }).replace(/[\u0080-\uffff]/g, (c) => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+  out.u32(rest.length);
+  for (let i = 0; i < rest.length; i++) out.u8(rest.charCodeAt(i));
+  return out.finish();
+}
+
+// Parse a world file (or the text of an older JSON save) into a save object
+function readSaveFile(bytes) {
+  if (bytes[0] === 0x7b) { // '{': JSON save from before the binary format
+    return JSON.parse(bytesToText(bytes));
+  }
+  const magic = bytesToText(bytes.subarray(0, SAVE_MAGIC.length));
+  if (magic !== SAVE_MAGIC) throw new Error('Not a world file');
+
+  const reader = createByteReader(bytes, SAVE_MAGIC.length);
+  try {
+    const version = reader.u16();
+    if (version > SAVE_VERSION) throw new Error(`World file is from a newer version (${version})`);
+    const save = {
+      version,
+      world: { seed: reader.f64(), chunkSize: reader.u16(), height: reader.u16() },
+      time: { dayTime: reader.f32(), totalTime: reader.f64() },
+      weather: { type: WEATHER_TYPES[reader.u8()] || 'clear', intensity: reader.f32(), timeLeft: reader.f32() },
+    };
+    save.world.chunks = readChunkLayers(reader);
+    if (version >= 3) save.world.walls = readChunkLayers(reader);
+    const rest = reader.bytes(reader.u32());
+    return Object.assign(save, JSON.parse(bytesToText(rest)));
+  } catch (e) {
+    if (e instanceof RangeError) throw new Error('World file is truncated');
+    throw e;
+  }
+}
+
+// "cx,cy" -> tile array, as a count followed by run-length encoded chunks
+function writeChunkLayers(out, layers) {
+  const entries = Object.entries(layers);
+  out.u32(entries.length);
+  for (const [key, tiles] of entries) {
+    const [cx, cy] = key.split(',').map(Number);
+    const runs = encodeRuns(tiles);
+    out.i32(cx);
+    out.i32(cy);
+    out.u32(runs.length);
+    out.bytes(runs);
+  }
+}
+
+function readChunkLayers(reader) {
+  const layers = {};
+  const count = reader.u32();
+  for (let i = 0; i < count; i++) {
+    const cx = reader.i32();
+    const cy = reader.i32();
+    const runs = reader.bytes(reader.u32());
+    layers[chunkKey(cx, cy)] = decodeRuns(runs);
+  }
+  return layers;
+}
+
+// Bytes as one char each (in slices, to stay under the argument limit)
+function bytesToText(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+// Run-length encoding: (count, value) byte pairs, runs of at most 255
+function encodeRuns(values) {
+  const runs = [];
+  for (let i = 0; i < values.length;) {
+    let count = 1;
+    while (count < 255 && values[i + count] === values[i]) count++;
+    runs.push(count, values[i]);
+    i += count;
+  }
+  return runs;
+}
+
+function decodeRuns(runs) {
+  const values = [];
+  for (let i = 0; i + 1 < runs.length; i += 2) {
+    for (let n = 0; n < runs[i]; n++) values.push(runs[i + 1]);
+  }
+  return values;
+}
+
+// Minimal growable little-endian byte buffer
+function createByteWriter() {
+  let buffer = new Uint8Array(1024);
+  let view = new DataView(buffer.buffer);
+  let length = 0;
+
+  function reserve(size) {
+    if (length + size <= buffer.length) return;
+    const grown = new Uint8Array(Math.max(buffer.length * 2, length + size));
+    grown.set(buffer);
+    buffer = grown;
+    view = new DataView(buffer.buffer);
+  }
+  function put(size, write) {
+    reserve(size);
+    write(length);
+    length += size;
+  }
+
+  return {
+    u8: (v) => put(1, (at) => view.setUint8(at, v)),
+    u16: (v) => put(2, (at) => view.setUint16(at, v, true)),
+    u32: (v) => put(4, (at) => view.setUint32(at, v, true)),
+    i32: (v) => put(4, (at) => view.setInt32(at, v, true)),
+    f32: (v) => put(4, (at) => view.setFloat32(at, v, true)),
+    f64: (v) => put(8, (at) => view.setFloat64(at, v, true)),
+    bytes: (values) => put(values.length, (at) => buffer.set(values, at)),
+    finish: () => buffer.slice(0, length),
+  };
+}
+
+function createByteReader(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  function take(size, read) {
+    const value = read(offset);
+    offset += size;
+    return value;
+  }
+
+  return {
+    u8: () => take(1, (at) => view.getUint8(at)),
+    u16: () => take(2, (at) => view.getUint16(at, true)),
+    u32: () => take(4, (at) => view.getUint32(at, true)),
+    i32: () => take(4, (at) => view.getInt32(at, true)),
+    f32: () => take(4, (at) => view.getFloat32(at, true)),
+    f64: () => take(8, (at) => view.getFloat64(at, true)),
+    bytes: (size) => {
+      if (offset + size > bytes.length) throw new RangeError('Out of bounds');
+      return take(size, (at) => bytes.subarray(at, at + size));
+    },
+  };
+}
@@ -0,0 +1,386 @@
+/*
+  LAN multiplayer server
+  - `node server.js [port] [seed] [world file]` serves the game to browsers on
+    this machine or the local network and takes players over a WebSocket at /ws
+  - Owns the authoritative world: a headless simulation (see headless.js) that
+    every player's tile, wall and chest edits are applied to, and that keeps
+    time of day and weather; it is saved to the world file every minute and on exit
+  - Edits are checked against the world before they count: near the player who
+    sent them, and only changes a player can make (mining breakable tiles,
+    placing items into empty cells, opening doors). Inventories live in the
+    browsers, so what a player holds (and puts in chests) is taken on trust
+  - Joining players get the seed, every edited chunk and the tile entities,
+    then live edits, positions and animation of the others (see net.js)
+  - Plain Node: http, crypto and a small WebSocket reader/writer, nothing to install
+
+  Messages are JSON text frames:
+    server -> client: welcome, chunk, entities, ready, edits, player, join, leave, time
+    client -> server: edits, player
+*/
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createSimulation } = require('./headless');
+
+const ROOT = __dirname;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+const TICK_MS = 100; // time and weather steps
+const TIME_SYNC_MS = 1000; // how often clients are told the time
+const AUTOSAVE_MS = 60000;
+const MAX_EDITS_PER_MESSAGE = 2000;
+const EDIT_REACH = 9; // tiles from where a player last said they were (REACH plus lag)
+const EDIT_REACH_UP = 20; // felling a tree takes all of it, well above the player
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+};
+
+// WebSocket
+// Upgrade an HTTP request; returns a connection to set onMessage/onClose on
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const conn = { socket, buffer: Buffer.alloc(0), fragments: [], fragmentBytes: 0, closed: false, onMessage: null, onClose: null };
+  socket.on('data', (data) => {
+    conn.buffer = Buffer.concat([conn.buffer, data]);
+    readFrames(conn);
+  });
+  socket.on('end', () => closeConnection(conn));
+  socket.on('close', () => closeConnection(conn));
+  socket.on('error', () => socket.destroy());
+  return conn;
+}
+
+function readFrames(conn) {
+  while (!conn.closed) {
+    const buf = conn.buffer;
+    if (buf.length < 2) return;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buf.length < 4) return;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    // Browsers always mask what they send
+    if (!masked || length > MAX_MESSAGE_BYTES) {
+      closeConnection(conn);
+      return;
+    }
+    if (buf.length < offset + 4 + length) return;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    conn.buffer = buf.subarray(offset + 4 + length);
+
+    if (opcode === 0x8) {
+      sendFrame(conn, 0x8, Buffer.alloc(0));
+      closeConnection(conn);
+    } else if (opcode === 0x9) {
+      sendFrame(conn, 0xa, payload);
+    } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+      conn.fragments.push(payload);
+      conn.fragmentBytes += payload.length;
+      if (conn.fragmentBytes > MAX_MESSAGE_BYTES) {
+        closeConnection(conn);
+        return;
+      }
+      if (fin) {
+        const message = Buffer.concat(conn.fragments).toString('utf8');
+        conn.fragments = [];
+        conn.fragmentBytes = 0;
+        if (conn.onMessage) conn.onMessage(message);
+      }
+    }
+  }
+}
+
+// Server frames go out unmasked, in one piece
+function sendFrame(conn, opcode, payload) {
+  if (conn.closed) return;
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  conn.socket.write(Buffer.concat([header, payload]));
+}
+
+function closeConnection(conn) {
+  if (conn.closed) return;
+  conn.closed = true;
+  conn.socket.end();
+  if (conn.onClose) conn.onClose();
+}
+
+// Game
+// Tiles a player can put in the world: whatever mining drops or a recipe makes,
+// the mirrored twins they may go in as (slopes), and the tombstone left by dying
+function placeableTiles(sim) {
+  const items = new Set([sim.TILE.TOMBSTONE]);
+  for (const def of sim.TILES) {
+    if (def && def.breakable) items.add(sim.getTileDrop(def.id));
+  }
+  for (const recipe of sim.RECIPES) {
+    for (const id of Object.keys(recipe.output)) items.add(Number(id));
+  }
+  const tiles = new Set();
+  for (const id of items) {
+    if (id <= 0 || id > sim.MAX_TILE_ID) continue;
+    tiles.add(id);
+    const mirror = sim.getTileDef(id).mirror;
+    if (mirror) tiles.add(sim.TILES.find((def) => def && def.name === mirror).id);
+  }
+  return tiles;
+}
+
+function createServer({ port = 8080, seed = 1337, worldFile = null } = {}) {
+  const sim = createSimulation({ seed, spawn: false });
+  const players = new Map(); // id -> { id, conn, state }
+  const placeable = placeableTiles(sim);
+  let nextId = 1;
+
+  if (worldFile && fs.existsSync(worldFile)) {
+    sim.applySaveData(sim.readSaveFile(new Uint8Array(fs.readFileSync(worldFile))));
+    console.log(`Loaded ${worldFile} (seed ${sim.world.seed})`);
+  }
+
+  function saveWorld() {
+    if (!worldFile) return;
+    fs.writeFileSync(worldFile, sim.writeSaveFile(sim.serializeGame()));
+  }
+
+  function send(player, message) {
+    sendFrame(player.conn, 0x1, Buffer.from(JSON.stringify(message)));
+  }
+
+  function broadcast(message, except = null) {
+    const data = Buffer.from(JSON.stringify(message));
+    for (const player of players.values()) {
+      if (player !== except) sendFrame(player.conn, 0x1, data);
+    }
+  }
+
+  function weatherState() {
+    const { type, intensity, timeLeft } = sim.gameState.weather;
+    return { type, intensity, timeLeft };
+  }
+
+  // Everything a new player needs before they can play: the seed rebuilds
+  // untouched terrain, edited chunks and entities come on top of it
+  function streamWorld(player) {
+    send(player, {
+      type: 'welcome',
+      id: player.id,
+      seed: sim.world.seed,
+      totalTime: sim.gameState.totalTime,
+      weather: weatherState(),
+      players: [...players.values()].filter((p) => p !== player && p.state).map((p) => ({ id: p.id, state: p.state })),
+    });
+    const tiles = sim.getEditedChunks();
+    const walls = sim.getEditedWalls();
+    for (const key of new Set([...tiles.keys(), ...walls.keys()])) {
+      send(player, {
+        type: 'chunk',
+        key,
+        tiles: tiles.has(key) ? [...tiles.get(key)] : null,
+        walls: walls.has(key) ? [...walls.get(key)] : null,
+      });
+    }
+    send(player, { type: 'entities', list: [...new Set(sim.world.tileEntities.values())] });
+    send(player, { type: 'ready' });
+  }
+
+  // An edit from `player`, checked against the world as it is before it touches it
+  function validEdit(player, edit) {
+    if (!edit || typeof edit !== 'object') return false;
+    if (edit.layer === 'tile' || edit.layer === 'wall') {
+      if (!Number.isInteger(edit.tx) || !Number.isInteger(edit.ty) || !sim.inBounds(edit.tx, edit.ty)) return false;
+      if (!Number.isInteger(edit.id) || edit.id < 0 || edit.id > sim.MAX_TILE_ID || !inReach(player, edit.tx, edit.ty)) return false;
+      if (edit.layer === 'wall') return edit.id === 0 || sim.getTileDef(edit.id).wall;
+      return canChangeTile(sim.getTile(edit.tx, edit.ty), edit.id);
+    }
+    if (edit.layer === 'entity') {
+      const entity = edit.entity;
+      if (!entity || !Object.hasOwn(sim.TILE_ENTITY_TYPES, entity.type)) return false;
+      if (!Number.isInteger(entity.tx) || !Number.isInteger(entity.ty) || !sim.inBounds(entity.tx, entity.ty)) return false;
+      // Tile entities belong to their tiles, which are placed first
+      if (!inReach(player, entity.tx, entity.ty) || sim.getTileDef(sim.getTile(entity.tx, entity.ty)).entity !== entity.type) return false;
+      return entity.items === undefined || (Array.isArray(entity.items) && entity.items.every((stack) => stack === null ||
+        (stack && Number.isInteger(stack.id) && Number.isInteger(stack.count) && stack.count > 0)));
+    }
+    return false;
+  }
+
+  function inReach(player, tx, ty) {
+    if (!player.state) return false;
+    const dx = tx + 0.5 - player.state.x / sim.TILE_SIZE;
+    const dy = ty + 0.5 - player.state.y / sim.TILE_SIZE;
+    return Math.abs(dx) <= EDIT_REACH && dy <= EDIT_REACH && dy >= -EDIT_REACH_UP;
+  }
+
+  // Whether a player can turn tile `from` into `to`: mine it, place an item
+  // into an empty or flooded cell, or open or close a door
+  function canChangeTile(from, to) {
+    const fromDef = sim.getTileDef(from);
+    if (to === from) return true;
+    if (to === sim.TILE.AIR) return fromDef.breakable && !fromDef.liquid;
+    if (fromDef.entity === 'door' && sim.getTileDef(to).entity === 'door') return true;
+    return (from === sim.TILE.AIR || fromDef.liquid) && placeable.has(to);
+  }
+
+  function handleMessage(player, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'edits' && Array.isArray(message.edits)) {
+      // One at a time: an edit may build on the one before it (a chest's tiles, then the chest)
+      const edits = [];
+      for (const edit of message.edits.slice(0, MAX_EDITS_PER_MESSAGE)) {
+        if (!validEdit(player, edit)) continue;
+        sim.applyEdit(edit);
+        edits.push(edit);
+      }
+      if (edits.length) broadcast({ type: 'edits', id: player.id, edits }, player);
+    } else if (message.type === 'player' && message.state && typeof message.state === 'object') {
+      const { x, y, vx, vy, facing, onGround, anim, dead } = message.state;
+      if (![x, y].every(Number.isFinite)) return;
+      player.state = { x, y, vx, vy, facing, onGround, anim, dead: dead === true };
+      broadcast({ type: 'player', id: player.id, state: player.state }, player);
+    }
+  }
+
+  function join(conn) {
+    const player = { id: nextId++, conn, state: null };
+    players.set(player.id, player);
+    conn.onMessage = (text) => handleMessage(player, text);
+    conn.onClose = () => {
+      players.delete(player.id);
+      broadcast({ type: 'leave', id: player.id });
+      console.log(`Player ${player.id} left (${players.size} online)`);
+    };
+    streamWorld(player);
+    broadcast({ type: 'join', id: player.id }, player);
+    console.log(`Player ${player.id} joined (${players.size} online)`);
+  }
+
+  // Time, weather, sapling growth and falling sand run here. Rain itself falls in
+  // each browser (pooling water with their own liquids), so the server keeps only
+  // the weather's clock; it has nobody to pick anything up, so dropped items go every step
+  let lastSync = 0;
+  const tick = setInterval(() => {
+    const dt = TICK_MS / (1000 / 60);
+    sim.advanceTime(dt);
+    sim.updateWeather(dt);
+    sim.updateSaplings();
+    sim.updateFallingBlocks(dt);
+    sim.gameState.drops = [];
+    if (Date.now() - lastSync >= TIME_SYNC_MS) {
+      lastSync = Date.now();
+      broadcast({ type: 'time', totalTime: sim.gameState.totalTime, weather: weatherState() });
+    }
+  }, TICK_MS);
+  const autosave = setInterval(saveWorld, AUTOSAVE_MS);
+
+  // Game files over plain HTTP, so browsers on the LAN need nothing but the address
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad request');
+      return;
+    }
+    const file = path.normalize(path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    const type = CONTENT_TYPES[path.extname(file)];
+    if (!file.startsWith(ROOT + path.sep) || !type || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(res);
+  });
+  server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+      socket.destroy();
+      return;
+    }
+    const conn = acceptWebSocket(req, socket);
+    if (conn) join(conn);
+  });
+
+  server.listen(port);
+  return {
+    sim,
+    players,
+    server,
+    saveWorld,
+    close() {
+      clearInterval(tick);
+      clearInterval(autosave);
+      saveWorld();
+      for (const player of players.values()) closeConnection(player.conn);
+      server.close();
+    },
+  };
+}
+
+module.exports = { createServer };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8080;
+  const seed = parseInt(process.argv[3], 10) || 1337;
+  const worldFile = process.argv[4] || path.join(ROOT, 'server-world.twld');
+  const game = createServer({ port, seed, worldFile });
+  game.server.on('listening', () => {
+    console.log(`Serving on port ${port}; play at http://localhost:${port}/?server=`);
+  });
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      game.close();
+      process.exit(0);
+    });
+  }
+}
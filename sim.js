@@ -0,0 +1,1144 @@
+/*
+  Simulation core
+  - World, player, physics, mining/placing, weather and health (tile
+    definitions, inventory, crafting, save data, mobs, dropped items, lighting,
+    liquids and walls live in their own files)
+  - No canvas or DOM access: the browser client (main.js) and the headless
+    runner (headless.js) both drive it by filling in `input` and calling update()
+*/
+
+// Config
+const TILE_SIZE = 24;
+const CHUNK_SIZE = 32; // tiles per chunk side
+const WORLD_HEIGHT = 160; // tiles (5 chunks); the world is unbounded horizontally
+const CHUNK_LOAD_RADIUS = 3; // chunks kept loaded on each side of the player
+const CHUNK_UNLOAD_RADIUS = 5; // chunks farther than this are dropped
+const SPAWN_TX = 0; // column the player spawns above
+
+// Underground layers (tile rows)
+const SURFACE_LEVEL = 70; // average ground height
+const CAVERN_LAYER_Y = 110; // larger open caves start here
+const UNDERWORLD_Y = 140; // ash and the underworld cavity
+const BEDROCK_Y = 154; // unbreakable floor (with a jagged top edge)
+const LAVA_SEA_Y = 150; // the underworld cavity is flooded with lava below this
+const GRAVITY = 0.6;
+const TERMINAL_VELOCITY = 18;
+const MOVE_ACCEL = 0.9;
+const AIR_ACCEL = 0.5;
+const FRICTION = 0.85;
+const JUMP_VELOCITY = -12.5;
+const MAX_RUN_SPEED = 5.2;
+const REACH = 6; // tiles
+const HOTBAR_SIZE = 9; // first inventory row
+const INVENTORY_SIZE = HOTBAR_SIZE * 4; // hotbar + 3 backpack rows
+
+// Fixed timestep: every update() advances one 60 Hz frame (dt = 1)
+const STEP_MS = 1000 / 60;
+
+// Day/Night cycle
+const DAY_NIGHT_CYCLE_DURATION = 600; // seconds for a full day/night cycle
+const DAY_PORTION = 0.7; // 70% day, 30% night
+
+// Ore veins: noise blobs inside stone that get more common between minY and fullY
+const ORE_VEINS = [
+  { tile: TILE.COPPER_ORE, salt: 20, scale: 5, minY: 80, fullY: 110, threshold: 0.78 },
+  { tile: TILE.IRON_ORE, salt: 21, scale: 4, minY: 95, fullY: 135, threshold: 0.8 },
+  { tile: TILE.GOLD_ORE, salt: 22, scale: 3, minY: 115, fullY: 150, threshold: 0.83 },
+];
+
+// Non-tile items (IDs kept clear of tile IDs so both share the inventory)
+const ITEM = {
+  WOOD_PICKAXE: 100,
+  STONE_PICKAXE: 101,
+  IRON_PICKAXE: 102,
+  WOOD_AXE: 103,
+  STONE_AXE: 104,
+  IRON_AXE: 105,
+  WOOD_HAMMER: 106,
+  APPLE: 107,
+  BAKED_APPLE: 108,
+};
+
+// Wall items: WALL_ITEM_OFFSET + the wall's tile ID (see walls.js)
+const WALL_ITEM_OFFSET = 200;
+
+// Tools: mining speed multiplier and the tier of tiles they can break
+const TOOLS = {
+  [ITEM.WOOD_PICKAXE]: { type: 'pickaxe', tier: 1, speed: 1.5, color: '#a3713a' },
+  [ITEM.STONE_PICKAXE]: { type: 'pickaxe', tier: 2, speed: 2.2, color: '#888a8c' },
+  [ITEM.IRON_PICKAXE]: { type: 'pickaxe', tier: 3, speed: 3.2, color: '#c9c2ba' },
+  [ITEM.WOOD_AXE]: { type: 'axe', tier: 1, speed: 1.8, color: '#a3713a' },
+  [ITEM.STONE_AXE]: { type: 'axe', tier: 2, speed: 2.6, color: '#888a8c' },
+  [ITEM.IRON_AXE]: { type: 'axe', tier: 3, speed: 3.6, color: '#c9c2ba' },
+  [ITEM.WOOD_HAMMER]: { type: 'hammer', tier: 1, speed: 2, color: '#a3713a' },
+};
+
+// Food: hunger restored and status effects (name: seconds) gained by eating it (see status_effects.js)
+const FOODS = {
+  [ITEM.APPLE]: { hunger: 20, effects: { well_fed: 60 }, color: '#d8322e' },
+  [ITEM.BAKED_APPLE]: { hunger: 40, effects: { well_fed: 240, regeneration: 10 }, color: '#a8502a' },
+};
+
+// Display name of a tile or item ID
+function itemName(id) {
+  if (isWallItem(id)) return getTileDef(wallFromItem(id)).name + ' wall';
+  if (!TOOLS[id] && !FOODS[id]) return getTileDef(id).name;
+  const key = Object.keys(ITEM).find(k => ITEM[k] == id);
+  return key ? key.toLowerCase().replace(/_/g, ' ') : '?';
+}
+
+// Swatch color of a tile or item ID
+function itemColor(id) {
+  if (isWallItem(id)) return getTileDef(wallFromItem(id)).color;
+  if (FOODS[id]) return FOODS[id].color;
+  return TOOLS[id] ? TOOLS[id].color : getTileDef(id).color;
+}
+
+// World data
+// Tiles live in CHUNK_SIZE x CHUNK_SIZE chunks that are generated from the seed
+// the first time they are touched. Chunks far from the player are unloaded; the
+// ones the player changed are parked in `edited` so they come back as left.
+const world = {
+  seed: 1337,
+  chunks: new Map(), // "cx,cy" -> { cx, cy, tiles, walls, levels (Uint8Arrays), dirty, wallsDirty, revision }
+  edited: new Map(), // "cx,cy" -> Uint8Array of unloaded, player-modified chunks
+  editedWalls: new Map(), // "cx,cy" -> wall layers of unloaded chunks, when modified (see walls.js)
+  levels: new Map(), // "cx,cy" -> liquid fill levels of unloaded chunks (see liquids.js)
+  activeLiquids: new Set(), // "tx,ty" of liquid tiles that may still flow
+  editLog: null, // player-made edits to send, when a multiplayer client listens (see net.js)
+  logEdits: false, // update() is running the player's own actions
+  soundLog: null, // sound cues of the steps since the last frame, when audio.js listens (see cueSound)
+  tileEntities: new Map(), // "tx,ty" -> chest/door state covering that cell (see tile_entities.js)
+  biomes: new Map(), // x -> biome name of each column looked up so far (see biomes.js)
+};
+
+// Utility RNG
+function mulberry32(a) {
+  return function () {
+    let t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Gameplay RNG (weather, lightning, ...). Its state lives in gameState so that
+// saves and replays continue the exact same sequence.
+function gameRandom() {
+  let t = (gameState.rngState = (gameState.rngState + 0x6d2b79f5) | 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Deterministic RNG for a world position, so any chunk can be generated on its own
+function positionRng(seed, x, y, salt = 0) {
+  const h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(salt, 0x9e3779b1);
+  return mulberry32(h);
+}
+
+// Smooth 1D value noise in [0, 1)
+function valueNoise1D(seed, x, salt) {
+  const x0 = Math.floor(x);
+  const t = x - x0;
+  const a = positionRng(seed, x0, 0, salt)();
+  const b = positionRng(seed, x0 + 1, 0, salt)();
+  const s = t * t * (3 - 2 * t);
+  return a + (b - a) * s;
+}
+
+// Smooth 2D value noise in [0, 1)
+function valueNoise2D(seed, x, y, salt) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = x - x0;
+  const ty = y - y0;
+  const a = positionRng(seed, x0, y0, salt)();
+  const b = positionRng(seed, x0 + 1, y0, salt)();
+  const c = positionRng(seed, x0, y0 + 1, salt)();
+  const d = positionRng(seed, x0 + 1, y0 + 1, salt)();
+  const sx = tx * tx * (3 - 2 * tx);
+  const sy = ty * ty * (3 - 2 * ty);
+  const top = a + (b - a) * sx;
+  const bottom = c + (d - c) * sx;
+  return top + (bottom - top) * sy;
+}
+
+// Two octaves of 2D noise, still in [0, 1)
+function fractalNoise2D(seed, x, y, salt) {
+  return valueNoise2D(seed, x, y, salt) * 0.65 + valueNoise2D(seed, x * 2.3, y * 2.3, salt + 100) * 0.35;
+}
+
+// Surface height, biome and features of a single world column
+function getColumnInfo(x) {
+  const seed = world.seed;
+  // Simple 1D heightmap using layered noise
+  const base = SURFACE_LEVEL;
+  const hills = (valueNoise1D(seed, x / 48, 1) - 0.5) * 24;
+  const bumps = (valueNoise1D(seed, x / 12, 2) - 0.5) * 8;
+  const groundY = Math.max(20, Math.min(CAVERN_LAYER_Y - 25, Math.round(base + hills + bumps)));
+
+  const biome = getBiome(x);
+
+  // Top of the bedrock floor and the ceiling/floor of the underworld cavity
+  const bedrockY = BEDROCK_Y + Math.floor(valueNoise1D(seed, x / 6, 5) * 4);
+  const cavityTop = UNDERWORLD_Y + 2 + Math.floor(valueNoise1D(seed, x / 10, 6) * 4);
+  const cavityBottom = bedrockY - 2 - Math.floor(valueNoise1D(seed, x / 8, 7) * 4);
+
+  const column = { x, groundY, biome, bedrockY, cavityTop, cavityBottom, tree: null };
+
+  // Trees (cacti in deserts): at most one per TREE_SPACING columns, kept TREE_REACH + 1
+  // columns in from the group's edges, so two trunks are at least 2 * TREE_REACH + 2
+  // apart and a column of air is left between their canopies
+  const group = Math.floor(x / TREE_SPACING);
+  const rand = positionRng(seed, group, 0, 4);
+  const treeX = group * TREE_SPACING + TREE_REACH + 1 + Math.floor(rand() * (TREE_SPACING - 2 * TREE_REACH - 1));
+  if (x === treeX && rand() < BIOMES[biome].treeChance) {
+    column.tree = BIOMES[biome].tree;
+  }
+  return column;
+}
+
+// Whether the cave noise opens up the tile at (x, y)
+function isCave(x, y, groundY) {
+  const depth = y - groundY;
+  if (depth < 6) return false; // keep the surface crust intact
+  const seed = world.seed;
+  // Winding tunnels where the ridge noise crosses its midline
+  const ridge = Math.abs(fractalNoise2D(seed, x / 18, y / 12, 30) - 0.5);
+  const tunnelWidth = Math.min(0.035, 0.008 + depth * 0.0015);
+  if (ridge < tunnelWidth) return true;
+  // Big open caverns in the cavern layer
+  if (y >= CAVERN_LAYER_Y) {
+    const blob = fractalNoise2D(seed, x / 14, y / 9, 31);
+    return blob > 0.64;
+  }
+  return false;
+}
+
+// Solid tile underground: stone with dirt pockets, gravel beds and ore veins, with
+// the column's biome swapping in its own dirt and stone
+function undergroundTile(x, y, column) {
+  const { groundY, biome } = column;
+  const seed = world.seed;
+  let t = y > groundY + 20 ? TILE.STONE : TILE.DIRT;
+
+  // Pockets of the other material around the dirt/stone boundary
+  const pocket = valueNoise2D(seed, x / 6, y / 5, 40);
+  if (pocket > 0.75 && y < CAVERN_LAYER_Y) {
+    t = t === TILE.STONE ? TILE.DIRT : TILE.STONE;
+  }
+
+  // Gravel beds in the stone above the caverns; they cave in when dug under
+  if (t === TILE.STONE && y < CAVERN_LAYER_Y && valueNoise2D(seed, x / 5, y / 3, 41) > 0.82) {
+    return TILE.GRAVEL;
+  }
+
+  if (t === TILE.STONE) {
+    for (const ore of ORE_VEINS) {
+      if (y < ore.minY) continue;
+      const depthFactor = Math.min(1, (y - ore.minY) / (ore.fullY - ore.minY));
+      const threshold = ore.threshold + (1 - depthFactor) * 0.08;
+      if (valueNoise2D(seed, x / ore.scale, y / ore.scale, ore.salt) > threshold) {
+        return ore.tile;
+      }
+    }
+  }
+  return t === TILE.STONE ? BIOMES[biome].stone : BIOMES[biome].dirt;
+}
+
+function generateTile(x, y, column) {
+  const { groundY, biome, bedrockY, cavityTop, cavityBottom } = column;
+
+  // Bedrock floor; the very last row is always sealed
+  if (y >= bedrockY || y === WORLD_HEIGHT - 1) return TILE.BEDROCK;
+
+  // Underworld: a wide open cavity in a layer of ash
+  if (y >= UNDERWORLD_Y) {
+    if (y >= cavityTop && y <= cavityBottom) return y >= LAVA_SEA_Y ? TILE.LAVA : TILE.AIR;
+    return TILE.ASH;
+  }
+
+  if (y > groundY + 3) {
+    return isCave(x, y, groundY) ? TILE.AIR : undergroundTile(x, y, column);
+  }
+  if (y >= groundY) {
+    // Surface and top layers depend on biome
+    return y === groundY ? BIOMES[biome].surface : BIOMES[biome].soil;
+  }
+  return TILE.AIR;
+}
+
+// Foreground tiles and background walls of a chunk
+function generateChunk(cx, cy) {
+  const tiles = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+  const walls = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+  const x0 = cx * CHUNK_SIZE;
+  const y0 = cy * CHUNK_SIZE;
+
+  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+    const column = getColumnInfo(x0 + lx);
+    for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+      tiles[ly * CHUNK_SIZE + lx] = generateTile(x0 + lx, y0 + ly, column);
+      walls[ly * CHUNK_SIZE + lx] = generateWall(x0 + lx, y0 + ly, column);
+    }
+  }
+
+  // Trees spread into neighbouring columns, so the ones just outside the chunk count too
+  for (let x = x0 - TREE_REACH; x < x0 + CHUNK_SIZE + TREE_REACH; x++) {
+    const column = getColumnInfo(x);
+    if (!column.tree) continue;
+    for (const [dx, dy, tile] of treeShape(column.tree, positionRng(world.seed, x, 0, 9))) {
+      const lx = x + dx - x0;
+      const ly = column.groundY - 1 + dy - y0;
+      if (lx < 0 || lx >= CHUNK_SIZE || ly < 0 || ly >= CHUNK_SIZE) continue;
+      if (tiles[ly * CHUNK_SIZE + lx] === TILE.AIR) tiles[ly * CHUNK_SIZE + lx] = tile;
+    }
+  }
+  return { tiles, walls };
+}
+
+function generateWorld(seed = 1337) {
+  world.seed = seed;
+  gameState.rngState = seed ^ 0x5bd1e995;
+  world.chunks.clear();
+  world.edited.clear();
+  world.editedWalls.clear();
+  world.levels.clear();
+  world.activeLiquids.clear();
+  world.tileEntities.clear();
+  world.biomes.clear();
+  lightMap.columns.clear();
+  player.spawnPoint = null; // beds belong to the world they stand in
+}
+
+// Chunk store
+function chunkKey(cx, cy) {
+  return cx + ',' + cy;
+}
+
+function getChunk(cx, cy) {
+  const key = chunkKey(cx, cy);
+  let chunk = world.chunks.get(key);
+  if (!chunk) {
+    const edited = world.edited.get(key);
+    const editedWalls = world.editedWalls.get(key);
+    const generated = edited && editedWalls ? null : generateChunk(cx, cy);
+    const levels = world.levels.get(key) || new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    chunk = {
+      cx,
+      cy,
+      tiles: edited || generated.tiles,
+      walls: editedWalls || generated.walls,
+      levels,
+      dirty: !!edited,
+      wallsDirty: !!editedWalls,
+      revision: 0, // counts tile and wall changes (and tile changes just across its edges), so cached drawings know when to redo (see render_cache.js)
+    };
+    world.edited.delete(key);
+    world.editedWalls.delete(key);
+    world.levels.delete(key);
+    world.chunks.set(key, chunk);
+  }
+  return chunk;
+}
+
+function unloadChunk(chunk) {
+  const key = chunkKey(chunk.cx, chunk.cy);
+  if (chunk.dirty) world.edited.set(key, chunk.tiles);
+  if (chunk.wallsDirty) world.editedWalls.set(key, chunk.walls);
+  if (chunk.levels.some((level) => level > 0)) world.levels.set(key, chunk.levels);
+  world.chunks.delete(key);
+}
+
+// Load chunks around the player and drop the ones that are far away
+function updateLoadedChunks() {
+  const pcx = Math.floor(player.x / TILE_SIZE / CHUNK_SIZE);
+  for (let cx = pcx - CHUNK_LOAD_RADIUS; cx <= pcx + CHUNK_LOAD_RADIUS; cx++) {
+    for (let cy = 0; cy * CHUNK_SIZE < WORLD_HEIGHT; cy++) {
+      getChunk(cx, cy);
+    }
+  }
+  for (const chunk of world.chunks.values()) {
+    if (Math.abs(chunk.cx - pcx) > CHUNK_UNLOAD_RADIUS) unloadChunk(chunk);
+  }
+  pruneLight(pcx);
+  pruneBiomes(pcx);
+}
+
+// All chunks that differ from what the seed generates, loaded or not
+function getEditedChunks() {
+  const result = new Map(world.edited);
+  for (const [key, chunk] of world.chunks) {
+    if (chunk.dirty) result.set(key, chunk.tiles);
+  }
+  return result;
+}
+
+// World helpers
+function inBounds(tx, ty) {
+  return ty >= 0 && ty < WORLD_HEIGHT;
+}
+function isSolid(tileId) {
+  return getTileDef(tileId).solid;
+}
+function isLiquid(tileId) {
+  return getTileDef(tileId).liquid;
+}
+function getTile(tx, ty) {
+  if (!inBounds(tx, ty)) return TILE.STONE; // treat above/below the world as solid
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const chunk = getChunk(cx, cy);
+  return chunk.tiles[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)];
+}
+function setTile(tx, ty, id) {
+  if (!inBounds(tx, ty)) return;
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const chunk = getChunk(cx, cy);
+  const i = (ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+  const old = chunk.tiles[i];
+  if (old === id) return;
+  chunk.tiles[i] = id;
+  chunk.levels[i] = 0; // a new liquid tile starts out full
+  chunk.dirty = true;
+  chunk.revision++;
+  touchBorderChunks(tx, ty);
+  if (isTransparent(old) !== isTransparent(id) || getTileDef(old).light || getTileDef(id).light) {
+    invalidateLight(tx);
+  }
+  wakeLiquids(tx, ty);
+  wakeFallingTiles(tx, ty);
+  logEdit({ layer: 'tile', tx, ty, id });
+}
+
+// Some tile art looks at the tiles next to it (a trunk's foot, a branch's side),
+// so a change on a chunk's edge also counts as one for the loaded chunk across it
+function touchBorderChunks(tx, ty) {
+  for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+    const cx = Math.floor((tx + dx) / CHUNK_SIZE);
+    const cy = Math.floor((ty + dy) / CHUNK_SIZE);
+    if (cx === Math.floor(tx / CHUNK_SIZE) && cy === Math.floor(ty / CHUNK_SIZE)) continue;
+    const neighbour = world.chunks.get(chunkKey(cx, cy));
+    if (neighbour) neighbour.revision++;
+  }
+}
+
+// World edits
+// The player's own changes (not flowing liquids or edits from elsewhere) go to
+// world.editLog while someone collects them; applyEdit() replays one anywhere else
+function logEdit(edit) {
+  if (world.logEdits && world.editLog) world.editLog.push(edit);
+}
+
+// Sound cues
+// The simulation makes no sound itself: it only notes what happened ({ sound, ...details })
+// for whoever collects world.soundLog, so headless runs and replays stay silent
+function cueSound(sound, details = {}) {
+  if (world.soundLog) world.soundLog.push({ sound, ...details });
+}
+
+// A knock every quarter of the way through a tile (or wall), and the crack when it breaks
+function cueMining(tile, before) {
+  const progress = player.mining.progress;
+  if (progress >= 1) cueSound('break', { tile });
+  else if (Math.floor(progress * 4) > Math.floor(before * 4)) cueSound('dig', { tile });
+}
+
+function applyEdit(edit) {
+  if (edit.layer === 'tile') {
+    // A block that is no longer there takes its tile entity with it
+    const entity = getTileEntity(edit.tx, edit.ty);
+    if (entity && getTileDef(edit.id).entity !== entity.type) {
+      for (const [x, y] of tileEntityCells(entity)) world.tileEntities.delete(tileEntityKey(x, y));
+    }
+    setTile(edit.tx, edit.ty, edit.id);
+  } else if (edit.layer === 'wall') {
+    setWall(edit.tx, edit.ty, edit.id);
+  } else if (edit.layer === 'entity') {
+    const old = getTileEntity(edit.entity.tx, edit.entity.ty);
+    if (old) for (const [x, y] of tileEntityCells(old)) world.tileEntities.delete(tileEntityKey(x, y));
+    addTileEntity(JSON.parse(JSON.stringify(edit.entity)));
+  }
+}
+
+// Player
+const player = {
+  x: (SPAWN_TX + 0.5) * TILE_SIZE,
+  y: 0,
+  vx: 0,
+  vy: 0,
+  width: 18,
+  height: 34,
+  onGround: false,
+  facing: 1,
+  anim: { time: 0, walk: 0, state: 'idle' },
+  health: 100,
+  maxHealth: 100,
+  hunger: 100,
+  maxHunger: 100,
+  effects: {}, // status effect name -> seconds left (see status_effects.js)
+  maxRunSpeed: MAX_RUN_SPEED, // movement after status effects, worked out every step
+  jumpVelocity: JUMP_VELOCITY,
+  invulnerableTime: 0, // Invulnerability after taking damage
+  lastDamageTime: 0,
+  wasOnGround: false,
+  landingSpeed: 0, // vertical speed at the last landing
+  mining: { tx: 0, ty: 0, progress: 0 }, // tile being mined and how far along (0..1)
+  placeHeld: false, // input.place last step, so using a tile entity happens once per click
+  respawnTime: 0, // seconds left on the death screen; above zero while dead (see respawn.js)
+  spawnPoint: null, // { tx, ty } of the bed the player last used
+};
+
+// Camera
+const camera = {
+  x: 0,
+  y: 0,
+  width: 0,
+  height: 0,
+};
+
+// Game state
+const gameState = {
+  dayTime: 0, // 0 to 1 representing time of day
+  totalTime: 0, // total game time in seconds
+  isDaytime: true,
+  rngState: 0, // see gameRandom()
+  showCraftingMenu: false,
+  inventory: new Array(INVENTORY_SIZE).fill(null), // slots, see inventory.js
+  cursorStack: null, // stack held by the mouse in the inventory screen
+  showInventory: false,
+  mobs: [], // see mobs.js
+  drops: [], // items lying in the world, see drops.js
+  fallingBlocks: [], // sand and gravel on their way down, see falling_blocks.js
+  openChest: null, // "tx,ty" of the chest open next to the inventory, see tile_entities.js
+  deathPenalty: 'normal', // what dying costs, a key of DEATH_PENALTIES (see respawn.js)
+  weather: {
+    type: 'clear', // 'clear', 'rain', 'storm', 'snow'
+    intensity: 0, // 0 to 1
+    timeLeft: 0, // seconds
+    particles: [], // rain/snow particles
+    lightningTimer: 0, // seconds left of the current lightning flash
+    lightningSeed: 0,
+    remote: false, // a multiplayer server decides when weather starts (see net.js)
+  }
+};
+
+// Input for the next update, filled in by the browser client or a script
+const input = {
+  left: false,
+  right: false,
+  jump: false,
+  down: false, // drop through platforms
+  mine: false, // use/mine the target tile
+  place: false, // place the selected item on the target tile
+  tx: 0, // target tile
+  ty: 0,
+  craft: -1, // index into RECIPES to craft, consumed by update()
+  craftCount: 1, // how many times to craft it (0 = as many as possible)
+  slot: -1, // inventory slot clicked this step, consumed by update()
+  split: false, // the slot click splits stacks (right button)
+  quick: false, // the slot click moves the stack between inventory and open chest (shift)
+  stow: false, // put the mouse-held stack back into the inventory
+  drop: false, // throw the held stack, consumed by update()
+  inventory: false, // open or close the inventory screen, consumed by update()
+};
+
+// Hotbar
+let selectedHotbar = 0; // index
+function selectHotbar(index) {
+  selectedHotbar = ((index % HOTBAR_SIZE) + HOTBAR_SIZE) % HOTBAR_SIZE;
+}
+
+// Physics and collision
+// Tiles collide by the `shape` in their definition: full squares, half blocks
+// (bottom half), slopes rising to the right or left, and one-way platforms
+// that only hold things landing on them from above.
+const STEP_UP_HEIGHT = TILE_SIZE; // ledges walked onto without jumping
+const SNAP_DOWN = TILE_SIZE / 2; // how far walking follows the ground down (slopes, half blocks)
+const MAX_FLOOR_LIFT = TILE_SIZE / 2; // how far walking into a slope may push the feet up in one move
+const COLLISION_EPSILON = 0.01;
+
+// Cells covered by the pixel range [from, to)
+function cellSpan(from, to) {
+  return [Math.floor(from / TILE_SIZE), Math.ceil(to / TILE_SIZE) - 1];
+}
+
+// World y of the highest point of a tile's solid part above the x range [x0, x1],
+// or Infinity for tiles that don't collide
+function tileFloorY(tx, ty, x0, x1) {
+  const def = getTileDef(getTile(tx, ty));
+  if (!def.solid) return Infinity;
+  const left = Math.max(0, x0 - tx * TILE_SIZE);
+  const right = Math.min(TILE_SIZE, x1 - tx * TILE_SIZE);
+  let top = 0;
+  if (def.shape === 'half') top = TILE_SIZE / 2;
+  else if (def.shape === 'slope-right') top = TILE_SIZE - right;
+  else if (def.shape === 'slope-left') top = left;
+  return ty * TILE_SIZE + top;
+}
+
+function isPlatform(tileId) {
+  return getTileDef(tileId).shape === 'platform';
+}
+
+// Whether a box overlaps the solid part of any tile (platforms never count)
+function boxHitsTiles(px, py, pw, ph) {
+  const [left, right] = cellSpan(px - pw / 2, px + pw / 2);
+  const [top, bottom] = cellSpan(py - ph / 2, py + ph / 2);
+  for (let ty = top; ty <= bottom; ty++) {
+    for (let tx = left; tx <= right; tx++) {
+      if (isPlatform(getTile(tx, ty))) continue;
+      if (tileFloorY(tx, ty, px - pw / 2, px + pw / 2) < py + ph / 2 - COLLISION_EPSILON) return true;
+    }
+  }
+  return false;
+}
+
+// Move a box by (dx, dy) against the tiles (one axis per call); returns the
+// corrected position and whether it hit something or landed. Options:
+//   stepUp: walk up onto ledges of up to STEP_UP_HEIGHT instead of stopping
+//   dropThrough: fall through platforms
+//   snapDown: when falling, stick to ground up to this many pixels further down
+function aabbVsTiles(px, py, pw, ph, dx, dy, options = {}) {
+  let newX = px + dx;
+  let newY = py + dy;
+  let grounded = false;
+
+  // Horizontal resolution
+  if (dx !== 0) {
+    newX = px;
+    const dir = Math.sign(dx);
+    const step = Math.min(Math.abs(dx), TILE_SIZE);
+    for (let moved = 0; moved < Math.abs(dx); moved += step) {
+      const nextX = px + Math.min(Math.abs(dx), moved + step) * dir;
+      const [left, right] = cellSpan(nextX - pw / 2, nextX + pw / 2);
+      const [top, bottom] = cellSpan(newY - ph / 2, newY + ph / 2);
+      const tx = dir > 0 ? right : left;
+      const edgeX = dir > 0 ? tx * TILE_SIZE : (tx + 1) * TILE_SIZE; // side of the tile walked into
+
+      // Highest solid point on that side within the box's height, if any
+      let wallTop = Infinity;
+      for (let ty = top; ty <= bottom; ty++) {
+        if (isPlatform(getTile(tx, ty))) continue;
+        wallTop = Math.min(wallTop, tileFloorY(tx, ty, edgeX, edgeX));
+      }
+      const feet = newY + ph / 2;
+      if (wallTop < feet - COLLISION_EPSILON) {
+        const lift = feet - wallTop;
+        if (options.stepUp && lift <= STEP_UP_HEIGHT && !boxHitsTiles(nextX, newY - lift, pw, ph)) {
+          newY -= lift;
+          newX = nextX;
+          continue;
+        }
+        newX = dir > 0 ? (tx * TILE_SIZE - pw / 2) : ((tx + 1) * TILE_SIZE + pw / 2);
+        // stop horizontal motion
+        return { x: newX, y: newY, grounded: false, hitX: true, hitY: false };
+      }
+      newX = nextX;
+    }
+  }
+
+  // Vertical resolution (snapping down only ever lands; it never starts a fall)
+  if (dy !== 0) {
+    const dir = Math.sign(dy);
+    const distance = Math.abs(dy) + (dir > 0 && options.snapDown ? options.snapDown : 0);
+    const step = Math.min(distance, TILE_SIZE);
+    const [left, right] = cellSpan(newX - pw / 2, newX + pw / 2);
+    const startFeet = py + ph / 2;
+    for (let moved = 0; moved < distance; moved += step) {
+      const nextY = py + Math.min(distance, moved + step) * dir;
+      if (dir > 0) {
+        // Land on the highest floor the feet went into. Floors well above where the
+        // feet started are ones the box is beside (or stuck in), not on top of.
+        const feet = nextY + ph / 2;
+        const [top, bottom] = cellSpan(feet - TILE_SIZE, feet);
+        let landing = Infinity;
+        for (let ty = top; ty <= bottom; ty++) {
+          for (let tx = left; tx <= right; tx++) {
+            const floorY = tileFloorY(tx, ty, newX - pw / 2, newX + pw / 2);
+            if (floorY >= feet - COLLISION_EPSILON || floorY < startFeet - MAX_FLOOR_LIFT) continue;
+            if (isPlatform(getTile(tx, ty)) && (options.dropThrough || startFeet > floorY + COLLISION_EPSILON)) continue;
+            landing = Math.min(landing, floorY);
+          }
+        }
+        if (landing < Infinity) {
+          return { x: newX, y: landing - ph / 2, grounded: true, hitX: false, hitY: true };
+        }
+      } else {
+        // Bump into ceilings (every solid shape reaches the bottom of its cell)
+        const [top] = cellSpan(nextY - ph / 2, nextY + ph / 2);
+        for (let tx = left; tx <= right; tx++) {
+          const t = getTile(tx, top);
+          if (isSolid(t) && !isPlatform(t)) {
+            return { x: newX, y: (top + 1) * TILE_SIZE + ph / 2, grounded: false, hitX: false, hitY: true };
+          }
+        }
+      }
+    }
+  }
+
+  return { x: newX, y: newY, grounded, hitX: false, hitY: false };
+}
+
+function update(dt) {
+  // Update day/night cycle
+  advanceTime(dt);
+  
+  // Update weather, and the rain and snow falling around the player
+  updateWeather(dt);
+  updateWeatherParticles(dt);
+  
+  // Flowing water and lava
+  updateLiquids();
+  
+  // Update player health and damage, or count down to respawning
+  const dead = isDead();
+  if (dead) updateRespawn(dt);
+  else updatePlayerHealth(dt);
+  
+  // Update message system
+  updateMessage(dt);
+
+  // Stream chunks in and out around the player
+  updateLoadedChunks();
+  
+  // Movement input (the dead lie still)
+  const { left, right, jump, down } = dead ? {} : input;
+
+  const liquid = getPlayerLiquid();
+  const swimming = liquid.depth > 0;
+  const maxRun = swimming ? player.maxRunSpeed * 0.5 : player.maxRunSpeed;
+
+  const accel = player.onGround ? MOVE_ACCEL : AIR_ACCEL;
+  if (left && !right) player.vx -= accel;
+  if (right && !left) player.vx += accel;
+  if (left && !right) player.facing = -1;
+  if (right && !left) player.facing = 1;
+  if (!(left ^ right)) player.vx *= FRICTION; // no input → slow down
+  player.vx = Math.max(-maxRun, Math.min(maxRun, player.vx));
+
+  if (jump && player.onGround) {
+    player.vy = player.jumpVelocity;
+    player.onGround = false;
+    drainHunger(HUNGER_JUMP_DRAIN);
+    cueSound('jump');
+  } else if (jump && swimming) {
+    player.vy = Math.max(-SWIM_SPEED, player.vy - SWIM_ACCEL);
+  }
+
+  // Gravity (partly cancelled by buoyancy in liquid, which also drags)
+  if (swimming) {
+    player.vy += GRAVITY * (1 - BUOYANCY[liquid.type] * liquid.depth);
+    player.vy = Math.min(LIQUID_TERMINAL_VELOCITY, player.vy * LIQUID_DRAG);
+  } else {
+    player.vy = Math.min(TERMINAL_VELOCITY, player.vy + GRAVITY);
+  }
+
+  // Integrate with collisions
+  // (on the ground: step up small ledges and follow slopes down; Down drops through platforms)
+  const resultX = aabbVsTiles(player.x, player.y, player.width, player.height, player.vx, 0, { stepUp: player.onGround });
+  player.x = resultX.x;
+  player.y = resultX.y;
+  if (resultX.hitX) player.vx = 0;
+
+  const resultY = aabbVsTiles(player.x, player.y, player.width, player.height, 0, player.vy, {
+    dropThrough: down,
+    snapDown: player.onGround && player.vy >= 0 ? SNAP_DOWN : 0,
+  });
+  player.y = resultY.y;
+  if (resultY.hitY) {
+    if (resultY.grounded) player.landingSpeed = player.vy; // read by fall damage
+    if (resultY.grounded && !player.onGround) cueSound('land', { speed: player.vy });
+    player.vy = 0;
+  }
+  player.onGround = resultY.grounded;
+
+  // Creatures and dropped items
+  updateMobs(dt);
+  updateDrops(dt);
+  updateFallingBlocks(dt);
+  updateSaplings();
+
+  // Camera follow
+  const marginX = camera.width * 0.3;
+  const marginY = camera.height * 0.3;
+  const targetX = player.x - camera.width / 2;
+  const targetY = player.y - camera.height / 2;
+  camera.x += (targetX - camera.x) * 0.15;
+  camera.y += (targetY - camera.y) * 0.15;
+  camera.y = Math.max(0, Math.min(camera.y, WORLD_HEIGHT * TILE_SIZE - camera.height));
+
+  // From here on world changes are the player's own (see logEdit)
+  world.logEdits = true;
+
+  // Dying leaves part of the inventory behind, which is the player's own edit
+  if (player.health <= 0 && !isDead()) killPlayer();
+
+  // Crafting and inventory requests from the UI
+  if (input.craft >= 0) {
+    const recipe = RECIPES[input.craft];
+    if (recipe) craftRecipe(recipe, input.craftCount);
+    input.craft = -1;
+  }
+  if (input.slot >= 0) {
+    if (input.quick) quickMoveSlot(input.slot);
+    else clickSlot(input.slot, input.split);
+    input.slot = -1;
+    if (getOpenChest()) logEdit({ layer: 'entity', entity: getOpenChest() });
+  }
+  if (input.inventory) {
+    gameState.showInventory = !gameState.showInventory;
+    // Whatever the mouse holds goes back in when the inventory closes
+    if (!gameState.showInventory) input.stow = true;
+    input.inventory = false;
+  }
+  if (input.stow) {
+    stowCursorStack();
+    input.stow = false;
+  }
+  updateOpenChest();
+  if (input.drop) {
+    dropHeldItem();
+    input.drop = false;
+  }
+
+  // Mining and placing, in interact() below
+  if (!isDead()) interact(dt);
+  world.logEdits = false;
+}
+
+function advanceTime(dt) {
+  gameState.totalTime += dt / 60; // Convert to seconds
+  gameState.dayTime = (gameState.totalTime % DAY_NIGHT_CYCLE_DURATION) / DAY_NIGHT_CYCLE_DURATION;
+  gameState.isDaytime = gameState.dayTime < DAY_PORTION;
+}
+
+// Mine, hammer, place or use whatever input.tx/ty points at
+function interact(dt) {
+  const pxTile = player.x / TILE_SIZE;
+  const pyTile = player.y / TILE_SIZE;
+  const dist = Math.hypot(input.tx - pxTile, input.ty - pyTile);
+  const inReach = dist <= REACH;
+
+  const mining = player.mining;
+  if (!inReach || !input.mine || mining.tx !== input.tx || mining.ty !== input.ty) {
+    // Let go or moved to a different tile: start over
+    mining.tx = input.tx;
+    mining.ty = input.ty;
+    mining.progress = 0;
+  }
+
+  const hammer = getHeldTool('hammer');
+  const placePressed = input.place && !player.placeHeld;
+  player.placeHeld = input.place;
+  if (input.place && FOODS[getHeldItem()?.id]) {
+    // Right-click eats held food (once per click), wherever the cursor is
+    if (placePressed) eatHeldFood();
+    return;
+  }
+  const entity = inReach ? getTileEntity(input.tx, input.ty) : null;
+  if (entity && input.place) {
+    // Right-click uses chests and doors (once per click) instead of placing
+    if (placePressed) useTileEntity(entity);
+  } else if (inReach) {
+    if (input.mine && hammer) {
+      // Hammers knock out background walls
+      hammerWall(input.tx, input.ty, hammer, dt);
+    } else if (input.mine) {
+      // mine (remove solid tile once enough progress has built up)
+      const t = getTile(input.tx, input.ty);
+      const speed = getMiningSpeed(t);
+      if (t !== TILE.AIR && speed > 0) {
+        const before = mining.progress;
+        mining.progress += (dt / 60) * speed / getTileDef(t).hardness;
+        drainHunger(HUNGER_MINING_DRAIN * dt / 60);
+        cueMining(t, before);
+        if (mining.progress >= 1) {
+          if (entity) {
+            // Chests and doors go as a whole
+            breakTileEntity(entity);
+          } else if (getTileDef(t).tree) {
+            // Trees come down from the chopped tile up
+            fellTree(input.tx, input.ty);
+          } else {
+            // The tile's item pops out for the player to pick up
+            const drop = getTileDrop(t);
+            if (drop >= 0) dropFromTile(drop, input.tx, input.ty);
+            
+            // Remove from world
+            setTile(input.tx, input.ty, TILE.AIR);
+          }
+          mining.progress = 0;
+        }
+      }
+    } else if (input.place && isWallItem(getHeldItem()?.id)) {
+      // Walls go behind whatever is there
+      if (getWall(input.tx, input.ty) === TILE.AIR) {
+        setWall(input.tx, input.ty, wallFromItem(getHeldItem().id));
+        cueSound('place', { tile: getWall(input.tx, input.ty) });
+        takeFromSlot(selectedHotbar, 1);
+      }
+    } else if (input.place) {
+      // place selected if empty and not inside player
+      const held = getHeldItem();
+      const placeable = held && !TOOLS[held.id];
+      const target = getTile(input.tx, input.ty);
+      if (placeable && getTileDef(held.id).entity) {
+        // Chests and doors (which may be more than one tile)
+        if (placePressed && placeTileEntity(held.id, input.tx, input.ty)) {
+          cueSound('place', { tile: held.id });
+          takeFromSlot(selectedHotbar, 1);
+        }
+      } else if (placeable && (target === TILE.AIR || isLiquid(target))) {
+        // prevent placing solid tiles inside player's AABB
+        if (!(tileOverlapsPlayer(input.tx, input.ty) && isSolid(held.id))) {
+          setTile(input.tx, input.ty, placedTile(held.id, input.tx, input.ty));
+          cueSound('place', { tile: held.id });
+          
+          // Remove from inventory
+          takeFromSlot(selectedHotbar, 1);
+        }
+      }
+    }
+  }
+}
+
+// Does the cell (tx, ty) overlap a box centered on (box.x, box.y)?
+function tileOverlapsBox(tx, ty, box) {
+  return Math.abs((tx + 0.5) * TILE_SIZE - box.x) < (TILE_SIZE + box.width) / 2 &&
+    Math.abs((ty + 0.5) * TILE_SIZE - box.y) < (TILE_SIZE + box.height) / 2;
+}
+
+function tileOverlapsPlayer(tx, ty) {
+  return tileOverlapsBox(tx, ty, player);
+}
+
+// Tiles with a mirrored twin (slopes) face away from the block they lean on
+function placedTile(id, tx, ty) {
+  const mirror = getTileDef(id).mirror;
+  if (!mirror) return id;
+  const leftSolid = isSolid(getTile(tx - 1, ty));
+  const rightSolid = isSolid(getTile(tx + 1, ty));
+  return leftSolid && !rightSolid ? TILE[tileKey(mirror)] : id;
+}
+
+// Mining
+// The held tool if it is of the given type, or null (bare hands)
+function getHeldTool(type) {
+  const held = getHeldItem();
+  const tool = held && TOOLS[held.id];
+  return tool && tool.type === type ? tool : null;
+}
+
+// How fast a tile breaks with the held tool (0 = can't be broken)
+function getMiningSpeed(tileId) {
+  const def = getTileDef(tileId);
+  if (!def.breakable || def.liquid) return 0;
+  const tool = getHeldTool(def.tool);
+  const tier = tool ? tool.tier : 0;
+  if (tier < def.tier) return 0;
+  return tool ? tool.speed : 1;
+}
+
+// Player health system
+function updatePlayerHealth(dt) {
+  // Update invulnerability timer
+  if (player.invulnerableTime > 0) {
+    player.invulnerableTime -= dt / 60;
+  }
+  
+  // Fall damage (velocity is zeroed on impact, so use the speed we landed with)
+  if (player.landingSpeed > TERMINAL_VELOCITY * 0.8 && player.onGround && !player.wasOnGround) {
+    const fallDamage = Math.max(0, Math.floor((player.landingSpeed - TERMINAL_VELOCITY * 0.7) * 5));
+    if (fallDamage > 0) {
+      damagePlayer(fallDamage);
+    }
+  }
+  player.wasOnGround = player.onGround;
+  player.landingSpeed = 0;
+  
+  // Lava burns
+  if (getPlayerLiquid().type === TILE.LAVA) {
+    damagePlayer(LAVA_DAMAGE);
+  }
+  
+  // Lightning damage
+  if (gameState.weather.type === 'storm' && 
+      !gameState.isDaytime && 
+      gameRandom() < 0.0001 * dt && 
+      !isSolid(getTile(Math.floor(player.x / TILE_SIZE), Math.floor((player.y / TILE_SIZE) - 2)))) {
+    // Player is outside during a storm
+    damagePlayer(10 + Math.floor(gameRandom() * 10));
+    strikeLightning(); // Visual feedback
+  }
+  
+  // Buffs, debuffs and hunger
+  updateStatusEffects(dt);
+  
+  // Health regeneration (slow)
+  if (player.health < player.maxHealth && 
+      gameState.totalTime - player.lastDamageTime > 5) { // 5 seconds since last damage
+    player.health = Math.min(player.maxHealth, player.health + 0.01 * dt / 60);
+  }
+}
+
+// Returns false if the player is still invulnerable from the last hit (or dead)
+function damagePlayer(amount) {
+  if (player.invulnerableTime > 0 || isDead()) return false;
+  
+  player.health = Math.max(0, player.health - amount);
+  player.invulnerableTime = 1; // 1 second of invulnerability
+  player.lastDamageTime = gameState.totalTime;
+  cueSound('hurt');
+  return true;
+}
+
+// Weather system
+// The weather's clock and lightning; the falling rain and snow, which pool water
+// and touch tiles, are updateWeatherParticles()
+function updateWeather(dt) {
+  const weather = gameState.weather;
+  
+  // Update existing weather
+  if (weather.timeLeft > 0) {
+    weather.timeLeft -= dt / 60; // Convert to seconds
+    
+    if (weather.timeLeft <= 0) {
+      // Weather is ending
+      weather.type = 'clear';
+      weather.intensity = 0;
+      weather.particles = [];
+    }
+  } else if (!weather.remote && gameRandom() < 0.001 * dt) {
+    // Random chance to start new weather
+    startNewWeather();
+  }
+  
+  // Lightning flashes during storms
+  if (weather.lightningTimer > 0) {
+    weather.lightningTimer -= dt / 60;
+  }
+  if (weather.type === 'storm' && gameRandom() < 0.01 * weather.intensity * dt) {
+    strikeLightning();
+  }
+}
+
+function strikeLightning() {
+  const weather = gameState.weather;
+  weather.lightningTimer = 0.15;
+  weather.lightningSeed = Math.floor(gameRandom() * 0x7fffffff); // shape of the bolt
+  cueSound('thunder');
+}
+
+function startNewWeather() {
+  const weather = gameState.weather;
+  const rand = gameRandom();
+  
+  if (BIOMES[getBiome(Math.floor(player.x / TILE_SIZE))].precipitation === 'snow') {
+    // Snowfall over the tundra
+    weather.type = 'snow';
+    weather.intensity = 0.3 + gameRandom() * 0.7;
+    weather.timeLeft = 40 + gameRandom() * 120; // 40-160 seconds
+  } else if (rand < 0.7) {
+    // Rain
+    weather.type = 'rain';
+    weather.intensity = 0.3 + gameRandom() * 0.7;
+    weather.timeLeft = 30 + gameRandom() * 120; // 30-150 seconds
+  } else {
+    // Storm
+    weather.type = 'storm';
+    weather.intensity = 0.6 + gameRandom() * 0.4;
+    weather.timeLeft = 20 + gameRandom() * 60; // 20-80 seconds
+  }
+  
+  // Initialize particles
+  weather.particles = [];
+}
+
+function updateWeatherParticles(dt) {
+  const weather = gameState.weather;
+  
+  if (weather.type === 'clear') return;
+  
+  // Add new particles
+  let particleCount;
+  if (weather.type === 'snow') {
+    particleCount = Math.floor(weather.intensity * dt + gameRandom()); // flakes linger, so fewer of them
+  } else {
+    particleCount = weather.type === 'rain' ? 
+      Math.floor(weather.intensity * 3 * dt) : 
+      Math.floor(weather.intensity * 5 * dt);
+  }
+  
+  for (let i = 0; i < particleCount; i++) {
+    const x = camera.x + gameRandom() * camera.width;
+    const y = camera.y;
+    // Snow when it snows, and rain turns to snow over the tundra
+    const snow = weather.type === 'snow' || BIOMES[getBiome(Math.floor(x / TILE_SIZE))].precipitation === 'snow';
+    let speed;
+    if (snow) {
+      speed = 5 + gameRandom() * 4;
+    } else {
+      speed = weather.type === 'rain' ? 
+        10 + gameRandom() * 15 : 
+        15 + gameRandom() * 20;
+    }
+    
+    weather.particles.push({
+      x,
+      y,
+      speed,
+      length: weather.type === 'rain' ? 10 + gameRandom() * 15 : 5 + gameRandom() * 10,
+      snow
+    });
+  }
+  
+  // Update existing particles
+  for (let i = weather.particles.length - 1; i >= 0; i--) {
+    const particle = weather.particles[i];
+    
+    // Move particle
+    particle.y += particle.speed * dt / 5;
+    
+    // Check if particle is out of view
+    if (particle.y > camera.y + camera.height) {
+      // Remove particle
+      weather.particles.splice(i, 1);
+    } else {
+      // Check collision with tiles
+      const tx = Math.floor(particle.x / TILE_SIZE);
+      const ty = Math.floor(particle.y / TILE_SIZE);
+      
+      if (isSolid(getTile(tx, ty))) {
+        // Hit solid tile, remove particle
+        weather.particles.splice(i, 1);
+        if (particle.snow) continue;
+        collectRain(tx, ty - 1);
+        
+        // If it's raining on sand, small chance to convert to dirt
+        if (weather.type === 'rain' && getTile(tx, ty) === TILE.SAND && gameRandom() < 0.001) {
+          setTile(tx, ty, TILE.DIRT);
+        }
+      } else if (getWall(tx, ty) !== TILE.AIR) {
+        // Walls keep the weather out
+        weather.particles.splice(i, 1);
+      }
+    }
+  }
+}
+
+// Message system
+let gameMessage = { text: '', timer: 0 };
+
+function showMessage(text, duration = 3) {
+  gameMessage.text = text;
+  gameMessage.timer = duration;
+}
+
+function updateMessage(dt) {
+  if (gameMessage.timer > 0) {
+    gameMessage.timer -= dt / 60;
+  }
+}
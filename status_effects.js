@@ -0,0 +1,119 @@
+/*
+  Status effects and hunger
+  - player.effects maps an effect name to its seconds left; STATUS_EFFECTS says
+    what each one does: hurt or heal over time, scale the player's run speed
+    and jump, or change how fast hunger drains
+  - Some come from the surroundings every step (wet out in the rain or in
+    water, burning after touching lava, slowness while starving), the rest
+    from food (see FOODS in sim.js); the HUD shows them with their time left
+  - player.hunger drains slowly, faster while running, jumping and mining;
+    at zero the player starves. Right-click eats the held food
+  - player.maxRunSpeed and player.jumpVelocity are worked out from the
+    effects every step, so movement reads them instead of the global constants
+*/
+
+const HUNGER_DRAIN = 0.04; // per second, always
+const HUNGER_RUN_DRAIN = 0.12; // per second of running on the ground
+const HUNGER_MINING_DRAIN = 0.2; // per second of mining
+const HUNGER_JUMP_DRAIN = 0.15; // per jump
+const STARVING_DAMAGE = 1; // health per second with an empty stomach
+const WET_TIME = 8; // seconds wet after the last raindrop or splash
+const BURN_TIME = 4; // seconds burning after leaving lava
+
+// runSpeed/jump: multipliers; damage/regen: health per second; hungerDrain: multiplier
+const STATUS_EFFECTS = {
+  wet: { name: 'Wet', color: '#4f8fd6', debuff: true, runSpeed: 0.9 },
+  burning: { name: 'Burning', color: '#ff7a1f', debuff: true, damage: 4 },
+  slowness: { name: 'Slowness', color: '#7c7c9c', debuff: true, runSpeed: 0.6, jump: 0.85 },
+  well_fed: { name: 'Well Fed', color: '#e0a040', runSpeed: 1.05, regen: 0.2, hungerDrain: 0.5 },
+  regeneration: { name: 'Regeneration', color: '#e0507a', regen: 2 },
+};
+
+// Start an effect, or extend it to `seconds` if it has less time left than that
+function addEffect(name, seconds) {
+  player.effects[name] = Math.max(player.effects[name] || 0, seconds);
+}
+
+function removeEffect(name) {
+  delete player.effects[name];
+}
+
+function hasEffect(name) {
+  return player.effects[name] > 0;
+}
+
+function drainHunger(amount) {
+  const drain = Object.keys(player.effects).reduce((m, name) => m * (STATUS_EFFECTS[name].hungerDrain || 1), 1);
+  player.hunger = Math.max(0, player.hunger - amount * drain);
+}
+
+// Called from updatePlayerHealth() every step
+function updateStatusEffects(dt) {
+  const seconds = dt / 60;
+
+  // From the surroundings
+  const liquid = getPlayerLiquid();
+  const headTx = Math.floor(player.x / TILE_SIZE);
+  const headTy = Math.floor((player.y - player.height / 2) / TILE_SIZE);
+  // Rain falls as snow over the tundra (as the weather particles do), and snow doesn't wet
+  const raining = (gameState.weather.type === 'rain' || gameState.weather.type === 'storm') &&
+    BIOMES[getBiome(headTx)].precipitation !== 'snow';
+  if (liquid.type === TILE.LAVA) {
+    addEffect('burning', BURN_TIME);
+    removeEffect('wet');
+  } else if (liquid.type === TILE.WATER || (raining && getLight(headTx, headTy).sun >= MAX_LIGHT)) {
+    // Full sunlight at the head means nothing overhead keeps the rain off
+    addEffect('wet', WET_TIME);
+    removeEffect('burning');
+  }
+
+  // Hunger
+  drainHunger(HUNGER_DRAIN * seconds);
+  if (player.onGround && Math.abs(player.vx) > 1) drainHunger(HUNGER_RUN_DRAIN * seconds);
+  if (player.hunger === 0) {
+    addEffect('slowness', 1);
+    hurtOverTime(STARVING_DAMAGE * seconds);
+  }
+
+  // Effects run down and do their work
+  let runSpeed = 1;
+  let jump = 1;
+  for (const name of Object.keys(player.effects)) {
+    const effect = STATUS_EFFECTS[name];
+    if (effect.damage) hurtOverTime(effect.damage * seconds);
+    if (effect.regen) player.health = Math.min(player.maxHealth, player.health + effect.regen * seconds);
+    runSpeed *= effect.runSpeed || 1;
+    jump *= effect.jump || 1;
+    player.effects[name] -= seconds;
+    if (player.effects[name] <= 0) removeEffect(name);
+  }
+  player.maxRunSpeed = MAX_RUN_SPEED * runSpeed;
+  player.jumpVelocity = JUMP_VELOCITY * jump;
+}
+
+// Damage that ticks away steadily, so it skips the invulnerability after a hit
+function hurtOverTime(amount) {
+  player.health = Math.max(0, player.health - amount);
+  player.lastDamageTime = gameState.totalTime;
+}
+
+// Food
+// Eat the selected hotbar stack if it is food; returns whether it was
+function eatHeldFood() {
+  const held = getHeldItem();
+  const food = held && FOODS[held.id];
+  if (!food) return false;
+  player.hunger = Math.min(player.maxHunger, player.hunger + food.hunger);
+  for (const [name, seconds] of Object.entries(food.effects)) addEffect(name, seconds);
+  takeFromSlot(selectedHotbar, 1);
+  cueSound('eat');
+  return true;
+}
+
+// Back to a full stomach and no effects (after dying)
+function resetStatus() {
+  player.hunger = player.maxHunger;
+  player.effects = {};
+  player.maxRunSpeed = MAX_RUN_SPEED;
+  player.jumpVelocity = JUMP_VELOCITY;
+}
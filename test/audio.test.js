@@ -0,0 +1,136 @@
+// Sound: cues become voices on the right bus and the volumes set the bus gains
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, FLOOR_Y } = require('./helpers');
+
+// A stand-in for the Web Audio AudioContext that keeps every node it makes.
+// Time stands still at 0, so the birds and the tune never come due.
+function mockAudioContext() {
+  const nodes = [];
+  const param = (value) => ({
+    value,
+    setValueAtTime() {},
+    linearRampToValueAtTime() {},
+    exponentialRampToValueAtTime(target) {
+      assert.ok(target > 0, 'exponential ramps must stay above 0');
+    },
+    setTargetAtTime(target) {
+      this.value = target;
+    },
+  });
+  const node = (kind, fields = {}) => {
+    const made = { kind, outputs: [], connect(output) { this.outputs.push(output); return output; }, ...fields };
+    nodes.push(made);
+    return made;
+  };
+  const voice = (kind, fields) => node(kind, {
+    ...fields,
+    start() { this.started = true; },
+    stop() {},
+  });
+  return {
+    nodes,
+    currentTime: 0,
+    sampleRate: 8000,
+    destination: { kind: 'destination', outputs: [] },
+    createGain: () => node('gain', { gain: param(1) }),
+    createBiquadFilter: () => node('filter', { type: 'lowpass', frequency: param(350), Q: param(1) }),
+    createOscillator: () => voice('oscillator', { type: 'sine', frequency: param(440) }),
+    createBufferSource: () => voice('source', { loop: false }),
+    createBuffer: (channels, length) => {
+      const samples = new Float32Array(length);
+      return { length, getChannelData: () => samples };
+    },
+  };
+}
+
+function audioArena() {
+  const context = mockAudioContext();
+  const sim = createArena({ audioContext: context });
+  sim.updateAudio(); // settles the footstep tracking after the arena moved the player
+  return { sim, context };
+}
+
+// Started oscillators and noise sources that are not ambience loops, per bus they end up on
+function voicesSince(sim, context, from) {
+  const { sfx, music } = sim.audio.buses;
+  const reaches = (node, bus) => node === bus || node.outputs.some((output) => reaches(output, bus));
+  const voices = context.nodes.slice(from).filter((node) => node.started && !node.loop);
+  return {
+    sfx: voices.filter((node) => reaches(node, sfx)),
+    music: voices.filter((node) => reaches(node, music)),
+  };
+}
+
+test('initAudio wires the buses to the speakers at the saved volumes', () => {
+  const { sim, context } = audioArena();
+  const { master, sfx, music } = sim.audio.buses;
+  assert.deepEqual(master.outputs, [context.destination]);
+  assert.deepEqual(sfx.outputs, [master]);
+  assert.deepEqual(music.outputs, [master]);
+  for (const bus of ['master', 'sfx', 'music']) {
+    assert.equal(sim.audio.buses[bus].gain.value, sim.audio.volumes[bus]);
+  }
+  assert.equal(sim.world.soundLog.length, 0);
+});
+
+test('a jump cue plays a tone on the effects bus', () => {
+  const { sim, context } = audioArena();
+  const from = context.nodes.length;
+  sim.step({ jump: true });
+  assert.deepEqual([...sim.world.soundLog.map((cue) => cue.sound)], ['jump']);
+
+  sim.updateAudio();
+  assert.equal(sim.world.soundLog.length, 0);
+  const voices = voicesSince(sim, context, from);
+  assert.deepEqual(voices.sfx.map((node) => node.kind), ['oscillator']);
+  assert.equal(voices.music.length, 0);
+});
+
+test('mining stone plays its material as noise and a knock', () => {
+  const { sim, context } = audioArena();
+  sim.addItem(sim.ITEM.WOOD_PICKAXE, 1);
+  sim.selectHotbar(0);
+  const sounds = [];
+  let from = context.nodes.length;
+  let voices = 0;
+  for (let i = 0; i < 400 && sim.getTile(1, FLOOR_Y) === sim.TILE.STONE; i++) {
+    sim.step({ mine: true, tx: 1, ty: FLOOR_Y });
+    sounds.push(...sim.world.soundLog.map((cue) => cue.sound));
+    sim.updateAudio();
+    const played = voicesSince(sim, context, from).sfx;
+    if (played.length) {
+      assert.deepEqual(played.map((node) => node.kind).sort(), ['oscillator', 'source']);
+      voices++;
+    }
+    from = context.nodes.length;
+  }
+  assert.deepEqual(sounds, ['dig', 'dig', 'dig', 'break']);
+  assert.equal(voices, 4);
+});
+
+test('a burst of cues is cut down to a few voices a frame', () => {
+  const { sim, context } = audioArena();
+  const from = context.nodes.length;
+  for (let i = 0; i < 30; i++) sim.world.soundLog.push({ sound: 'jump' });
+  sim.updateAudio();
+  const played = voicesSince(sim, context, from).sfx.length;
+  assert.ok(played > 0 && played < 30, `${played} voices`);
+  assert.equal(sim.world.soundLog.length, 0);
+});
+
+test('setVolume scales the bus gains and keeps them between 0 and 1', () => {
+  const { sim } = audioArena();
+  const { master, sfx, music } = sim.audio.buses;
+
+  sim.setVolume('sfx', 0.3);
+  assert.equal(sfx.gain.value, 0.3);
+  sim.setVolume('music', 0);
+  assert.equal(music.gain.value, 0);
+  sim.setVolume('master', 1.7);
+  assert.equal(master.gain.value, 1);
+  sim.setVolume('master', -1);
+  assert.equal(master.gain.value, 0);
+  assert.deepEqual({ ...sim.audio.volumes }, { master: 0, sfx: 0.3, music: 0 });
+});
@@ -0,0 +1,42 @@
+// Biomes: spawning on every kind of surface and forgetting far columns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../headless');
+
+// The first seed whose spawn column is in each biome
+function spawnSeeds() {
+  const seeds = new Map();
+  const sim = createSimulation({ spawn: false });
+  for (let seed = 1; seeds.size < Object.keys(sim.BIOMES).length && seed < 100; seed++) {
+    sim.generateWorld(seed);
+    const biome = sim.getBiome(0);
+    if (!seeds.has(biome)) seeds.set(biome, seed);
+  }
+  return seeds;
+}
+
+for (const [biome, seed] of spawnSeeds()) {
+  test(`a new player in the ${biome} lands on its surface unhurt`, () => {
+    const sim = createSimulation({ seed });
+    const health = sim.player.health;
+    sim.step({}, 90);
+    const tx = Math.floor(sim.player.x / sim.TILE_SIZE);
+    const ty = Math.round((sim.player.y + sim.player.height / 2) / sim.TILE_SIZE);
+    assert.ok(sim.player.onGround);
+    assert.equal(sim.player.health, health);
+    assert.equal(sim.getTile(tx, ty), sim.BIOMES[biome].surface);
+  });
+}
+
+test('the biome map forgets the columns of unloaded chunks', () => {
+  const sim = createSimulation({ seed: 5 });
+  assert.ok(sim.world.biomes.has(0));
+
+  sim.player.x = 50 * sim.CHUNK_SIZE * sim.TILE_SIZE;
+  sim.step({});
+  assert.equal(sim.world.biomes.has(0), false);
+  for (const x of sim.world.biomes.keys()) {
+    assert.ok(Math.abs(Math.floor(x / sim.CHUNK_SIZE) - 50) <= 5, `column ${x} is still mapped`);
+  }
+});
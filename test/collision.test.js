@@ -0,0 +1,144 @@
+// Player against tile collision: landing, walls, ceilings, step-up and shaped tiles
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, standOn, dropOnto, feetY, FLOOR_Y } = require('./helpers');
+
+test('a falling player lands on top of the floor and stays there', () => {
+  const sim = createArena();
+  dropOnto(sim, 0, FLOOR_Y, 5);
+  assert.equal(feetY(sim), FLOOR_Y * sim.TILE_SIZE);
+  assert.equal(sim.player.vy, 0);
+
+  sim.step({}, 30);
+  assert.ok(sim.player.onGround);
+  assert.equal(feetY(sim), FLOOR_Y * sim.TILE_SIZE);
+});
+
+test('walking into a wall stops flush against it', () => {
+  const sim = createArena();
+  for (let ty = FLOOR_Y - 3; ty < FLOOR_Y; ty++) sim.setTile(3, ty, sim.TILE.STONE);
+  standOn(sim, 0, FLOOR_Y);
+
+  sim.step({ right: true }, 60);
+  assert.equal(sim.player.x + sim.player.width / 2, 3 * sim.TILE_SIZE);
+  assert.equal(sim.player.vx, 0);
+  assert.equal(feetY(sim), FLOOR_Y * sim.TILE_SIZE);
+
+  // and from the other side
+  for (let ty = FLOOR_Y - 3; ty < FLOOR_Y; ty++) sim.setTile(-3, ty, sim.TILE.STONE);
+  sim.step({ left: true }, 90);
+  assert.equal(sim.player.x - sim.player.width / 2, -2 * sim.TILE_SIZE);
+});
+
+test('jumping into a ceiling stops the jump under it', () => {
+  const sim = createArena();
+  const ceiling = FLOOR_Y - 3;
+  for (let tx = -2; tx <= 2; tx++) sim.setTile(tx, ceiling, sim.TILE.STONE);
+  standOn(sim, 0, FLOOR_Y);
+
+  let highest = sim.player.y;
+  sim.step({ jump: true });
+  for (let i = 0; i < 30; i++) {
+    sim.step({});
+    highest = Math.min(highest, sim.player.y);
+  }
+  assert.equal(highest - sim.player.height / 2, (ceiling + 1) * sim.TILE_SIZE);
+  assert.ok(sim.player.onGround);
+});
+
+// Shaped tiles and step-up (see aabbVsTiles)
+
+test('walking steps up a one tile ledge but not a two tile wall', () => {
+  const sim = createArena();
+  const { TILE, TILE_SIZE } = sim;
+  for (let tx = 3; tx <= 8; tx++) sim.setTile(tx, FLOOR_Y - 1, TILE.STONE);
+  sim.setTile(8, FLOOR_Y - 2, TILE.STONE);
+  sim.setTile(8, FLOOR_Y - 3, TILE.STONE);
+  standOn(sim, 0, FLOOR_Y);
+
+  sim.step({ right: true }, 90);
+  assert.equal(feetY(sim), (FLOOR_Y - 1) * TILE_SIZE);
+  assert.equal(sim.player.x + sim.player.width / 2, 8 * TILE_SIZE);
+  assert.ok(sim.player.onGround);
+});
+
+// Walk `dir` for `frames` frames; returns the feet positions, failing if the player ever leaves the ground
+function walk(sim, dir, frames) {
+  const path = [];
+  for (let i = 0; i < frames; i++) {
+    sim.step({ [dir]: true });
+    assert.ok(sim.player.onGround, `in the air on frame ${i} at x ${sim.player.x}`);
+    path.push(feetY(sim));
+  }
+  return path;
+}
+
+for (const [name, dir, back, side] of [['right', 'right', 'left', 1], ['left', 'left', 'right', -1]]) {
+  test(`a slope rising to the ${name} is walked up and down without leaving the ground`, () => {
+    const sim = createArena();
+    const { TILE, TILE_SIZE } = sim;
+    const top = (FLOOR_Y - 1) * TILE_SIZE;
+    sim.setTile(3 * side, FLOOR_Y - 1, side > 0 ? TILE.STONE_SLOPE : TILE.STONE_SLOPE_LEFT);
+    for (let tx = 4; tx <= 12; tx++) sim.setTile(tx * side, FLOOR_Y - 1, TILE.STONE);
+    standOn(sim, 0, FLOOR_Y);
+
+    const up = walk(sim, dir, 45);
+    assert.equal(up.at(-1), top);
+    assert.ok(up.every((y, i) => i === 0 || y <= up[i - 1]), 'only ever climbs');
+    assert.ok(up.some((y) => y > top && y < top + TILE_SIZE), 'climbs along the slope');
+
+    sim.step({}, 30);
+    const down = walk(sim, back, 45);
+    assert.equal(down.at(-1), FLOOR_Y * TILE_SIZE);
+    assert.ok(down.every((y, i) => i === 0 || y >= down[i - 1]), 'only ever descends');
+  });
+}
+
+test('a platform holds a player landing on it and lets them drop through with Down', () => {
+  const sim = createArena();
+  const { TILE, TILE_SIZE } = sim;
+  const platform = FLOOR_Y - 4;
+  for (let tx = -3; tx <= 3; tx++) sim.setTile(tx, platform, TILE.WOOD_PLATFORM);
+
+  dropOnto(sim, 0, platform, 3);
+  assert.equal(feetY(sim), platform * TILE_SIZE);
+  sim.step({}, 30);
+  assert.equal(feetY(sim), platform * TILE_SIZE);
+
+  sim.step({ down: true }, 40);
+  assert.equal(feetY(sim), FLOOR_Y * TILE_SIZE);
+  assert.ok(sim.player.onGround);
+});
+
+test('jumping from below passes up through a platform and lands on it', () => {
+  const sim = createArena();
+  const { TILE, TILE_SIZE } = sim;
+  const platform = FLOOR_Y - 4;
+  for (let tx = -3; tx <= 3; tx++) sim.setTile(tx, platform, TILE.WOOD_PLATFORM);
+  standOn(sim, 0, FLOOR_Y);
+
+  sim.step({ jump: true });
+  sim.step({}, 60);
+  assert.equal(feetY(sim), platform * TILE_SIZE);
+  assert.ok(sim.player.onGround);
+});
+
+test('a half block is half a tile tall and walked onto without jumping', () => {
+  const sim = createArena();
+  const { TILE, TILE_SIZE } = sim;
+  for (let tx = 3; tx <= 6; tx++) sim.setTile(tx, FLOOR_Y - 1, TILE.STONE_SLAB);
+  standOn(sim, 0, FLOOR_Y);
+
+  walk(sim, 'right', 20);
+  assert.equal(feetY(sim), FLOOR_Y * TILE_SIZE - TILE_SIZE / 2);
+
+  sim.step({}, 30);
+  dropOnto(sim, 5, FLOOR_Y, 2);
+  assert.equal(feetY(sim), FLOOR_Y * TILE_SIZE - TILE_SIZE / 2);
+
+  // and a full block beside the slabs is only half a tile up from them
+  for (let tx = 7; tx <= 12; tx++) sim.setTile(tx, FLOOR_Y - 1, TILE.STONE);
+  walk(sim, 'right', 30);
+  assert.equal(feetY(sim), (FLOOR_Y - 1) * TILE_SIZE);
+});
@@ -0,0 +1,57 @@
+// Crafting: ingredients are used up and stations are required
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, FLOOR_Y } = require('./helpers');
+
+test('crafting uses up the ingredients and adds the output', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  sim.addItem(TILE.WOOD, 25);
+
+  assert.equal(sim.craft('Workbench'), 1);
+  assert.equal(sim.countItem(TILE.WOOD), 15);
+  assert.equal(sim.countItem(TILE.WORKBENCH), 1);
+
+  assert.equal(sim.craft('Torch', 0), 0); // no stone
+  assert.equal(sim.countItem(TILE.WOOD), 15);
+  assert.equal(sim.countItem(TILE.TORCH), 0);
+});
+
+test('crafting as many as possible stops when an ingredient runs out', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  sim.addItem(TILE.WOOD, 5);
+  sim.addItem(TILE.STONE, 3);
+
+  assert.equal(sim.craft('Torch', 0), 3);
+  assert.equal(sim.countItem(TILE.TORCH), 12);
+  assert.equal(sim.countItem(TILE.WOOD), 2);
+  assert.equal(sim.countItem(TILE.STONE), 0);
+});
+
+test('recipes that need a station only craft next to one', () => {
+  const sim = createArena();
+  const { TILE, ITEM } = sim;
+  sim.addItem(TILE.WOOD, 20);
+
+  assert.equal(sim.craft('Wooden Pickaxe'), 0);
+  assert.equal(sim.countItem(TILE.WOOD), 20);
+  assert.equal(sim.countItem(ITEM.WOOD_PICKAXE), 0);
+
+  sim.setTile(2, FLOOR_Y - 1, TILE.WORKBENCH);
+  assert.equal(sim.craft('Wooden Pickaxe'), 1);
+  assert.equal(sim.countItem(TILE.WOOD), 12);
+  assert.equal(sim.countItem(ITEM.WOOD_PICKAXE), 1);
+
+  // A workbench is not a furnace
+  sim.addItem(TILE.SAND, 4);
+  assert.equal(sim.craft('Glass'), 0);
+  assert.equal(sim.countItem(TILE.SAND), 4);
+
+  // and too far away is as good as none
+  sim.setTile(2, FLOOR_Y - 1, TILE.AIR);
+  sim.setTile(12, FLOOR_Y - 1, TILE.WORKBENCH);
+  assert.equal(sim.craft('Wooden Pickaxe'), 0);
+  assert.equal(sim.countItem(TILE.WOOD), 12);
+});
@@ -0,0 +1,32 @@
+// Fall damage: long falls hurt, short ones don't
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, dropOnto, FLOOR_Y } = require('./helpers');
+
+// Health lost landing after a fall of `tiles` tiles (damage is taken the step after landing)
+function fallDamage(tiles) {
+  const sim = createArena();
+  const before = sim.player.health;
+  dropOnto(sim, 0, FLOOR_Y, tiles);
+  sim.step({});
+  return before - sim.player.health;
+}
+
+test('falls below the threshold do no damage', () => {
+  for (const tiles of [1, 3, 6]) {
+    assert.equal(fallDamage(tiles), 0, `${tiles} tile fall`);
+  }
+});
+
+test('falls above the threshold do damage', () => {
+  assert.ok(fallDamage(12) > 0);
+});
+
+test('longer falls hurt more, up to terminal velocity', () => {
+  const short = fallDamage(10);
+  const long = fallDamage(20);
+  assert.ok(short > 0);
+  assert.ok(long > short);
+  assert.equal(fallDamage(28), long);
+});
@@ -0,0 +1,76 @@
+// Falling sand and gravel: landing on the ground and in liquid
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, FLOOR_Y } = require('./helpers');
+
+// A gravity tile held up by a stone at (tx, ty + 1) that is then taken away
+function dropBlock(sim, id, tx, ty) {
+  sim.setTile(tx, ty + 1, sim.TILE.STONE);
+  sim.setTile(tx, ty, id);
+  sim.setTile(tx, ty + 1, sim.TILE.AIR);
+}
+
+function totalLiquid(sim, x0, x1, y0, y1) {
+  let total = 0;
+  for (let ty = y0; ty <= y1; ty++) {
+    for (let tx = x0; tx <= x1; tx++) total += sim.getLiquidLevel(tx, ty);
+  }
+  return total;
+}
+
+test('unsupported sand falls and lands on the ground', () => {
+  const sim = createArena();
+  dropBlock(sim, sim.TILE.SAND, 6, FLOOR_Y - 10);
+  assert.equal(sim.gameState.fallingBlocks.length, 1);
+  sim.step({}, 60);
+  assert.equal(sim.gameState.fallingBlocks.length, 0);
+  assert.equal(sim.getTile(6, FLOOR_Y - 1), sim.TILE.SAND);
+  assert.equal(sim.getTile(6, FLOOR_Y - 10), sim.TILE.AIR);
+});
+
+test('sand falling into water sinks to the bottom and pushes the water up', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  for (let ty = FLOOR_Y - 5; ty < FLOOR_Y; ty++) {
+    sim.setTile(4, ty, TILE.STONE);
+    sim.setTile(8, ty, TILE.STONE);
+  }
+  for (let tx = 5; tx <= 7; tx++) {
+    sim.setTile(tx, FLOOR_Y - 1, TILE.WATER);
+    sim.setTile(tx, FLOOR_Y - 2, TILE.WATER);
+  }
+  const water = totalLiquid(sim, 5, 7, FLOOR_Y - 5, FLOOR_Y - 1);
+
+  dropBlock(sim, sim.TILE.SAND, 6, FLOOR_Y - 10);
+  sim.step({}, 300);
+  assert.equal(sim.getTile(6, FLOOR_Y - 1), TILE.SAND);
+  assert.equal(totalLiquid(sim, 5, 7, FLOOR_Y - 5, FLOOR_Y - 1), water);
+});
+
+test('gravel landing on lava keeps the lava too', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  sim.setTile(6, FLOOR_Y - 1, TILE.LAVA);
+  sim.setTile(5, FLOOR_Y - 1, TILE.STONE);
+  sim.setTile(7, FLOOR_Y - 1, TILE.STONE);
+  dropBlock(sim, TILE.GRAVEL, 6, FLOOR_Y - 12);
+
+  sim.step({}, 60);
+  assert.equal(sim.getTile(6, FLOOR_Y - 1), TILE.GRAVEL);
+  assert.equal(sim.getTile(6, FLOOR_Y - 2), TILE.LAVA);
+});
+
+test('liquid pushed up by a landing block does not climb through a different liquid', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  sim.setTile(6, FLOOR_Y - 1, TILE.WATER);
+  sim.setTile(6, FLOOR_Y - 2, TILE.LAVA);
+  const lava = sim.getLiquidLevel(6, FLOOR_Y - 2);
+
+  sim.context.landFallingBlock({ id: TILE.SAND, tx: 6 }, FLOOR_Y - 1);
+  assert.equal(sim.getTile(6, FLOOR_Y - 1), TILE.SAND);
+  assert.equal(sim.getTile(6, FLOOR_Y - 2), TILE.LAVA);
+  assert.equal(sim.getLiquidLevel(6, FLOOR_Y - 2), lava);
+  assert.equal(sim.getTile(6, FLOOR_Y - 3), TILE.AIR);
+});
@@ -0,0 +1,59 @@
+/*
+  Test helpers
+  - createArena() builds a headless world with a flat stone floor high in the
+    sky, clear weather and no mob spawning, so a test only meets the tiles it
+    sets itself
+  - Run every test with `node --test test/*.test.js`
+*/
+
+const { createSimulation } = require('../headless');
+
+const FLOOR_Y = 30; // row of the arena floor
+const ARENA_HALF_WIDTH = 30; // columns to each side of column 0
+
+function createArena(options = {}) {
+  const sim = createSimulation({ spawn: false, ...options });
+  sim.context.trySpawnMob = () => {};
+  sim.gameState.weather.type = 'clear';
+  sim.gameState.weather.intensity = 0;
+  sim.gameState.weather.timeLeft = 1e9; // seconds, and finite so recordings keep it
+  for (let tx = -ARENA_HALF_WIDTH; tx <= ARENA_HALF_WIDTH; tx++) {
+    for (let ty = 0; ty < FLOOR_Y; ty++) sim.setTile(tx, ty, sim.TILE.AIR);
+    sim.setTile(tx, FLOOR_Y, sim.TILE.STONE);
+  }
+  standOn(sim, 0, FLOOR_Y);
+  return sim;
+}
+
+// Put the player at rest on top of row `ty` in column `tx`
+function standOn(sim, tx, ty) {
+  placePlayer(sim, tx, ty, 0);
+  sim.step({}, 2);
+}
+
+// Let the player fall from `tiles` tiles above row `ty` until they land; returns the frames it took
+function dropOnto(sim, tx, ty, tiles, maxFrames = 600) {
+  placePlayer(sim, tx, ty, tiles * sim.TILE_SIZE);
+  for (let frames = 1; frames <= maxFrames; frames++) {
+    sim.step({});
+    if (sim.player.onGround) return frames;
+  }
+  throw new Error(`Still falling after ${maxFrames} frames`);
+}
+
+function placePlayer(sim, tx, ty, height) {
+  const { player, TILE_SIZE } = sim;
+  player.x = (tx + 0.5) * TILE_SIZE;
+  player.y = ty * TILE_SIZE - player.height / 2 - height;
+  player.vx = 0;
+  player.vy = 0;
+  player.onGround = false;
+  player.wasOnGround = false;
+}
+
+// Feet position of the player in pixels
+function feetY(sim) {
+  return sim.player.y + sim.player.height / 2;
+}
+
+module.exports = { createArena, standOn, dropOnto, feetY, FLOOR_Y };
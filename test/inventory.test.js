@@ -0,0 +1,52 @@
+// Inventory slots: clicking stacks around and stowing the held stack
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena } = require('./helpers');
+
+test('clicking picks a stack up, merges it and puts it down', () => {
+  const sim = createArena();
+  const { TILE } = sim;
+  sim.addItem(TILE.STONE, 5);
+  sim.step({ inventory: true });
+
+  sim.step({ slot: 0 });
+  assert.equal(sim.gameState.cursorStack.count, 5);
+  assert.equal(sim.gameState.inventory[0], null);
+
+  sim.addItem(TILE.STONE, 3); // lands in the now empty first slot
+  sim.step({ slot: 0 });
+  assert.equal(sim.gameState.cursorStack, null);
+  assert.equal(sim.gameState.inventory[0].count, 8);
+
+  sim.step({ slot: 0 });
+  sim.step({ slot: 4 });
+  assert.equal(sim.gameState.inventory[0], null);
+  assert.equal(sim.gameState.inventory[4].count, 8);
+});
+
+test('a split click takes half a stack and puts down one at a time', () => {
+  const sim = createArena();
+  sim.addItem(sim.TILE.STONE, 7);
+  sim.step({ inventory: true });
+
+  sim.step({ slot: 0, split: true });
+  assert.equal(sim.gameState.cursorStack.count, 4);
+  assert.equal(sim.gameState.inventory[0].count, 3);
+
+  sim.step({ slot: 2, split: true });
+  sim.step({ slot: 2, split: true });
+  assert.equal(sim.gameState.inventory[2].count, 2);
+  assert.equal(sim.gameState.cursorStack.count, 2);
+});
+
+test('closing the inventory puts the held stack back', () => {
+  const sim = createArena();
+  sim.addItem(sim.TILE.STONE, 5);
+  sim.step({ inventory: true });
+  sim.step({ slot: 0 });
+  assert.equal(sim.gameState.cursorStack.count, 5);
+  sim.step({ inventory: true });
+  assert.equal(sim.gameState.cursorStack, null);
+  assert.equal(sim.countItem(sim.TILE.STONE), 5);
+});
@@ -0,0 +1,53 @@
+// Recordings replay to the same state hash
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena, FLOOR_Y } = require('./helpers');
+
+// Record `play(sim)` in a fresh arena after `setup(sim)` and replay it in another;
+// returns both hashes (only input may change the game while recording)
+function recordAndReplay(setup, play) {
+  const sim = createArena();
+  setup(sim);
+  sim.startRecording();
+  play(sim);
+  const recording = JSON.parse(JSON.stringify(sim.stopRecording())); // as saved to a file
+  const replayed = createArena();
+  return { sim, recorded: recording.finalHash, replayed: replayed.runReplay(recording) };
+}
+
+test('walking, mining and crafting replay exactly', () => {
+  const setup = (sim) => sim.addItem(sim.TILE.WOOD, 20);
+  const { recorded, replayed } = recordAndReplay(setup, (sim) => {
+    sim.step({ right: true }, 30);
+    sim.step({ mine: true, tx: 3, ty: FLOOR_Y }, 120);
+    sim.craft('Workbench');
+    sim.step({ left: true, jump: true }, 40);
+  });
+  assert.equal(replayed, recorded);
+});
+
+test('opening and closing the inventory next to a chest replays exactly', () => {
+  const setup = (sim) => {
+    sim.placeTileEntity(sim.TILE.CHEST, 2, FLOOR_Y - 1);
+    sim.addItem(sim.TILE.STONE, 5);
+  };
+  const { sim, recorded, replayed } = recordAndReplay(setup, (sim) => {
+    sim.step({ place: true, tx: 2, ty: FLOOR_Y - 1 });
+    sim.step({}, 5);
+    assert.ok(sim.gameState.showInventory);
+    assert.ok(sim.getOpenChest());
+
+    sim.step({ inventory: true });
+    sim.step({}, 5);
+    assert.equal(sim.gameState.showInventory, false);
+    assert.equal(sim.getOpenChest(), null);
+
+    sim.step({ inventory: true });
+    sim.step({}, 5);
+    assert.ok(sim.gameState.showInventory);
+    assert.equal(sim.getOpenChest(), null);
+  });
+  assert.equal(replayed, recorded);
+  assert.equal(sim.gameState.showInventory, true);
+});
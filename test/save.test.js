@@ -0,0 +1,67 @@
+// Save files: round trips, migrating old saves and rejecting ones that don't fit
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../headless');
+
+// An unversioned save as the first chunked builds wrote it
+function legacySave(chunks) {
+  return {
+    world: { seed: 7, chunks },
+    player: { x: 12, y: 34, health: 80, maxHealth: 100 },
+    inventory: { 4: 10 },
+  };
+}
+
+test('a binary save file loads back into the same world', () => {
+  const sim = createSimulation({ seed: 5 });
+  sim.setTile(3, 20, sim.TILE.BRICK);
+  sim.addItem(sim.TILE.WOOD, 7);
+  const bytes = sim.writeSaveFile(sim.serializeGame());
+
+  const loaded = createSimulation({ seed: 99, spawn: false });
+  assert.ok(loaded.applySaveData(loaded.readSaveFile(bytes)));
+  assert.equal(loaded.getTile(3, 20), sim.TILE.BRICK);
+  assert.equal(loaded.countItem(sim.TILE.WOOD), 7);
+  assert.equal(loaded.player.x, sim.player.x);
+});
+
+test('an unversioned save with chunks of this size is migrated', () => {
+  const sim = createSimulation({ spawn: false });
+  const tiles = new Array(sim.CHUNK_SIZE * sim.CHUNK_SIZE).fill(sim.TILE.BRICK);
+  assert.ok(sim.applySaveData(legacySave({ '1,2': tiles })));
+  assert.equal(sim.getTile(sim.CHUNK_SIZE, 2 * sim.CHUNK_SIZE), sim.TILE.BRICK);
+  assert.equal(sim.player.health, 80);
+  assert.equal(sim.countItem(4), 10);
+});
+
+test('an unversioned save with a different chunk size is rejected', () => {
+  const sim = createSimulation({ spawn: false });
+  const tiles = new Array(16 * 16).fill(sim.TILE.BRICK);
+  assert.throws(() => sim.applySaveData(legacySave({ '0,4': tiles })), /different world size \(chunk size 16/);
+});
+
+test('an unversioned save with chunks below the world is rejected', () => {
+  const sim = createSimulation({ spawn: false });
+  const tiles = new Array(sim.CHUNK_SIZE * sim.CHUNK_SIZE).fill(sim.TILE.BRICK);
+  const below = sim.WORLD_HEIGHT / sim.CHUNK_SIZE;
+  assert.throws(() => sim.applySaveData(legacySave({ [`0,${below}`]: tiles })), /below the bottom of the world/);
+});
+
+test('a save for a different world height is rejected', () => {
+  const sim = createSimulation({ spawn: false });
+  const save = sim.serializeGame();
+  save.world.height = sim.WORLD_HEIGHT - sim.CHUNK_SIZE;
+  assert.throws(() => sim.applySaveData(save), /different world size/);
+});
+
+test('status effects this build does not know are dropped on load', () => {
+  const sim = createSimulation({ seed: 5 });
+  const save = sim.serializeGame();
+  save.player.effects = { well_fed: 30, flying: 10 };
+
+  assert.ok(sim.applySaveData(save));
+  assert.deepEqual(Object.keys(sim.player.effects), ['well_fed']);
+  sim.step({ right: true }, 10);
+  assert.ok(sim.player.effects.well_fed < 30);
+});
@@ -0,0 +1,83 @@
+// Multiplayer server: bad requests and bad messages are turned away without a crash
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { once } = require('events');
+const { createServer } = require('../server');
+
+async function startServer() {
+  const game = createServer({ port: 0 });
+  await once(game.server, 'listening');
+  return { game, port: game.server.address().port };
+}
+
+// Status code of a GET for `path`, sent as is (no URL cleanup on the way)
+async function getStatus(port, path) {
+  const req = http.get({ port, path, agent: false });
+  const [res] = await once(req, 'response');
+  res.resume();
+  return res.statusCode;
+}
+
+// A WebSocket client over a plain socket, enough to send masked text frames
+async function connect(port) {
+  const socket = net.connect(port);
+  await once(socket, 'connect');
+  socket.write([
+    'GET /ws HTTP/1.1',
+    'Host: localhost',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+    'Sec-WebSocket-Version: 13',
+    '', '',
+  ].join('\r\n'));
+  await once(socket, 'data');
+  socket.on('data', () => {}); // the world stream and broadcasts
+  return socket;
+}
+
+function sendText(socket, text) {
+  const payload = Buffer.from(text);
+  assert.ok(payload.length < 126);
+  const mask = crypto.randomBytes(4);
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, payload]));
+}
+
+// Lets the server read what was sent and run a tick
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+test('a malformed URL is answered with 400 and the server keeps serving', async () => {
+  const { game, port } = await startServer();
+  try {
+    assert.equal(await getStatus(port, '/%E0%A4%A'), 400);
+    assert.equal(await getStatus(port, '/no-such-file.js'), 404);
+    assert.equal(await getStatus(port, '/'), 200);
+  } finally {
+    game.close();
+  }
+});
+
+test('frames that are not JSON objects are ignored', async () => {
+  const { game, port } = await startServer();
+  const socket = await connect(port);
+  try {
+    await settle();
+    assert.equal(game.players.size, 1);
+    for (const text of ['null', '42', '"edits"', '[1, 2]', 'true', '{not json']) sendText(socket, text);
+    sendText(socket, JSON.stringify({ type: 'player', state: { x: 12, y: 34 } }));
+    await settle();
+
+    assert.equal(game.players.size, 1);
+    const [player] = game.players.values();
+    assert.equal(player.state.x, 12);
+    assert.equal(await getStatus(port, '/'), 200);
+  } finally {
+    socket.destroy();
+    game.close();
+  }
+});
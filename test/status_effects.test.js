@@ -0,0 +1,24 @@
+// Status effects from the surroundings: rain wets the player, snow doesn't
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArena } = require('./helpers');
+
+// The arena under rain, with the player's column set to `biome`
+function rainOver(biome) {
+  const sim = createArena();
+  sim.world.biomes.set(0, biome);
+  Object.assign(sim.gameState.weather, { type: 'rain', intensity: 1 });
+  sim.step({}, 10);
+  return sim;
+}
+
+test('standing out in the rain makes the player wet', () => {
+  const sim = rainOver('forest');
+  assert.ok(sim.player.effects.wet > 0);
+});
+
+test('rain that falls as snow over the tundra does not', () => {
+  const sim = rainOver('snow');
+  assert.equal(sim.player.effects.wet, undefined);
+});
@@ -0,0 +1,49 @@
+// Generated trees: spacing and felling one at a time
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../headless');
+
+// Trunk columns of the generated trees from x0 up to x1, with their kind
+function generatedTrees(sim, x0, x1) {
+  const trees = [];
+  for (let x = x0; x < x1; x++) {
+    const column = sim.context.getColumnInfo(x);
+    if (column.tree) trees.push({ x, type: column.tree, groundY: column.groundY });
+  }
+  return trees;
+}
+
+// Every tree tile in columns x0..x1, as "tx,ty" -> tile
+function treeTiles(sim, x0, x1) {
+  const tiles = new Map();
+  for (let tx = x0; tx <= x1; tx++) {
+    for (let ty = 0; ty < sim.WORLD_HEIGHT / 2; ty++) {
+      const t = sim.getTile(tx, ty);
+      if (sim.getTileDef(t).tree) tiles.set(`${tx},${ty}`, t);
+    }
+  }
+  return tiles;
+}
+
+test('generated trees leave a free column between their canopies', () => {
+  const sim = createSimulation({ seed: 1, spawn: false });
+  const trees = generatedTrees(sim, -400, 400);
+  assert.ok(trees.length > 20);
+  for (let i = 1; i < trees.length; i++) {
+    assert.ok(trees[i].x - trees[i - 1].x >= 6, `trees at ${trees[i - 1].x} and ${trees[i].x}`);
+  }
+});
+
+test('felling a tree leaves the leaves of the next one', () => {
+  const sim = createSimulation({ seed: 1, spawn: false });
+  const trees = generatedTrees(sim, -400, 400).filter((tree) => tree.type === 'tree');
+  const i = trees.findIndex((tree, j) => j > 0 && tree.x - trees[j - 1].x === 6);
+  assert.ok(i > 0);
+  const [felled, neighbour] = [trees[i - 1], trees[i]];
+  const before = treeTiles(sim, neighbour.x - 2, neighbour.x + 2);
+
+  sim.fellTree(felled.x, felled.groundY - 1);
+  assert.equal(sim.getTile(felled.x, felled.groundY - 1), sim.TILE.AIR);
+  assert.deepEqual(treeTiles(sim, neighbour.x - 2, neighbour.x + 2), before);
+});
@@ -0,0 +1,165 @@
+/*
+  Tile entities
+  - State attached to placed blocks: world.tileEntities maps every cell an
+    entity covers ("tx,ty") to the same plain object { type, tx, ty, ... },
+    where (tx, ty) is its top-left cell
+  - A tile whose definition names an `entity` type is placed, broken and used
+    through here: chests keep their own item slots, doors are three tiles tall
+    and swap between a solid closed tile and a passable open one, saplings
+    remember when they will grow (see trees.js), a bed is the player's spawn
+    point once used and a tombstone holds what the player lost on dying (see
+    respawn.js)
+  - Right-click (the step input.place goes down) uses an entity instead of placing
+*/
+
+const CHEST_SLOTS = 27;
+const CHEST_RANGE = REACH + 1; // tiles; walking further away closes the chest
+
+const TILE_ENTITY_TYPES = {
+  chest: { width: 1, height: 1, create: () => ({ items: new Array(CHEST_SLOTS).fill(null) }), use: toggleChest },
+  door: { width: 1, height: 3, create: () => ({}), use: toggleDoor }, // open or closed is the tile itself
+  sapling: { width: 1, height: 1, create: () => ({ growAt: saplingGrowTime() }), use: () => {} },
+  bed: { width: 2, height: 1, floor: true, create: () => ({}), use: useBed },
+  tombstone: { width: 1, height: 1, create: () => ({ items: [] }), use: collectTombstone },
+};
+
+function tileEntityKey(tx, ty) {
+  return tx + ',' + ty;
+}
+
+function getTileEntity(tx, ty) {
+  return world.tileEntities.get(tileEntityKey(tx, ty)) || null;
+}
+
+// [tx, ty] of every cell an entity covers
+function tileEntityCells(entity) {
+  const { width, height } = TILE_ENTITY_TYPES[entity.type];
+  const cells = [];
+  for (let y = entity.ty; y < entity.ty + height; y++) {
+    for (let x = entity.tx; x < entity.tx + width; x++) cells.push([x, y]);
+  }
+  return cells;
+}
+
+function addTileEntity(entity) {
+  for (const [x, y] of tileEntityCells(entity)) world.tileEntities.set(tileEntityKey(x, y), entity);
+}
+
+// Place a tile entity's tile standing on (tx, ty) (its bottom-left cell), with `fields`
+// over the type's defaults; returns whether it fit
+function placeTileEntity(tileId, tx, ty, fields = {}) {
+  const def = getTileDef(tileId);
+  const typeName = def.entity;
+  const type = TILE_ENTITY_TYPES[typeName];
+  if (def.anchor && !def.anchor.includes(getTileDef(getTile(tx, ty + 1)).name)) return false;
+  const entity = { type: typeName, tx, ty: ty - type.height + 1, ...type.create(), ...fields };
+  const cells = tileEntityCells(entity);
+  // A `floor` type needs solid ground under its whole width
+  if (type.floor && cells.some(([x, y]) => y === ty && !isSolid(getTile(x, ty + 1)))) return false;
+  const free = cells.every(([x, y]) => {
+    const t = getTile(x, y);
+    return inBounds(x, y) && (t === TILE.AIR || isLiquid(t)) && !(isSolid(tileId) && tileOverlapsPlayer(x, y));
+  });
+  if (!free) return false;
+
+  addTileEntity(entity);
+  for (const [x, y] of cells) setTile(x, y, tileId);
+  logEdit({ layer: 'entity', entity });
+  return true;
+}
+
+// Mined: the whole block goes, dropping its item and anything stored in it
+function breakTileEntity(entity) {
+  const cells = tileEntityCells(entity);
+  const [tx, ty] = cells[cells.length - 1];
+  const drop = getTileDrop(getTile(tx, ty));
+  for (const stack of entity.items || []) {
+    if (stack) spawnDrop(stack.id, stack.count, (tx + 0.5) * TILE_SIZE, (ty + 0.5) * TILE_SIZE, (gameRandom() - 0.5) * 4, -3);
+  }
+  if (drop >= 0) dropFromTile(drop, tx, ty);
+  removeTileEntity(entity);
+}
+
+function removeTileEntity(entity) {
+  for (const [x, y] of tileEntityCells(entity)) {
+    world.tileEntities.delete(tileEntityKey(x, y));
+    setTile(x, y, TILE.AIR);
+  }
+  if (gameState.openChest === tileEntityKey(entity.tx, entity.ty)) gameState.openChest = null;
+}
+
+function useTileEntity(entity) {
+  TILE_ENTITY_TYPES[entity.type].use(entity);
+}
+
+// Chests
+// The chest shown next to the inventory screen; its slots follow the inventory's
+// in slot numbers (see clickSlot)
+function getOpenChest() {
+  if (!gameState.openChest) return null;
+  const [tx, ty] = gameState.openChest.split(',').map(Number);
+  return getTileEntity(tx, ty);
+}
+
+function toggleChest(entity) {
+  const key = tileEntityKey(entity.tx, entity.ty);
+  gameState.openChest = gameState.openChest === key ? null : key;
+  gameState.showInventory = gameState.openChest !== null || gameState.showInventory;
+}
+
+// Close the chest once it's gone or out of reach
+function updateOpenChest() {
+  const chest = getOpenChest();
+  if (!chest) {
+    gameState.openChest = null;
+    return;
+  }
+  const dist = Math.hypot(chest.tx + 0.5 - player.x / TILE_SIZE, chest.ty + 0.5 - player.y / TILE_SIZE);
+  if (dist > CHEST_RANGE || !gameState.showInventory) gameState.openChest = null;
+}
+
+// Doors
+// Closing is refused while something stands in the doorway
+function toggleDoor(entity) {
+  const cells = tileEntityCells(entity);
+  const open = getTile(entity.tx, entity.ty) === TILE.OPEN_DOOR;
+  if (open) {
+    const blocked = cells.some(([x, y]) => tileOverlapsPlayer(x, y) || gameState.mobs.some((mob) => tileOverlapsBox(x, y, mob)));
+    if (blocked) return;
+  }
+  for (const [x, y] of cells) setTile(x, y, open ? TILE.DOOR : TILE.OPEN_DOOR);
+}
+
+// Beds
+function useBed(entity) {
+  player.spawnPoint = { tx: entity.tx, ty: entity.ty };
+  showMessage('Spawn point set');
+}
+
+// Tombstones
+// Hand back what's in it; anything that doesn't fit stays for later
+function collectTombstone(entity) {
+  entity.items = entity.items.filter((stack) => {
+    stack.count = addItem(stack.id, stack.count);
+    return stack.count > 0;
+  });
+  if (entity.items.length === 0) {
+    removeTileEntity(entity);
+  } else {
+    showMessage('Inventory full');
+    logEdit({ layer: 'entity', entity });
+  }
+}
+
+// Saving: each entity once, in a stable order
+function getTileEntityList() {
+  const entities = new Set(world.tileEntities.values());
+  return [...entities].sort((a, b) => a.ty - b.ty || a.tx - b.tx);
+}
+
+function loadTileEntities(list) {
+  world.tileEntities.clear();
+  for (const entity of list) {
+    if (TILE_ENTITY_TYPES[entity.type]) addTileEntity(JSON.parse(JSON.stringify(entity)));
+  }
+}
@@ -0,0 +1,149 @@
+/*
+  Tile registry
+  - Every tile is one definition: name, color (or texture), solidity, transparency,
+    light, hardness, drops and render hook; everything else reads from here
+  - TILE maps upper-case names to IDs (TILE.COPPER_ORE) and TILES holds the
+    definitions by ID
+  - More tiles (or changes to the built-in ones) load from JSON with
+    loadTileDefinitions(); IDs are what saves store, so they never change
+*/
+
+// Built-in tiles, in the same JSON shape loadTileDefinitions() accepts
+// hardness: seconds to break at mining speed 1 (bare hands)
+// tool: which tool type speeds it up; tier: minimum tool tier needed (0 = by hand)
+// breakable: false for tiles no tool can mine; drops: tile name given when mined (null = nothing)
+// transparent: lets light through; light: [r, g, b] emitted (0..15, see lighting.js)
+// liquid: flows instead of being mined (see liquids.js)
+// shape: 'full', 'half' (bottom half), 'slope-right' / 'slope-left' (rising toward that
+//   side) or 'platform' (one-way, see aabbVsTiles); mirror: tile placed instead when
+//   the block to the left is the one to lean on
+// station: crafting station that recipes can ask for (see crafting.js)
+// entity: tile entity type (chest, door, sapling, bed, tombstone) placed, broken and used as one block (see tile_entities.js)
+// anchor: tile names one of which must be right below for it to be placed
+// gravity: falls when there's nothing under it (see falling_blocks.js)
+// tree: part of a tree ('trunk', 'branch', 'leaves'); chopping a trunk fells the tree (see trees.js)
+// wall: can also be placed as a background wall (see walls.js)
+// sound: material heard when mining, placing and walking on it (see audio.js); by
+//   default wood for axe tiles, stone for tiles needing a pickaxe, else soft
+// render: name of a draw hook in main.js (TILE_RENDERERS), plain square when absent
+const TILE_DEFINITIONS = [
+  { id: 0, name: 'air', color: null, solid: false, transparent: true, breakable: false, drops: null },
+  { id: 1, name: 'grass', color: '#4db050', hardness: 0.4, drops: 'dirt' },
+  { id: 2, name: 'dirt', color: '#7a4b25', hardness: 0.35, wall: true },
+  { id: 3, name: 'stone', color: '#888a8c', hardness: 1.2, tier: 1, wall: true },
+  { id: 4, name: 'wood', color: '#a3713a', hardness: 1.5, tool: 'axe', wall: true },
+  { id: 5, name: 'sand', color: '#e6d098', hardness: 0.3, gravity: true },
+  { id: 6, name: 'glass', color: 'rgba(175, 238, 238, 0.7)', hardness: 0.3, transparent: true, sound: 'glass', render: 'glass' },
+  { id: 7, name: 'torch', color: '#ffcc33', hardness: 0.05, solid: false, transparent: true, light: [15, 11, 6], render: 'torch' },
+  { id: 8, name: 'brick', color: '#bc4a3c', hardness: 1.4, tier: 1, wall: true },
+  { id: 9, name: 'copper ore', color: '#c4773b', hardness: 1.5, tier: 1 },
+  { id: 10, name: 'iron ore', color: '#a89a8e', hardness: 1.8, tier: 2 },
+  { id: 11, name: 'gold ore', color: '#e8c547', hardness: 2.2, tier: 3 },
+  { id: 12, name: 'ash', color: '#4a4242', hardness: 1, tier: 2 },
+  { id: 13, name: 'bedrock', color: '#2b2b30', breakable: false },
+  { id: 14, name: 'water', color: '#3a6fd8', liquid: true, solid: false, transparent: true, drops: null },
+  { id: 15, name: 'lava', color: '#ff5a1f', liquid: true, solid: false, transparent: true, light: [15, 7, 2], drops: null },
+  { id: 16, name: 'obsidian', color: '#2a1f3d', hardness: 3, tier: 3 },
+  { id: 17, name: 'wood platform', color: '#a3713a', hardness: 0.3, tool: 'axe', transparent: true, shape: 'platform', render: 'platform' },
+  { id: 18, name: 'stone slab', color: '#888a8c', hardness: 0.6, tier: 1, transparent: true, shape: 'half', render: 'shape' },
+  { id: 19, name: 'stone slope', color: '#888a8c', hardness: 0.6, tier: 1, transparent: true, shape: 'slope-right', mirror: 'stone slope left', render: 'shape' },
+  { id: 20, name: 'stone slope left', color: '#888a8c', hardness: 0.6, tier: 1, transparent: true, shape: 'slope-left', drops: 'stone slope', render: 'shape' },
+  { id: 21, name: 'workbench', color: '#8a5a2b', hardness: 0.5, tool: 'axe', solid: false, transparent: true, station: true, render: 'workbench' },
+  { id: 22, name: 'furnace', color: '#6e6a66', hardness: 1, solid: false, transparent: true, light: [10, 5, 1], station: true, render: 'furnace' },
+  { id: 23, name: 'anvil', color: '#55585c', hardness: 1.2, solid: false, transparent: true, station: true, render: 'anvil' },
+  { id: 24, name: 'chest', color: '#9a6a32', hardness: 0.6, tool: 'axe', solid: false, transparent: true, entity: 'chest', render: 'chest' },
+  { id: 25, name: 'door', color: '#8a5a2b', hardness: 0.6, tool: 'axe', entity: 'door', render: 'door' },
+  { id: 26, name: 'open door', color: '#8a5a2b', hardness: 0.6, tool: 'axe', solid: false, transparent: true, entity: 'door', drops: 'door', render: 'door' },
+  { id: 27, name: 'tree trunk', color: '#7a5230', hardness: 1.2, tool: 'axe', solid: false, transparent: true, tree: 'trunk', drops: 'wood', render: 'trunk' },
+  { id: 28, name: 'tree branch', color: '#7a5230', hardness: 0.4, tool: 'axe', solid: false, transparent: true, tree: 'branch', drops: 'wood', render: 'branch' },
+  { id: 29, name: 'leaves', color: '#3f8f3a', hardness: 0.1, solid: false, transparent: true, tree: 'leaves', drops: null, sound: 'plant', render: 'leaves' },
+  { id: 30, name: 'cactus', color: '#5a9a3c', hardness: 0.8, tool: 'axe', solid: false, transparent: true, tree: 'trunk', render: 'cactus' },
+  { id: 31, name: 'sapling', color: '#5fae4a', hardness: 0.05, solid: false, transparent: true, entity: 'sapling', anchor: ['grass', 'dirt', 'sand', 'snow', 'jungle grass', 'mud', 'corrupt grass'], sound: 'plant', render: 'sapling' },
+  { id: 32, name: 'gravel', color: '#7d7873', hardness: 0.5, gravity: true, render: 'gravel' },
+  { id: 33, name: 'snow', color: '#eef4fa', hardness: 0.3 },
+  { id: 34, name: 'ice', color: '#9fd0ee', hardness: 0.9, tier: 1 },
+  { id: 35, name: 'jungle grass', color: '#2f9a45', hardness: 0.4, drops: 'mud' },
+  { id: 36, name: 'mud', color: '#5a3d32', hardness: 0.35 },
+  { id: 37, name: 'corrupt grass', color: '#7b5c99', hardness: 0.4, drops: 'dirt' },
+  { id: 38, name: 'ebonstone', color: '#4f4260', hardness: 1.4, tier: 1, wall: true },
+  { id: 39, name: 'bed', color: '#b8413a', hardness: 0.5, tool: 'axe', solid: false, transparent: true, entity: 'bed', render: 'bed' },
+  { id: 40, name: 'tombstone', color: '#8d9094', hardness: 0.8, solid: false, transparent: true, entity: 'tombstone', drops: null, render: 'tombstone' },
+];
+
+// Tile IDs share the inventory with items, which start at 100
+const MAX_TILE_ID = 99;
+
+const TILE_DEFAULTS = {
+  color: '#ff00ff',
+  texture: null,
+  solid: true,
+  transparent: false,
+  light: null,
+  liquid: false,
+  hardness: 1,
+  tool: 'pickaxe',
+  tier: 0,
+  breakable: true,
+  shape: 'full',
+  mirror: null,
+  station: false,
+  entity: null,
+  anchor: null,
+  gravity: false,
+  tree: null,
+  wall: false,
+  render: null,
+};
+
+const TILE = {}; // NAME -> ID
+const TILES = []; // ID -> definition
+
+// Stand-in for IDs no definition covers (e.g. a save made with extra tiles)
+const UNKNOWN_TILE = { ...TILE_DEFAULTS, id: -1, name: 'unknown', drops: null };
+
+function tileKey(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Add a tile, or replace the one with the same ID; returns the stored definition
+function registerTile(def) {
+  if (!Number.isInteger(def.id) || def.id < 0 || def.id > MAX_TILE_ID) {
+    throw new Error(`Tile ID must be a whole number from 0 to ${MAX_TILE_ID} (${def.name}: ${def.id})`);
+  }
+  if (typeof def.name !== 'string' || !def.name) {
+    throw new Error(`Tile ${def.id} needs a name`);
+  }
+  const key = tileKey(def.name);
+  if (key in TILE && TILE[key] !== def.id) {
+    throw new Error(`Tile name "${def.name}" is already used by tile ${TILE[key]}`);
+  }
+
+  const previous = TILES[def.id];
+  if (previous) delete TILE[tileKey(previous.name)];
+  const tile = { ...TILE_DEFAULTS, drops: def.name, ...def };
+  TILES[def.id] = tile;
+  TILE[key] = def.id;
+  return tile;
+}
+
+// Register tiles from a JSON definition file (its text, or the parsed array)
+function loadTileDefinitions(json) {
+  const defs = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!Array.isArray(defs)) throw new Error('Tile definitions must be an array');
+  return defs.map(registerTile);
+}
+
+function getTileDef(tileId) {
+  return TILES[tileId] || UNKNOWN_TILE;
+}
+
+// Item ID a mined tile gives (-1 for nothing)
+function getTileDrop(tileId) {
+  const drops = getTileDef(tileId).drops;
+  if (drops === null) return -1;
+  const key = tileKey(drops);
+  if (key in TILE) return TILE[key];
+  return typeof ITEM !== 'undefined' && key in ITEM ? ITEM[key] : -1;
+}
+
+loadTileDefinitions(TILE_DEFINITIONS);
@@ -0,0 +1,118 @@
+/*
+  Trees
+  - A tree is trunk, branch and leaf tiles (all walk-through) laid out by
+    treeShape(): forests grow leafy trees, deserts cacti
+  - World generation stamps them onto the surface (see generateChunk); chopping
+    a trunk tile fells everything above it at once and drops the wood, plus a
+    sapling or an apple now and then from the leaves
+  - Saplings are tile entities planted on soil; once their growAt time comes
+    (in game time) they turn into a tree, or a cactus when planted on sand
+*/
+
+const TREE_SPACING = 8; // columns per possible generated tree (more than 2 * TREE_REACH + 1, see getColumnInfo)
+const TREE_REACH = 2; // columns a tree spreads to each side of its trunk
+const SAPLING_GROW_TIME = 240; // seconds, give or take half
+const SAPLING_RETRY_TIME = 30; // seconds to wait when there's no room to grow
+const SAPLING_DROP_CHANCE = 0.1; // per leaf tile
+const APPLE_DROP_CHANCE = 0.05; // per leaf tile
+
+// Tiles of a grown tree as [dx, dy, tile] from its base cell (dy < 0 is up)
+function treeShape(type, rand) {
+  const cells = [];
+  if (type === 'cactus') {
+    const height = 3 + Math.floor(rand() * 3);
+    for (let dy = 0; dy < height; dy++) cells.push([0, -dy, TILE.CACTUS]);
+    // Arms: out one tile, then up
+    for (const side of [-1, 1]) {
+      if (rand() < 0.5) continue;
+      const at = 1 + Math.floor(rand() * (height - 2));
+      const length = 1 + Math.floor(rand() * 2);
+      for (let i = 0; i < length; i++) cells.push([side, -at - i, TILE.CACTUS]);
+    }
+    return cells;
+  }
+
+  const height = 5 + Math.floor(rand() * 4);
+  const top = -(height - 1);
+  for (let dy = 0; dy < height; dy++) cells.push([0, -dy, TILE.TREE_TRUNK]);
+  // Branches on the bare part of the trunk
+  for (let dy = 2; dy < height - 2; dy++) {
+    if (rand() < 0.3) cells.push([rand() < 0.5 ? -1 : 1, -dy, TILE.TREE_BRANCH]);
+  }
+  // A round canopy around the top of the trunk
+  for (let dy = -3; dy <= 1; dy++) {
+    for (let dx = -TREE_REACH; dx <= TREE_REACH; dx++) {
+      if ((dx === 0 && dy >= 0) || dx * dx + (dy + 1) * (dy + 1) > 5) continue;
+      cells.push([dx, top + dy, TILE.LEAVES]);
+    }
+  }
+  return cells;
+}
+
+// Felling
+// A chopped trunk takes every tree tile above it (within the tree's reach) with it;
+// branches and leaves come off one at a time. The drops land in a few stacks at the cut
+function fellTree(tx, ty) {
+  const cells = getTileDef(getTile(tx, ty)).tree === 'trunk' ? treeCellsAbove(tx, ty) : [[tx, ty]];
+  const drops = new Map(); // item -> count
+  for (const [x, y] of cells) {
+    const t = getTile(x, y);
+    const drop = getTileDrop(t);
+    if (drop >= 0) drops.set(drop, (drops.get(drop) || 0) + 1);
+    if (getTileDef(t).tree === 'leaves' && gameRandom() < SAPLING_DROP_CHANCE) {
+      drops.set(TILE.SAPLING, (drops.get(TILE.SAPLING) || 0) + 1);
+    }
+    if (getTileDef(t).tree === 'leaves' && gameRandom() < APPLE_DROP_CHANCE) {
+      drops.set(ITEM.APPLE, (drops.get(ITEM.APPLE) || 0) + 1);
+    }
+  }
+  for (const [x, y] of cells) setTile(x, y, TILE.AIR);
+  for (const [id, count] of drops) {
+    spawnDrop(id, count, (tx + 0.5) * TILE_SIZE, (ty + 0.5) * TILE_SIZE, (gameRandom() - 0.5) * 4, -3);
+  }
+}
+
+// Tree tiles connected to (tx, ty) that are no lower than it and no further than TREE_REACH to the side
+function treeCellsAbove(tx, ty) {
+  const cells = [];
+  const seen = new Set([`${tx},${ty}`]);
+  const queue = [[tx, ty]];
+  while (queue.length) {
+    const [x, y] = queue.pop();
+    cells.push([x, y]);
+    for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+      const key = `${nx},${ny}`;
+      if (seen.has(key) || ny > ty || Math.abs(nx - tx) > TREE_REACH || !getTileDef(getTile(nx, ny)).tree) continue;
+      seen.add(key);
+      queue.push([nx, ny]);
+    }
+  }
+  return cells;
+}
+
+// Saplings
+function saplingGrowTime() {
+  return gameState.totalTime + SAPLING_GROW_TIME * (0.5 + gameRandom());
+}
+
+// Grow the saplings whose time has come. The server runs this too, so a grown
+// tree is the same everywhere without sending its tiles
+function updateSaplings() {
+  for (const entity of [...world.tileEntities.values()]) {
+    if (entity.type === 'sapling' && gameState.totalTime >= entity.growAt) growSapling(entity);
+  }
+}
+
+// The tree's shape comes from its place and time, so every player grows the same one
+function growSapling(entity) {
+  const { tx, ty } = entity;
+  const type = getTile(tx, ty + 1) === TILE.SAND ? 'cactus' : 'tree';
+  const cells = treeShape(type, positionRng(world.seed, tx, ty, Math.floor(entity.growAt)));
+  const fits = cells.every(([dx, dy]) => (dx === 0 && dy === 0) || getTile(tx + dx, ty + dy) === TILE.AIR);
+  if (!fits) {
+    entity.growAt += SAPLING_RETRY_TIME;
+    return;
+  }
+  world.tileEntities.delete(tileEntityKey(tx, ty));
+  for (const [dx, dy, tile] of cells) setTile(tx + dx, ty + dy, tile);
+}
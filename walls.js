@@ -0,0 +1,72 @@
+/*
+  Background walls
+  - A second layer per cell (chunk.walls) behind the foreground tiles; wall
+    IDs are tile IDs (0 = no wall) of tiles whose definition has `wall: true`
+  - Walls never collide, but they keep sunlight from shining straight down and
+    rain/snow from falling past them, so a walled house stays dark and dry
+  - Underground is walled with dirt and stone by generateWall(); walls are
+    placed from wall items (WALL_ITEM_OFFSET + tile ID) and knocked out with a hammer
+*/
+
+function getWall(tx, ty) {
+  if (!inBounds(tx, ty)) return TILE.AIR;
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const chunk = getChunk(cx, cy);
+  return chunk.walls[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)];
+}
+
+function setWall(tx, ty, id) {
+  if (!inBounds(tx, ty)) return;
+  const cx = Math.floor(tx / CHUNK_SIZE);
+  const cy = Math.floor(ty / CHUNK_SIZE);
+  const chunk = getChunk(cx, cy);
+  const i = (ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+  const old = chunk.walls[i];
+  if (old === id) return;
+  chunk.walls[i] = id;
+  chunk.wallsDirty = true;
+  chunk.revision++;
+  if (!old !== !id) invalidateLight(tx); // sunlight stops at walls
+  logEdit({ layer: 'wall', tx, ty, id });
+}
+
+// Natural wall behind a generated tile: dirt, then stone deeper down
+function generateWall(x, y, column) {
+  const { groundY } = column;
+  if (y >= UNDERWORLD_Y || y <= groundY + 3) return TILE.AIR; // open sky above the crust
+  return y > groundY + 20 ? TILE.STONE : TILE.DIRT;
+}
+
+// Wall items
+function isWallItem(id) {
+  return id >= WALL_ITEM_OFFSET && getTileDef(id - WALL_ITEM_OFFSET).wall === true;
+}
+
+function wallFromItem(id) {
+  return id - WALL_ITEM_OFFSET;
+}
+
+// All wall layers that differ from what the seed generates, loaded or not
+function getEditedWalls() {
+  const result = new Map(world.editedWalls);
+  for (const [key, chunk] of world.chunks) {
+    if (chunk.wallsDirty) result.set(key, chunk.walls);
+  }
+  return result;
+}
+
+// One step of hammering the wall at (tx, ty); walls behind solid tiles are out of reach
+function hammerWall(tx, ty, hammer, dt) {
+  const mining = player.mining;
+  const wall = getWall(tx, ty);
+  if (wall === TILE.AIR || isSolid(getTile(tx, ty))) return;
+  const before = mining.progress;
+  mining.progress += (dt / 60) * hammer.speed / getTileDef(wall).hardness;
+  cueMining(wall, before);
+  if (mining.progress >= 1) {
+    dropFromTile(WALL_ITEM_OFFSET + wall, tx, ty);
+    setWall(tx, ty, TILE.AIR);
+    mining.progress = 0;
+  }
+}